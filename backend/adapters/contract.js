@@ -0,0 +1,154 @@
+// Contract every retailer adapter implements. An adapter bundles:
+//   setLocation(page, location)      -> location title; throws when it could not be set, with
+//                                       err.status saying why (LOCATION_STATUSES). location is
+//                                       a pincode, an address or a named place with coordinates
+//                                       (see lib/locations.js)
+//   navigateToSearch(page, term)     -> true when the search page loaded
+//   ensureContentLoaded(page)        -> waits for results to render
+//   isSearchResponse(url, json)      -> true for the XHR/fetch JSON that carries search results
+//   extractProducts(json, options)   -> products following PRODUCT_FIELDS in result order;
+//                                       sponsored items are dropped unless
+//                                       options.includeSponsored is set
+//   isSponsored(rawItem)             -> true for ads/sponsored items in the raw JSON
+// and optional capabilities:
+//   homeUrl + isLocationSet(page)    -> location title the page shows, or null; lets a saved
+//                                       location session be restored and checked
+//   productEta                       -> results carry a per-product delivery time
+//   mergeSearchPages(jsons)          -> one search response from several scrolled pages,
+//                                       deduped by product id (enables pagination)
+//   productDetailUrl(product)        -> product page URL, for deep mode
+//   isProductDetailResponse(url, json, product)
+//                                    -> true for the JSON that carries that product's details
+//   extractProductDetails(json)      -> details following DETAIL_FIELDS
+
+const PRODUCT_FIELDS = [
+  "id",
+  "name",
+  "price",
+  "originalPrice",
+  "savings",
+  "quantity",
+  "deliveryTime",
+  "discount",
+  "imageUrl",
+  "available",
+  "sponsored",
+  "position",
+  "organicRank",
+];
+
+// Extra columns filled in by deep mode; variants is a list of { id, quantity, price, available }
+const DETAIL_FIELDS = [
+  "brand",
+  "categoryPath",
+  "description",
+  "shelfLife",
+  "countryOfOrigin",
+  "seller",
+  "variants",
+];
+
+const DETAIL_METHODS = ["productDetailUrl", "isProductDetailResponse", "extractProductDetails"];
+
+const REQUIRED_METHODS = [
+  "setLocation",
+  "navigateToSearch",
+  "ensureContentLoaded",
+  "isSearchResponse",
+  "extractProducts",
+  "isSponsored",
+];
+
+function defineAdapter(adapter) {
+  if (!adapter || typeof adapter.name !== "string" || !adapter.name) {
+    throw new Error("Adapter must have a name");
+  }
+  const missing = REQUIRED_METHODS.filter((m) => typeof adapter[m] !== "function");
+  if (missing.length) {
+    throw new Error(`Adapter ${adapter.name} is missing: ${missing.join(", ")}`);
+  }
+  const detailMethods = DETAIL_METHODS.filter((m) => typeof adapter[m] === "function");
+  if (detailMethods.length && detailMethods.length !== DETAIL_METHODS.length) {
+    throw new Error(`Adapter ${adapter.name} must implement all of: ${DETAIL_METHODS.join(", ")}`);
+  }
+  return Object.freeze({
+    label: adapter.name,
+    productEta: true,
+    ...adapter,
+    productDetails: detailMethods.length > 0,
+  });
+}
+
+// Fill in schema defaults so every service produces the same product shape
+function normalizeProduct(product, idx = 0) {
+  return {
+    id: product.id ? String(product.id) : `product_${idx}`,
+    name: product.name || "Product Name Not Available",
+    price: product.price || "Price Not Available",
+    originalPrice: product.originalPrice || null,
+    savings: product.savings || null,
+    quantity: product.quantity || "N/A",
+    deliveryTime: product.deliveryTime || "N/A",
+    discount: product.discount || null,
+    imageUrl: product.imageUrl || "",
+    available: product.available !== false,
+    sponsored: product.sponsored === true,
+    position: Number.isInteger(product.position) ? product.position : null,
+    organicRank: Number.isInteger(product.organicRank) ? product.organicRank : null,
+  };
+}
+
+function normalizeProductDetails(details) {
+  const variants = Array.isArray(details?.variants) ? details.variants : [];
+  return {
+    brand: details?.brand || null,
+    categoryPath: details?.categoryPath || null,
+    description: details?.description || null,
+    shelfLife: details?.shelfLife || null,
+    countryOfOrigin: details?.countryOfOrigin || null,
+    seller: details?.seller || null,
+    variants: variants.map((variant) => ({
+      id: variant.id ? String(variant.id) : null,
+      quantity: variant.quantity || null,
+      price: variant.price || null,
+      available: variant.available !== false,
+    })),
+  };
+}
+
+function formatRupees(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) {
+    return null;
+  }
+  return Number.isInteger(num) ? `₹${num}` : `₹${num.toFixed(2)}`;
+}
+
+// "₹1,299.50" -> 1299.5; null when the display string carries no rupee amount
+function parsePriceValue(text) {
+  if (typeof text === "number") {
+    return Number.isFinite(text) ? text : null;
+  }
+  const match = String(text || "").replace(/,/g, "").match(/₹\s*(\d+(?:\.\d+)?)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+function computeSavings(price, originalPrice) {
+  const curPrice = parsePriceValue(price);
+  const orgPrice = parsePriceValue(originalPrice);
+  if (curPrice !== null && orgPrice !== null && orgPrice > curPrice) {
+    return `₹${(orgPrice - curPrice).toFixed(0)}`;
+  }
+  return null;
+}
+
+module.exports = {
+  PRODUCT_FIELDS,
+  DETAIL_FIELDS,
+  defineAdapter,
+  normalizeProduct,
+  normalizeProductDetails,
+  formatRupees,
+  parsePriceValue,
+  computeSavings,
+};
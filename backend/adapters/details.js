@@ -0,0 +1,56 @@
+const { normalizeProductDetails } = require("./contract");
+
+const DETAIL_RESPONSE_TIMEOUT_MS = 20000;
+
+// Open the product page and capture the JSON carrying its details. Returns
+// { details, json, sourceUrl } with details null when no detail response was seen.
+async function runProductDetails(adapter, page, product) {
+  let responseHandler;
+  let timer;
+  const detailJsonPromise = new Promise((resolve) => {
+    responseHandler = async (response) => {
+      const type = response.request().resourceType();
+      if (type !== "xhr" && type !== "fetch") {
+        return;
+      }
+      try {
+        const json = await response.json();
+        if (adapter.isProductDetailResponse(response.url(), json, product)) {
+          resolve({ json, sourceUrl: response.url() });
+        }
+      } catch (e) {
+        // Ignore non-JSON responses
+      }
+    };
+    page.on("response", responseHandler);
+    timer = setTimeout(() => resolve(null), DETAIL_RESPONSE_TIMEOUT_MS);
+  });
+
+  try {
+    await page.goto(adapter.productDetailUrl(product), {
+      waitUntil: "domcontentloaded",
+      timeout: 50000,
+    });
+    const captured = await detailJsonPromise;
+    if (!captured) {
+      console.log(`No ${adapter.name} detail response for product ${product.id}`);
+      return { details: null, json: null, sourceUrl: null };
+    }
+    return { details: await extractDetails(adapter, captured.json), ...captured };
+  } catch (err) {
+    console.log(`Error loading ${adapter.name} product ${product.id}: ${err.message}`);
+    return { details: null, json: null, sourceUrl: null };
+  } finally {
+    clearTimeout(timer);
+    page.off("response", responseHandler);
+  }
+}
+
+async function extractDetails(adapter, json) {
+  return normalizeProductDetails(await adapter.extractProductDetails(json));
+}
+
+module.exports = {
+  runProductDetails,
+  extractDetails,
+};
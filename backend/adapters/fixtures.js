@@ -0,0 +1,186 @@
+const fs = require("fs");
+const path = require("path");
+
+const { extractDetails } = require("./details");
+
+// A fixture set is a directory with one file per (service, pincode):
+//   <service>-<pincode>.json -> { service, pincode, locationTitle, locationStatus,
+//                                 locationDetail, searches, details }
+// where searches maps a term and details (deep mode) a product id to a capture
+// { sourceUrl, json } holding the raw response.
+// Recording captures what the browser saw; replaying feeds the same JSON back through
+// the adapter's extractProducts so filters and CSV output can run without a browser.
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+const FIXTURE_NAME_PATTERN = /^[\w.-]+$/;
+
+function getFixturesRoot() {
+  return process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+function isValidFixtureName(name) {
+  return typeof name === "string" && FIXTURE_NAME_PATTERN.test(name) && !/^\.+$/.test(name);
+}
+
+// Accepts a bare fixture set name (resolved under the fixtures root) or a directory path
+function resolveFixtureDir(nameOrDir) {
+  if (isValidFixtureName(nameOrDir)) {
+    return path.join(getFixturesRoot(), nameOrDir);
+  }
+  if (typeof nameOrDir === "string" && path.isAbsolute(nameOrDir)) {
+    return nameOrDir;
+  }
+  throw new Error(`Invalid fixture set: ${nameOrDir}`);
+}
+
+// Named locations ("Koramangala 5th Block", "12.93,77.62") are made filename-safe; entries
+// are looked up by the pincode stored inside the file, not by its name
+function fixtureFile(dir, service, pincode) {
+  return path.join(dir, `${service}-${String(pincode).replace(/[^\w.-]+/g, "_")}.json`);
+}
+
+function normalizeTermKey(term) {
+  return String(term).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function createFixtureRecorder(nameOrDir) {
+  const dir = resolveFixtureDir(nameOrDir);
+  const entries = new Map(); // Structure: { "service-pincode": fixture }
+
+  function getEntry(service, pincode) {
+    const key = `${service}-${pincode}`;
+    if (!entries.has(key)) {
+      entries.set(key, {
+        service,
+        pincode: String(pincode),
+        recordedAt: new Date().toISOString(),
+        locationTitle: null,
+        locationStatus: null,
+        locationDetail: null,
+        searches: {},
+        details: {},
+      });
+    }
+    return entries.get(key);
+  }
+
+  // Written after every capture so an interrupted run still leaves usable fixtures
+  function save(entry) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      fixtureFile(dir, entry.service, entry.pincode),
+      JSON.stringify(entry, null, 2),
+      "utf8"
+    );
+  }
+
+  return {
+    dir,
+    // status and detail describe why a location could not be set
+    recordLocation(service, pincode, locationTitle, { status = null, detail = null } = {}) {
+      const entry = getEntry(service, pincode);
+      entry.locationTitle = locationTitle || null;
+      entry.locationStatus = locationTitle ? "serviceable" : status;
+      entry.locationDetail = locationTitle ? null : detail;
+      save(entry);
+    },
+    // json is null when the search fell back to HTML extraction and nothing was captured
+    recordSearch(service, pincode, term, { sourceUrl = null, json = null } = {}) {
+      const entry = getEntry(service, pincode);
+      entry.searches[normalizeTermKey(term)] = { sourceUrl, json };
+      save(entry);
+    },
+    recordDetails(service, pincode, productId, { sourceUrl = null, json = null } = {}) {
+      const entry = getEntry(service, pincode);
+      entry.details[String(productId)] = { sourceUrl, json };
+      save(entry);
+    },
+  };
+}
+
+function loadFixtureSet(nameOrDir) {
+  const dir = resolveFixtureDir(nameOrDir);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Fixture set not found: ${dir}`);
+  }
+
+  const entries = new Map();
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    if (entry && entry.service && entry.pincode) {
+      entries.set(`${entry.service}-${entry.pincode}`, entry);
+    }
+  }
+
+  return {
+    dir,
+    getLocationTitle(service, pincode) {
+      return entries.get(`${service}-${pincode}`)?.locationTitle || null;
+    },
+    // Same shape as setLocationWithSession's result
+    getLocation(service, pincode) {
+      const entry = entries.get(`${service}-${pincode}`);
+      if (entry?.locationTitle) {
+        return { locationTitle: entry.locationTitle, status: "serviceable", detail: null };
+      }
+      if (!entry) {
+        return {
+          locationTitle: null,
+          status: "error",
+          detail: `No recorded ${service} location for ${pincode}`,
+        };
+      }
+      return {
+        locationTitle: null,
+        status: entry.locationStatus || "error",
+        detail: entry.locationDetail || null,
+      };
+    },
+    // Returns null when the term was never recorded for this service and pincode
+    getSearch(service, pincode, term) {
+      const searches = entries.get(`${service}-${pincode}`)?.searches || {};
+      return searches[normalizeTermKey(term)] || null;
+    },
+    getDetails(service, pincode, productId) {
+      const details = entries.get(`${service}-${pincode}`)?.details || {};
+      return details[String(productId)] || null;
+    },
+  };
+}
+
+// Run the adapter's extraction over a recorded search, as the live search would have
+async function replaySearch(fixtureSet, adapter, pincode, term, extractOptions = {}) {
+  const recorded = fixtureSet.getSearch(adapter.name, pincode, term);
+  if (!recorded) {
+    console.log(`No ${adapter.name} fixture for "${term}" at ${pincode}; treating as no results`);
+    return { products: [], sourceUrl: null };
+  }
+  if (!recorded.json) {
+    return { products: [], sourceUrl: recorded.sourceUrl };
+  }
+  const products = await adapter.extractProducts(recorded.json, extractOptions);
+  return { products: Array.isArray(products) ? products : [], sourceUrl: recorded.sourceUrl };
+}
+
+// Deep mode counterpart of replaySearch for a recorded product page
+async function replayProductDetails(fixtureSet, adapter, pincode, product) {
+  const recorded = fixtureSet.getDetails(adapter.name, pincode, product.id);
+  if (!recorded?.json) {
+    console.log(`No ${adapter.name} detail fixture for product ${product.id} at ${pincode}`);
+    return { details: null, json: null, sourceUrl: recorded?.sourceUrl || null };
+  }
+  return {
+    details: await extractDetails(adapter, recorded.json),
+    json: recorded.json,
+    sourceUrl: recorded.sourceUrl,
+  };
+}
+
+module.exports = {
+  isValidFixtureName,
+  resolveFixtureDir,
+  createFixtureRecorder,
+  loadFixtureSet,
+  replaySearch,
+  replayProductDetails,
+};
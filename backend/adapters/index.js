@@ -0,0 +1,25 @@
+// Registry of retailer adapters; each service folder exports one from adapter.js
+const SERVICES = ["blinkit", "zepto", "instamart"];
+
+const adapters = {};
+SERVICES.forEach((svc) => {
+  adapters[svc] = require(`../${svc}/adapter.js`);
+});
+
+function getAdapter(name) {
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown service: ${name}`);
+  }
+  return adapter;
+}
+
+function listAdapters() {
+  return SERVICES.map((svc) => adapters[svc]);
+}
+
+module.exports = {
+  SERVICES,
+  getAdapter,
+  listAdapters,
+};
@@ -0,0 +1,146 @@
+const {
+  normalizeLocation,
+  matchesLocationTitle,
+  locationFingerprint,
+  describeLocationFailure,
+} = require("../lib/locations");
+const {
+  getLocationSession,
+  saveLocationSession,
+  deleteLocationSession,
+} = require("../lib/locationSessions");
+const { resolveRetryOptions, withRetry } = require("../lib/retryPolicy");
+
+// Results worth another attempt; a location the site does not serve is an answer
+const RETRIED_LOCATION_STATUSES = ["timeout", "error", "location_mismatch"];
+
+// Set the page's location, restoring a saved session when one is still valid. Returns
+// { locationTitle, via, status, detail } where via is "session" for a restored session and
+// "page" when the adapter's location picker ran. status is "serviceable" once the location is
+// set; otherwise locationTitle is null and status and detail say why (see LOCATION_STATUSES).
+async function setLocationWithSession(adapter, page, location, { reuseSession = true } = {}) {
+  const target = normalizeLocation(location);
+  const canReuse = reuseSession && typeof adapter.isLocationSet === "function" && adapter.homeUrl;
+  const fingerprint = locationFingerprint(target);
+
+  let session = canReuse ? getLocationSession(adapter.name, target.key) : null;
+  if (session && session.fingerprint !== fingerprint) {
+    console.log(`${adapter.label} location ${target.key} changed since its session was saved`);
+    deleteLocationSession(adapter.name, target.key);
+    session = null;
+  }
+  if (session) {
+    const restoredTitle = await restoreSession(adapter, page, session);
+    if (restoredTitle && matchesLocationTitle(target, restoredTitle)) {
+      console.log(`Reused ${adapter.label} location session for ${target.key}: ${restoredTitle}`);
+      return { locationTitle: restoredTitle, via: "session", status: "serviceable", detail: null };
+    }
+    console.log(`Saved ${adapter.label} location session for ${target.key} is no longer valid`);
+    deleteLocationSession(adapter.name, target.key);
+    await page.deleteCookie(...session.cookies).catch(() => {});
+  }
+
+  let locationTitle;
+  try {
+    locationTitle = await adapter.setLocation(page, target);
+  } catch (err) {
+    return { locationTitle: null, via: "page", ...describeLocationFailure(err) };
+  }
+  if (canReuse) {
+    try {
+      saveLocationSession(adapter.name, target.key, {
+        locationTitle,
+        fingerprint,
+        ...(await captureSession(page, adapter.homeUrl)),
+      });
+    } catch (err) {
+      console.error(`Failed to save ${adapter.label} location session:`, err.message);
+    }
+  }
+  return { locationTitle, via: "page", status: "serviceable", detail: null };
+}
+
+// setLocationWithSession under the shared retry policy (lib/retryPolicy), which is the only
+// retry layer for locations: the adapters' setters try once. Takes withRetry's options over
+// the environment defaults and resolves to the last result with `attempts` added.
+async function setLocationWithRetry(adapter, page, location, options = {}) {
+  const { reuseSession = true, ...retryOptions } = options;
+  const { signal } = retryOptions;
+  const attempt = await withRetry(
+    async (number) => {
+      if (signal?.aborted) {
+        throw new Error("Location setup cancelled");
+      }
+      // A retry starts from the home page rather than a half-open location picker
+      if (number > 1 && adapter.homeUrl) {
+        await page
+          .goto(adapter.homeUrl, { waitUntil: "domcontentloaded", timeout: 60000 })
+          .catch(() => {});
+      }
+      return setLocationWithSession(adapter, page, location, { reuseSession });
+    },
+    {
+      ...resolveRetryOptions(retryOptions),
+      isFailure: (outcome) =>
+        RETRIED_LOCATION_STATUSES.includes(outcome.status)
+          ? outcome.detail || outcome.status
+          : null,
+    }
+  );
+  const result = attempt.value || {
+    locationTitle: null,
+    via: "page",
+    status: "error",
+    detail: attempt.error,
+  };
+  return { ...result, attempts: attempt.attempts };
+}
+
+async function captureSession(page, homeUrl) {
+  const origin = new URL(homeUrl).origin;
+  const cookies = await page.cookies();
+  const localStorage = await page.evaluate(() => {
+    const items = {};
+    for (let i = 0; i < window.localStorage.length; i += 1) {
+      const key = window.localStorage.key(i);
+      items[key] = window.localStorage.getItem(key);
+    }
+    return items;
+  });
+  return { origin, cookies, localStorage };
+}
+
+// Loads the cookies, seeds localStorage before the site's scripts run and opens the home
+// page; returns the location title the site shows, or null
+async function restoreSession(adapter, page, session) {
+  let script = null;
+  try {
+    await page.setCookie(...session.cookies);
+    script = await page.evaluateOnNewDocument(
+      (origin, items) => {
+        if (window.location.origin !== origin) {
+          return;
+        }
+        for (const [key, value] of Object.entries(items)) {
+          window.localStorage.setItem(key, value);
+        }
+      },
+      session.origin,
+      session.localStorage
+    );
+    await page.goto(adapter.homeUrl, { waitUntil: "domcontentloaded", timeout: 60000 });
+    return await adapter.isLocationSet(page);
+  } catch (err) {
+    console.log(`Failed to restore ${adapter.label} location session: ${err.message}`);
+    return null;
+  } finally {
+    if (script) {
+      await page.removeScriptToEvaluateOnNewDocument(script.identifier).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  setLocationWithSession,
+  setLocationWithRetry,
+};
@@ -0,0 +1,84 @@
+// DOM helpers shared by the retailer location setters
+
+async function findFirstSelector(page, selectors, timeout) {
+  for (const sel of selectors) {
+    try {
+      await page.waitForSelector(sel, { timeout });
+      return sel;
+    } catch (e) {
+      // try next selector
+    }
+  }
+  return null;
+}
+
+async function getFirstTextFromSelectors(page, selectors, timeout) {
+  for (const sel of selectors) {
+    try {
+      await page.waitForSelector(sel, { timeout });
+      const txt = await page.$eval(sel, (el) => el.textContent.trim());
+      if (txt && !/select|enter/i.test(txt)) {
+        return txt;
+      }
+    } catch (e) {
+      // try next selector
+    }
+  }
+  return "";
+}
+
+async function clickFirstSelector(page, selectors) {
+  for (const sel of selectors) {
+    try {
+      const handle = await page.$(sel);
+      if (handle) {
+        await handle.click().catch(() => {});
+        await delay(500);
+        return sel;
+      }
+    } catch (e) {
+      // try next selector
+    }
+  }
+  return null;
+}
+
+async function clearAndType(page, selector, text) {
+  await page.click(selector).catch(() => {});
+  await page.focus(selector).catch(() => {});
+  await page.keyboard.press("Control+A").catch(() => {});
+  await page.keyboard.press("Meta+A").catch(() => {});
+  await page.keyboard.press("Backspace").catch(() => {});
+  await page.type(selector, text);
+}
+
+// True when the page text matches, e.g. a retailer's "we don't deliver here" notice
+async function pageTextMatches(page, pattern) {
+  try {
+    const text = await page.evaluate(() => document.body?.innerText || "");
+    return pattern.test(text);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Grants geolocation to the retailer's origin and points it at the location's coordinates,
+// so the "use my current location" button in the location picker resolves there
+async function emulateGeolocation(page, siteUrl, { lat, lng }) {
+  await page.browserContext().overridePermissions(new URL(siteUrl).origin, ["geolocation"]);
+  await page.setGeolocation({ latitude: lat, longitude: lng });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  findFirstSelector,
+  getFirstTextFromSelectors,
+  clickFirstSelector,
+  clearAndType,
+  pageTextMatches,
+  emulateGeolocation,
+  delay,
+};
@@ -0,0 +1,194 @@
+const { buildSearchTemplate, fetchSearchJson } = require("./searchReplay");
+
+const SEARCH_RESPONSE_TIMEOUT_MS = 30000;
+const NEXT_PAGE_TIMEOUT_MS = 4000;
+const MAX_IDLE_SCROLLS = 2;
+const MAX_SEARCH_PAGES = 50;
+
+// Navigate to the adapter's search page and capture the JSON response carrying the results.
+// With paginate (and an adapter that can mergeSearchPages) it keeps scrolling until no new
+// page arrives or maxResults products are loaded, and returns the merged JSON. When the
+// search page cannot be opened there are no products and `error` says so.
+async function runSearchWithMeta(
+  adapter,
+  page,
+  searchTerm,
+  extractOptions = {},
+  { paginate = false, maxResults = null, nextPageTimeoutMs = NEXT_PAGE_TIMEOUT_MS } = {}
+) {
+  const collectPages = paginate && typeof adapter.mergeSearchPages === "function";
+  const laterPages = [];
+  let responseHandler;
+  let fallbackTimer;
+  let sourceUrl = null;
+  let requestHeaders = null;
+  let requestMethod = null;
+  let postData = null;
+  let responseHeaders = null;
+  const productJsonPromise = new Promise((resolve) => {
+    responseHandler = async (response) => {
+      const url = response.url();
+      if (
+        response.request().resourceType() === "xhr" ||
+        response.request().resourceType() === "fetch"
+      ) {
+        try {
+          const json = await response.json();
+          if (adapter.isSearchResponse(url, json) && sourceUrl) {
+            laterPages.push(json);
+          } else if (adapter.isSearchResponse(url, json)) {
+            sourceUrl = url;
+            requestHeaders = response.request().headers();
+            requestMethod = response.request().method();
+            postData = response.request().postData() || null;
+            responseHeaders = response.headers();
+            if (!collectPages && page && typeof page.off === "function") {
+              page.off("response", responseHandler);
+            }
+            resolve(json);
+          }
+        } catch (e) {
+          // Ignore non-JSON responses
+        }
+      }
+    };
+
+    page.on("response", responseHandler);
+
+    fallbackTimer = setTimeout(() => {
+      if (page && typeof page.off === "function") {
+        page.off("response", responseHandler);
+      }
+      resolve({ useHtmlExtraction: true, page });
+    }, SEARCH_RESPONSE_TIMEOUT_MS);
+  });
+
+  const navigationSuccess = await adapter.navigateToSearch(page, searchTerm);
+  if (!navigationSuccess) {
+    clearTimeout(fallbackTimer);
+    if (page && typeof page.off === "function" && responseHandler) {
+      page.off("response", responseHandler);
+    }
+    return {
+      products: [],
+      json: null,
+      sourceUrl: null,
+      requestHeaders: null,
+      responseHeaders: null,
+      error: `Could not open the ${adapter.label} search page`,
+    };
+  }
+
+  await adapter.ensureContentLoaded(page);
+
+  let productJsonResponse = await productJsonPromise;
+  clearTimeout(fallbackTimer);
+  let pageCount = 1;
+  if (productJsonResponse?.useHtmlExtraction) {
+    productJsonResponse.page = page;
+  } else if (collectPages) {
+    const merged = await scrollForMorePages(adapter, page, productJsonResponse, laterPages, {
+      extractOptions,
+      maxResults,
+      nextPageTimeoutMs,
+    });
+    productJsonResponse = merged.json;
+    pageCount = merged.pageCount;
+  }
+  if (collectPages && page && typeof page.off === "function") {
+    page.off("response", responseHandler);
+  }
+
+  const products = await adapter.extractProducts(productJsonResponse, extractOptions);
+  return {
+    products: Array.isArray(products) ? products : [],
+    // Raw search JSON, or null when results had to be read from the HTML
+    json: productJsonResponse?.useHtmlExtraction ? null : productJsonResponse,
+    pageCount,
+    sourceUrl,
+    requestHeaders,
+    requestMethod,
+    postData,
+    responseHeaders,
+  };
+}
+
+// Scroll to the bottom until the results stop growing. laterPages is filled by the response
+// listener of runSearchWithMeta as the site requests further pages.
+async function scrollForMorePages(adapter, page, firstPage, laterPages, options) {
+  const pages = [firstPage];
+  let json = firstPage;
+  let idleScrolls = 0;
+
+  while (idleScrolls < MAX_IDLE_SCROLLS && pages.length < MAX_SEARCH_PAGES) {
+    if (options.maxResults) {
+      const products = await adapter.extractProducts(json, options.extractOptions);
+      if (products.length >= options.maxResults) {
+        break;
+      }
+    }
+
+    await page
+      .evaluate(() => window.scrollTo(0, document.body.scrollHeight))
+      .catch(() => {});
+    const deadline = Date.now() + options.nextPageTimeoutMs;
+    while (laterPages.length === 0 && Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, 250));
+    }
+
+    if (laterPages.length === 0) {
+      idleScrolls += 1;
+      continue;
+    }
+    idleScrolls = 0;
+    pages.push(...laterPages.splice(0));
+    json = adapter.mergeSearchPages(pages);
+  }
+
+  console.log(`Loaded ${pages.length} search result page(s)`);
+  return { json, pageCount: pages.length };
+}
+
+async function runSearch(adapter, page, searchTerm, extractOptions) {
+  const result = await runSearchWithMeta(adapter, page, searchTerm, extractOptions);
+  return result.products;
+}
+
+async function getCookieHeader(page) {
+  const cookies = await page.cookies();
+  return cookies.map((c) => `${c.name}=${c.value}`).join("; ");
+}
+
+// Fast mode: replay the captured search request over HTTP, falling back to a full page
+// load (which also refreshes the captured template) when there is none or it fails.
+async function runSearchFast(adapter, page, searchTerm, replay, extractOptions = {}) {
+  if (replay.template) {
+    try {
+      const json = await fetchSearchJson(replay.template, searchTerm, {
+        isSearchResponse: adapter.isSearchResponse,
+      });
+      const products = await adapter.extractProducts(json, extractOptions);
+      return { products, json, via: "http" };
+    } catch (err) {
+      console.log(`Direct search failed for "${searchTerm}", falling back to page load: ${err.message}`);
+      replay.template = null;
+    }
+  }
+
+  const result = await runSearchWithMeta(adapter, page, searchTerm, extractOptions);
+  if (result.sourceUrl) {
+    replay.template = buildSearchTemplate({
+      ...result,
+      cookieHeader: await getCookieHeader(page),
+      searchTerm,
+    });
+  }
+  return { products: result.products, json: result.json, via: "page", error: result.error };
+}
+
+module.exports = {
+  runSearchWithMeta,
+  runSearch,
+  runSearchFast,
+  getCookieHeader,
+};
@@ -0,0 +1,119 @@
+// Direct HTTP replay of the search JSON request captured by runBlinkitSearchWithMeta
+
+const REPLAY_TIMEOUT_MS = 15000;
+
+// Headers that must not be copied from the browser request (fetch computes them itself)
+const SKIPPED_HEADERS = new Set([
+  "host",
+  "connection",
+  "content-length",
+  "accept-encoding",
+  "cookie",
+]);
+
+function buildSearchTemplate({
+  sourceUrl,
+  requestHeaders,
+  requestMethod,
+  postData,
+  cookieHeader,
+  searchTerm,
+}) {
+  if (!sourceUrl || !searchTerm) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(sourceUrl);
+  } catch (err) {
+    return null;
+  }
+
+  // Find which query parameter carries the term so it can be swapped later
+  const wanted = normalizeTerm(searchTerm);
+  let termParam = null;
+  for (const [key, value] of url.searchParams.entries()) {
+    if (normalizeTerm(value) === wanted) {
+      termParam = key;
+      break;
+    }
+  }
+
+  const bodyHasTerm = typeof postData === "string" && postData.includes(searchTerm);
+  if (!termParam && !bodyHasTerm) {
+    return null;
+  }
+
+  const headers = {};
+  for (const [key, value] of Object.entries(requestHeaders || {})) {
+    const name = key.toLowerCase();
+    if (name.startsWith(":") || SKIPPED_HEADERS.has(name)) {
+      continue;
+    }
+    headers[name] = value;
+  }
+  if (cookieHeader) {
+    headers.cookie = cookieHeader;
+  }
+
+  return {
+    url: url.toString(),
+    method: (requestMethod || "GET").toUpperCase(),
+    headers,
+    termParam,
+    postData: bodyHasTerm ? postData : null,
+    searchTerm,
+  };
+}
+
+function buildSearchRequest(template, searchTerm) {
+  const url = new URL(template.url);
+  if (template.termParam) {
+    url.searchParams.set(template.termParam, searchTerm);
+  }
+
+  const init = {
+    method: template.method,
+    headers: { ...template.headers },
+  };
+  if (template.method !== "GET" && template.postData) {
+    init.body = replaceTermInBody(template.postData, template.searchTerm, searchTerm);
+  }
+  return { url: url.toString(), init };
+}
+
+async function fetchSearchJson(
+  template,
+  searchTerm,
+  { timeout = REPLAY_TIMEOUT_MS, isSearchResponse } = {}
+) {
+  const { url, init } = buildSearchRequest(template, searchTerm);
+  const res = await fetch(url, { ...init, signal: AbortSignal.timeout(timeout) });
+  if (!res.ok) {
+    throw new Error(`Search API responded with HTTP ${res.status}`);
+  }
+
+  const json = await res.json();
+  if (typeof isSearchResponse === "function" && !isSearchResponse(url, json)) {
+    throw new Error("Search API response does not contain search results");
+  }
+  return json;
+}
+
+function replaceTermInBody(body, fromTerm, toTerm) {
+  // JSON bodies need the replacement escaped the same way the original term was
+  const fromJson = JSON.stringify(fromTerm).slice(1, -1);
+  const toJson = JSON.stringify(toTerm).slice(1, -1);
+  return body.split(fromJson).join(toJson);
+}
+
+function normalizeTerm(value) {
+  return String(value || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+module.exports = {
+  buildSearchTemplate,
+  buildSearchRequest,
+  fetchSearchJson,
+};
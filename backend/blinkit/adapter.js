@@ -0,0 +1,36 @@
+const { defineAdapter } = require("../adapters/contract");
+const {
+  navigateToSearch,
+  ensureContentLoaded,
+  extractProductInformation,
+  isSearchResponse,
+  isSponsoredSnippet,
+  mergeSearchPages,
+} = require("./searchHelpers");
+const {
+  productDetailUrl,
+  isProductDetailResponse,
+  extractProductDetails,
+} = require("./productDetails");
+const {
+  BLINKIT_HOME,
+  setBlinkitLocation,
+  getBlinkitLocationTitle,
+} = require("./set-location");
+
+module.exports = defineAdapter({
+  name: "blinkit",
+  label: "Blinkit",
+  homeUrl: BLINKIT_HOME,
+  setLocation: setBlinkitLocation,
+  isLocationSet: getBlinkitLocationTitle,
+  navigateToSearch,
+  ensureContentLoaded,
+  isSearchResponse,
+  extractProducts: extractProductInformation,
+  isSponsored: isSponsoredSnippet,
+  mergeSearchPages,
+  productDetailUrl,
+  isProductDetailResponse,
+  extractProductDetails,
+});
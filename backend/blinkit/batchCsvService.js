@@ -2,14 +2,37 @@ const fs = require("fs");
 const path = require("path");
 const puppeteer = require("puppeteer");
 
+const { SERVICES, getAdapter } = require("../adapters");
+const { DETAIL_FIELDS, parsePriceValue } = require("../adapters/contract");
+const { runSearchFast, runSearchWithMeta, getCookieHeader } = require("../adapters/search");
+const { runProductDetails } = require("../adapters/details");
+const { setLocationWithRetry } = require("../adapters/location");
 const {
-  navigateToSearch,
-  ensureContentLoaded,
-  extractProductInformation,
-} = require("./searchHelpers");
-const { setBlinkitLocation } = require("./set-location");
+  createFixtureRecorder,
+  loadFixtureSet,
+  replaySearch,
+  replayProductDetails,
+} = require("../adapters/fixtures");
+const { getOutputFormat, validateColumns, writeOutput } = require("../lib/outputFormats");
+const { extractQuantityFromTerm, normalizeQuantityValue } = require("../lib/productMatching");
+const { scoreSearchMatch } = require("../lib/searchRelevance");
+const { normalizeLocation } = require("../lib/locations");
+const { createFilterChain } = require("../lib/filterChain");
+const {
+  resolveRetryOptions,
+  resolveBreakerOptions,
+  validateRetryOptions,
+  validateBreakerOptions,
+  createCircuitBreaker,
+  withRetry,
+} = require("../lib/retryPolicy");
 
 const DEFAULT_OUTPUT_DIR = path.join(__dirname, "..", "output");
+const DEFAULT_MAX_CONCURRENCY = 3;
+const DEFAULT_MAX_RESULTS = 200;
+const WORKER_ISOLATION_MODES = ["context", "browser"];
+// Location outcomes worth another attempt; the others are answers from the site
+const RETRYABLE_LOCATION_STATUSES = ["timeout", "error"];
 
 const isWindows = process.platform === "win32";
 const BROWSER_LAUNCH_OPTS = {
@@ -20,310 +43,226 @@ const BROWSER_LAUNCH_OPTS = {
   executablePath: process.env.PUPPETEER_EXEC_PATH,
 };
 
-async function runBlinkitSearchWithMeta(page, searchTerm) {
-  let responseHandler;
-  let sourceUrl = null;
-  let requestHeaders = null;
-  let responseHeaders = null;
-  const productJsonPromise = new Promise((resolve) => {
-    responseHandler = async (response) => {
-      const url = response.url();
-      if (
-        response.request().resourceType() === "xhr" ||
-        response.request().resourceType() === "fetch"
-      ) {
-        try {
-          const json = await response.json();
-          if (
-            json &&
-            json.response &&
-            Array.isArray(json.response.snippets) &&
-            json.response.snippets.some((s) => s.data && s.data.identity) &&
-            !url.includes("empty_search")
-          ) {
-            sourceUrl = url;
-            requestHeaders = response.request().headers();
-            responseHeaders = response.headers();
-            if (page && typeof page.off === "function") {
-              page.off("response", responseHandler);
-            }
-            resolve(json);
-          }
-        } catch (e) {
-          // Ignore non-JSON responses
-        }
-      }
-    };
-
-    page.on("response", responseHandler);
+const PER_UNIT_BASIS = {
+  weight: { unit: "kg", divisor: 1000 },
+  volume: { unit: "l", divisor: 1000 },
+  count: { unit: "pc", divisor: 1 },
+};
 
-    setTimeout(() => {
-      if (page && typeof page.off === "function") {
-        page.off("response", responseHandler);
-      }
-      resolve({ useHtmlExtraction: true, page });
-    }, 30000);
-  });
+// Numeric price columns derived from the display strings ("₹45", "₹50") and the pack size
+function computePriceFields(product) {
+  const priceValue = parsePriceValue(product.price);
+  const mrpValue = parsePriceValue(product.originalPrice) ?? priceValue;
 
-  const navigationSuccess = await navigateToSearch(page, searchTerm);
-  if (!navigationSuccess) {
-    if (page && typeof page.off === "function" && responseHandler) {
-      page.off("response", responseHandler);
-    }
-    return [];
+  let discountPercent = null;
+  if (priceValue !== null && mrpValue) {
+    discountPercent = Math.max(0, round2(((mrpValue - priceValue) / mrpValue) * 100));
   }
 
-  await ensureContentLoaded(page);
-
-  const productJsonResponse = await productJsonPromise;
-  if (productJsonResponse?.useHtmlExtraction) {
-    productJsonResponse.page = page;
+  let pricePerUnit = null;
+  let perUnit = null;
+  const qty = normalizeQuantityValue(product.quantity);
+  const basis = qty && PER_UNIT_BASIS[qty.category];
+  if (priceValue !== null && basis && qty.value > 0) {
+    pricePerUnit = round2(priceValue / (qty.value / basis.divisor));
+    perUnit = basis.unit;
   }
 
-  const products = await extractProductInformation(productJsonResponse);
-  return {
-    products: Array.isArray(products) ? products : [],
-    sourceUrl,
-    requestHeaders,
-    responseHeaders,
-  };
-}
-
-async function runBlinkitSearch(page, searchTerm) {
-  const result = await runBlinkitSearchWithMeta(page, searchTerm);
-  return result.products;
-}
-
-// Check if product is processed/preserved (not fresh produce)
-function isProcessedProduct(productName) {
-  const processedKeywords = [
-    /sun[-\s]?dried/i,
-    /dried\s+(tomato|fruit|vegetable)/i,
-    /\bin\s+oil/i,
-    /\bin\s+brine/i,
-    /pickle/i,
-    /preserved/i,
-    /canned/i,
-    /jarred/i,
-    /frozen\s+(and\s+)?dried/i,
-    /dehydrated/i,
-  ];
-  
-  const name = String(productName || "").toLowerCase();
-  return processedKeywords.some(pattern => pattern.test(name));
-}
-
-function isTomatoSearch(term) {
-  return /\btomato(es)?\b/i.test(String(term || ""));
+  return { priceValue, mrpValue, discountPercent, pricePerUnit, perUnit };
 }
 
-function normalizeToken(token) {
-  if (!token) {
-    return "";
-  }
-  const t = token.toLowerCase();
-  if (t.length > 4 && t.endsWith("ies")) {
-    return t.slice(0, -3) + "y";
-  }
-  if (t.length > 4 && t.endsWith("es")) {
-    return t.slice(0, -2);
-  }
-  if (t.length > 3 && t.endsWith("s") && !t.endsWith("ss")) {
-    return t.slice(0, -1);
-  }
-  return t;
+function round2(value) {
+  return Math.round(value * 100) / 100;
 }
 
-function extractCoreTokens(term) {
-  const stopwords = new Set([
-    "kg",
-    "g",
-    "gm",
-    "gram",
-    "grams",
-    "kilogram",
-    "kilograms",
-    "pack",
-    "packet",
-    "combo",
-    "x",
-    "of",
-    "and",
-    "with",
-    "fresh",
-  ]);
-
-  return String(term || "")
-    .toLowerCase()
-    .split(/[\s,-]+/)
-    .map((t) => t.trim())
-    .filter((t) => t && !stopwords.has(t))
-    .filter((t) => !/^\d+(\.\d+)?$/.test(t))
-    .filter(
-      (t) =>
-        !/^\d+(\.\d+)?(kg|g|gm|gram|grams|kilogram|kilograms|mg|l|lt|ltr|liter|litre|liters|litres|ml|pc|pcs|piece|pieces|pack|packs)$/.test(t)
-    )
-    .map((t) => normalizeToken(t))
-    .filter(Boolean);
+// `pincode` is the location key: the pincode, or the name of a named location.
+// `locationTitle` is the locality or store the retailer resolved the location to.
+function toRow({ pincode, locationTitle }, service, searchTerm, product, relevance = null) {
+  return {
+    pincode,
+    locationTitle,
+    searchTerm,
+    service,
+    id: product.id,
+    name: product.name,
+    price: product.price,
+    originalPrice: product.originalPrice,
+    savings: product.savings,
+    ...computePriceFields(product),
+    quantity: product.quantity,
+    deliveryTime: product.deliveryTime,
+    discount: product.discount,
+    imageUrl: product.imageUrl,
+    available: product.available,
+    sponsored: product.sponsored === true,
+    position: product.position ?? null,
+    organicRank: product.organicRank ?? null,
+    relevance,
+  };
 }
 
-function matchesSearchTerm(productName, term) {
-  const nameTokens = String(productName || "")
-    .toLowerCase()
-    .split(/[\s,-]+/)
-    .map((t) => t.trim())
-    .filter(Boolean)
-    .map((t) => normalizeToken(t))
-    .filter(Boolean);
-
-  const nameTokenSet = new Set(nameTokens);
-  const tokens = extractCoreTokens(term);
-  if (tokens.length === 0) {
-    return true;
-  }
-  return tokens.every((token) => nameTokenSet.has(token));
+const RESULT_COLUMNS = [
+  "pincode",
+  "locationTitle",
+  "searchTerm",
+  "service",
+  "id",
+  "name",
+  "price",
+  "originalPrice",
+  "savings",
+  "priceValue",
+  "mrpValue",
+  "discountPercent",
+  "pricePerUnit",
+  "perUnit",
+  "quantity",
+  "deliveryTime",
+  "discount",
+  "imageUrl",
+  "available",
+  "sponsored",
+  "position",
+  "organicRank",
+  "relevance",
+];
+
+// Dropped products with the filter that dropped them
+const REJECTED_COLUMNS = [
+  "pincode",
+  "locationTitle",
+  "searchTerm",
+  "service",
+  "id",
+  "name",
+  "price",
+  "quantity",
+  "deliveryTime",
+  "available",
+  "sponsored",
+  "position",
+  "relevance",
+  "filter",
+  "reason",
+  "detail",
+];
+
+// Every ad seen, whether or not the sponsored filter dropped it, for placement tracking
+const AD_COLUMNS = [
+  "pincode",
+  "locationTitle",
+  "searchTerm",
+  "service",
+  "position",
+  "id",
+  "name",
+  "price",
+  "quantity",
+  "available",
+  "relevance",
+];
+
+// One row per (pincode, service): whether the location could be set and what the searches found,
+// so a pincode that was never reached is told apart from one with no matching products
+const SUMMARY_COLUMNS = [
+  "pincode",
+  "service",
+  "status",
+  "locationTitle",
+  "detail",
+  "searches",
+  "failed",
+  "found",
+  "kept",
+];
+
+// Columns a run may select with `columns`; deep mode ones stay empty without deepMode
+function listResultColumns() {
+  return [...RESULT_COLUMNS, ...DETAIL_FIELDS];
 }
 
-const WEIGHT_UNITS = new Set(["kg", "g", "gm", "gram", "grams", "kilogram", "kilograms", "mg"]);
-const VOLUME_UNITS = new Set(["l", "lt", "ltr", "liter", "litre", "liters", "litres", "ml"]);
-const COUNT_UNITS = new Set(["pc", "pcs", "piece", "pieces", "pack", "packs"]);
-
-function normalizeUnit(unit) {
-  const u = unit.toLowerCase();
-  if (u === "gm") return "g";
-  if (u === "gram" || u === "grams") return "g";
-  if (u === "kilogram" || u === "kilograms") return "kg";
-  if (u === "lt" || u === "ltr") return "l";
-  if (u === "liter" || u === "litre" || u === "liters" || u === "litres") return "l";
-  if (u === "piece" || u === "pieces") return "pc";
-  if (u === "packs") return "pack";
-  return u;
+// "1 kg ₹38; 500 g ₹20 (out of stock)"
+function formatVariants(variants) {
+  return variants
+    .map((variant) => {
+      const label = [variant.quantity, variant.price].filter(Boolean).join(" ");
+      return variant.available ? label : `${label} (out of stock)`;
+    })
+    .join("; ");
 }
 
-function unitCategory(unit) {
-  const u = normalizeUnit(unit);
-  if (WEIGHT_UNITS.has(u)) return "weight";
-  if (VOLUME_UNITS.has(u)) return "volume";
-  if (COUNT_UNITS.has(u)) return "count";
-  return "unknown";
+function flattenRow(row) {
+  return Array.isArray(row.variants) ? { ...row, variants: formatVariants(row.variants) } : row;
 }
 
-function normalizeQuantity(value, unit) {
-  const u = normalizeUnit(unit);
-  const category = unitCategory(u);
-  if (category === "weight") {
-    if (u === "kg") return { value: value * 1000, unit: "g", category };
-    if (u === "mg") return { value: value / 1000, unit: "g", category };
-    return { value, unit: "g", category };
-  }
-  if (category === "volume") {
-    if (u === "l") return { value: value * 1000, unit: "ml", category };
-    return { value, unit: "ml", category };
-  }
-  if (category === "count") {
-    return { value, unit: "pc", category };
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new Error("Batch run cancelled");
   }
-  return { value, unit: u, category: "unknown" };
-}
-
-function parseQuantityToken(str) {
-  const qtyMatch = String(str).match(/\b(\d+(?:\.\d+)?)\s*([a-zA-Z]+)\b/);
-  if (!qtyMatch) return null;
-  const value = parseFloat(qtyMatch[1]);
-  const unit = qtyMatch[2];
-  if (Number.isNaN(value)) return null;
-  return normalizeQuantity(value, unit);
 }
 
-// Extract quantity from search term (e.g., "tomato 1kg" -> {value, unit, category})
-function extractQuantityFromTerm(term) {
-  const match = term.match(/\b(\d+(?:\.\d+)?)\s*([a-zA-Z]+)\b/);
-  if (!match) return null;
-  const value = parseFloat(match[1]);
-  const unit = match[2];
-  if (Number.isNaN(value)) return null;
-  return normalizeQuantity(value, unit);
+// Pool size requested per run, capped by BATCH_MAX_CONCURRENCY
+function resolveConcurrency(requested, pincodeCount) {
+  const max = Math.max(1, parseInt(process.env.BATCH_MAX_CONCURRENCY, 10) || DEFAULT_MAX_CONCURRENCY);
+  const value = parseInt(requested, 10) || 1;
+  return Math.max(1, Math.min(value, max, pincodeCount));
 }
 
-// Normalize product quantity for comparison
-function normalizeQuantityValue(qtyStr) {
-  if (!qtyStr || qtyStr === "N/A") return null;
-
-  const str = String(qtyStr).toLowerCase().trim();
-
-  // Handle "2x500g" or "2 x 500g" format
-  const multiMatch = str.match(/(\d+)\s*x\s*(\d+(?:\.\d+)?)\s*([a-zA-Z]+)/i);
-  if (multiMatch) {
-    const multiplier = parseFloat(multiMatch[1]);
-    const value = parseFloat(multiMatch[2]);
-    const unit = multiMatch[3];
-    const normalized = normalizeQuantity(value, unit);
+// A worker owns either an isolated browser context or its own browser, so
+// location cookies never leak between workers.
+async function openWorkerSession(browser, isolation) {
+  if (isolation === "browser") {
+    const ownBrowser = await puppeteer.launch(BROWSER_LAUNCH_OPTS);
     return {
-      value: normalized.value * multiplier,
-      unit: normalized.unit,
-      category: normalized.category,
+      newPage: () => ownBrowser.newPage(),
+      close: () => ownBrowser.close().catch(() => {}),
     };
   }
-
-  return parseQuantityToken(str);
-}
-
-// Check if product quantity matches requested quantity (with 10% tolerance)
-function matchesQuantity(productQty, requestedQty) {
-  if (!requestedQty) return true; // No quantity filter
-
-  const productQtyNormalized = normalizeQuantityValue(productQty);
-  if (!productQtyNormalized) return true; // Can't determine, include it
-
-  if (requestedQty.category !== productQtyNormalized.category) {
-    return false;
-  }
-
-  // 10% tolerance for matching
-  const tolerance = requestedQty.value * 0.1;
-  const diff = Math.abs(productQtyNormalized.value - requestedQty.value);
-  return diff <= tolerance;
+  const context = await browser.createBrowserContext();
+  return {
+    newPage: () => context.newPage(),
+    close: () => context.close().catch(() => {}),
+  };
 }
 
-function toCsvValue(value) {
-  if (value === null || value === undefined) {
-    return "";
+async function runBlinkitBatchCsv({
+  pincodes = [],
+  locations = [],
+  searchTerms,
+  quantities = [],
+  outputDir = DEFAULT_OUTPUT_DIR,
+  concurrency = 1,
+  isolation = process.env.BATCH_WORKER_ISOLATION || "context",
+  fastMode = false,
+  deepMode = false,
+  reuseLocation = true,
+  paginate = false,
+  maxResults = parseInt(process.env.SEARCH_MAX_RESULTS, 10) || DEFAULT_MAX_RESULTS,
+  services = ["blinkit"],
+  format = "csv",
+  columns = null,
+  recordFixtures = null,
+  replayFixtures = null,
+  filters = {},
+  retry = {},
+  circuitBreaker = {},
+  pairs = null,
+  checkpoint = null,
+  signal: callerSignal,
+  onProgress,
+}) {
+  if (!Array.isArray(pincodes) || !Array.isArray(locations)) {
+    throw new Error("pincodes and locations must be arrays");
   }
-  const str = String(value);
-  if (/[",\n]/.test(str)) {
-    return `"${str.replace(/"/g, '""')}"`;
+  // Pincodes and named locations run alike, each under its location key
+  const targets = [...pincodes, ...locations].map((location) => normalizeLocation(location));
+  if (targets.length === 0) {
+    throw new Error("pincodes or locations must be a non-empty array");
   }
-  return str;
-}
-
-function buildCsv(rows) {
-  const headers = [
-    "pincode",
-    "searchTerm",
-    "service",
-    "id",
-    "name",
-    "price",
-    "originalPrice",
-    "savings",
-    "quantity",
-    "deliveryTime",
-    "discount",
-    "imageUrl",
-    "available",
-  ];
-
-  const lines = [headers.join(",")];
-  for (const row of rows) {
-    const line = headers.map((h) => toCsvValue(row[h])).join(",");
-    lines.push(line);
-  }
-  return lines.join("\n");
-}
-
-async function runBlinkitBatchCsv({ pincodes, searchTerms, quantities = [], outputDir = DEFAULT_OUTPUT_DIR }) {
-  if (!Array.isArray(pincodes) || pincodes.length === 0) {
-    throw new Error("pincodes must be a non-empty array");
+  const locationKeys = targets.map((target) => target.key);
+  const duplicateKey = locationKeys.find((key, i) => locationKeys.indexOf(key) !== i);
+  if (duplicateKey) {
+    throw new Error(`Duplicate location: ${duplicateKey}`);
   }
   if (!Array.isArray(searchTerms) || searchTerms.length === 0) {
     throw new Error("searchTerms must be a non-empty array");
@@ -331,6 +270,48 @@ async function runBlinkitBatchCsv({ pincodes, searchTerms, quantities = [], outp
   if (!Array.isArray(quantities)) {
     throw new Error("quantities must be an array");
   }
+  if (!WORKER_ISOLATION_MODES.includes(isolation)) {
+    throw new Error(`isolation must be one of: ${WORKER_ISOLATION_MODES.join(", ")}`);
+  }
+  if (!Array.isArray(services) || services.length === 0) {
+    throw new Error("services must be a non-empty array");
+  }
+  const unknownServices = services.filter((svc) => !SERVICES.includes(svc));
+  if (unknownServices.length) {
+    throw new Error(`Unknown services: ${unknownServices.join(", ")}`);
+  }
+  if (!(Number.isInteger(maxResults) && maxResults > 0)) {
+    throw new Error("maxResults must be a positive integer");
+  }
+  const { extension } = getOutputFormat(format);
+  const outputColumns = columns || (deepMode ? listResultColumns() : RESULT_COLUMNS);
+  const columnsError = validateColumns(outputColumns, listResultColumns());
+  if (columnsError) {
+    throw new Error(columnsError);
+  }
+  if (pairs !== null && (!Array.isArray(pairs) || pairs.length === 0)) {
+    throw new Error("pairs must be a non-empty array");
+  }
+  const retryError = validateRetryOptions(retry) || validateBreakerOptions(circuitBreaker);
+  if (retryError) {
+    throw new Error(retryError);
+  }
+  const adapters = services.map((svc) => getAdapter(svc));
+  const filterChain = createFilterChain(filters);
+  const relevanceThreshold = filterChain.options.searchTerm.threshold;
+  if (paginate) {
+    for (const adapter of adapters.filter((a) => !a.mergeSearchPages)) {
+      console.warn(`${adapter.label} does not support pagination; only the first page is read`);
+    }
+    if (fastMode) {
+      console.warn("Pagination needs page loads; fast mode HTTP replay is skipped");
+    }
+  }
+  if (deepMode) {
+    for (const adapter of adapters.filter((a) => !a.productDetails)) {
+      console.warn(`${adapter.label} has no product detail support; deep mode columns stay empty`);
+    }
+  }
 
   // Combine search terms with quantities if provided
   const expandedSearchTerms = [];
@@ -344,109 +325,563 @@ async function runBlinkitBatchCsv({ pincodes, searchTerms, quantities = [], outp
     expandedSearchTerms.push(...searchTerms);
   }
 
+  if (recordFixtures && replayFixtures) {
+    throw new Error("recordFixtures and replayFixtures cannot be combined");
+  }
+  // Replay feeds recorded search JSON through the same pipeline without opening a browser
+  const fixtureSet = replayFixtures ? loadFixtureSet(replayFixtures) : null;
+  const recorder = recordFixtures ? createFixtureRecorder(recordFixtures) : null;
+  // A replayed fixture gives the same answer every time, so it is never retried
+  const retryOptions = resolveRetryOptions(fixtureSet ? { ...retry, attempts: 1 } : retry);
+  const breakerOptions = resolveBreakerOptions(circuitBreaker);
+
   fs.mkdirSync(outputDir, { recursive: true });
 
-  const rows = [];
-  let browser;
-  try {
-    browser = await puppeteer.launch(BROWSER_LAUNCH_OPTS);
-    for (const pincode of pincodes) {
-      const page = await browser.newPage();
-      await page.setViewport({ width: 1280, height: 800 });
-      await page.setUserAgent(
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36"
-      );
-
-      const locationTitle = await setBlinkitLocation(page, pincode);
-      if (!locationTitle) {
-        await page.close().catch(() => {});
+  // Aborted by the caller's signal, or by the first worker that fails so the others stop too
+  const runController = new AbortController();
+  const abortRun = () => runController.abort();
+  if (callerSignal?.aborted) {
+    abortRun();
+  }
+  callerSignal?.addEventListener("abort", abortRun, { once: true });
+  const { signal } = runController;
+
+  const workerCount = resolveConcurrency(concurrency, targets.length);
+
+  // A re-run only repeats the given (pincode, service, term) searches
+  const pairKeys = pairs
+    ? new Set(pairs.map(({ pincode, service, term }) => JSON.stringify([pincode, service, term])))
+    : null;
+  const termsFor = (pincode, service) =>
+    pairKeys
+      ? expandedSearchTerms.filter((term) => pairKeys.has(JSON.stringify([pincode, service, term])))
+      : expandedSearchTerms;
+
+  // Progress is counted in (pincode, service, term) searches; a location that could not be
+  // set counts all its terms as done
+  let total = 0;
+  for (const target of targets) {
+    for (const adapter of adapters) {
+      total += termsFor(target.key, adapter.name).length;
+    }
+  }
+  if (total === 0) {
+    throw new Error("pairs match none of the run's searches");
+  }
+  let completed = 0;
+  let restoredSearches = 0;
+  const emit = (type, data = {}) => {
+    if (typeof onProgress !== "function") {
+      return;
+    }
+    try {
+      onProgress({ type, at: new Date().toISOString(), ...data });
+    } catch (err) {
+      console.error("Progress listener failed:", err.message);
+    }
+  };
+
+  emit("run-started", {
+    pincodes: locationKeys,
+    services,
+    searchTerms: expandedSearchTerms,
+    concurrency: workerCount,
+    completed,
+    total,
+  });
+
+  // Rows are collected per pincode and flattened in input order once all workers finish.
+  // Out-of-stock matches are also kept in `unavailable` so stock alerts can see them, and
+  // every ad in `ads` with its position.
+  const collectedByPincode = targets.map(() => ({
+    rows: [],
+    rejected: [],
+    unavailable: [],
+    ads: [],
+    statuses: [],
+    failures: [],
+    emptySearches: [],
+  }));
+
+  // Shared by all workers: enough failed attempts in a row pause the whole run
+  const breaker = createCircuitBreaker({
+    ...breakerOptions,
+    onOpen: ({ failures, resumeAt }) => emit("circuit-open", { failures, resumeAt }),
+  });
+
+  // Deep mode: product page details for a kept row, fetched once per product and pincode
+  async function loadProductDetails(page, pincode, adapter, product, cache) {
+    if (!adapter.productDetails) {
+      return null;
+    }
+    if (!cache.has(product.id)) {
+      const capture = fixtureSet
+        ? await replayProductDetails(fixtureSet, adapter, pincode, product)
+        : await runProductDetails(adapter, page, product);
+      recorder?.recordDetails(adapter.name, pincode, product.id, capture);
+      cache.set(product.id, capture.details);
+      emit("product-details", {
+        pincode,
+        service: adapter.name,
+        id: product.id,
+        name: product.name,
+        found: Boolean(capture.details),
+      });
+    }
+    return cache.get(product.id);
+  }
+
+  // One search attempt through fixtures, fast mode HTTP replay or a page load
+  async function searchOnce(page, adapter, pincode, term, replay) {
+    throwIfCancelled(signal);
+    // Sponsored items are always extracted so the filter chain decides and reports them
+    const extractOptions = { includeSponsored: true };
+    if (fixtureSet) {
+      return {
+        ...(await replaySearch(fixtureSet, adapter, pincode, term, extractOptions)),
+        via: "fixture",
+      };
+    }
+    if (fastMode && !paginate) {
+      return runSearchFast(adapter, page, term, replay, extractOptions);
+    }
+    return {
+      ...(await runSearchWithMeta(adapter, page, term, extractOptions, { paginate, maxResults })),
+      via: "page",
+    };
+  }
+
+  // A location that cannot be reached or a search that keeps failing is retried with
+  // backoff; what still fails lands in `failures` so those (pincode, term) pairs can be re-run
+  function retryOptionsFor(pincode, service, term) {
+    return {
+      ...retryOptions,
+      breaker,
+      signal,
+      onRetry: ({ attempt, error, delayMs }) =>
+        emit("retry", { pincode, service, term, attempt, error, delayMs }),
+    };
+  }
+
+  async function setTargetLocation(page, target, adapter) {
+    if (fixtureSet) {
+      return { ...fixtureSet.getLocation(adapter.name, target.key), via: "fixture", attempts: 1 };
+    }
+    throwIfCancelled(signal);
+    // A saved location session skips the location picker when it is still valid
+    return setLocationWithRetry(adapter, page, target, {
+      reuseSession: reuseLocation,
+      ...retryOptionsFor(target.key, adapter.name, null),
+    });
+  }
+
+  // The search of one term at a location with the rows it kept, dropped and saw as ads. A
+  // search that still fails after its retries has `failure` set and no rows.
+  async function runTermSearch(page, place, adapter, term, replay, detailsCache) {
+    const service = adapter.name;
+    const { pincode } = place;
+    const outcome = {
+      found: 0,
+      pages: 0,
+      via: null,
+      rows: [],
+      rejected: [],
+      unavailable: [],
+      ads: [],
+      failure: null,
+    };
+    const attempt = await withRetry(() => searchOnce(page, adapter, pincode, term, replay), {
+      ...retryOptionsFor(pincode, service, term),
+      isFailure: (result) => result.error || null,
+    });
+    if (attempt.error) {
+      outcome.failure = {
+        pincode,
+        service,
+        term,
+        stage: "search",
+        error: attempt.error,
+        attempts: attempt.attempts,
+      };
+      return outcome;
+    }
+    const search = attempt.value;
+    recorder?.recordSearch(service, pincode, term, search);
+    const products = search.products.slice(0, maxResults);
+    outcome.found = products.length;
+    outcome.pages = search.pageCount || 1;
+    outcome.via = search.via;
+
+    // Extract requested quantity from search term
+    const requestedQty = extractQuantityFromTerm(term);
+
+    for (const product of products) {
+      const relevance = scoreSearchMatch(product.name, term);
+      if (product.available === false && relevance >= relevanceThreshold) {
+        outcome.unavailable.push(toRow(place, service, term, product, relevance));
+      }
+      if (product.sponsored) {
+        outcome.ads.push(toRow(place, service, term, product, relevance));
+      }
+
+      const rejection = filterChain.check(product, { term, requestedQty, adapter, relevance });
+      if (rejection) {
+        outcome.rejected.push({
+          ...toRow(place, service, term, product, relevance),
+          filter: rejection.filter,
+          reason: rejection.reason,
+          detail: rejection.message,
+        });
+        emit("product-filtered", {
+          pincode,
+          service,
+          term,
+          id: product.id,
+          name: product.name,
+          reason: rejection.reason,
+        });
         continue;
       }
 
-      for (const term of expandedSearchTerms) {
-        const products = await runBlinkitSearch(page, term);
-        
-        // Extract requested quantity from search term
-        const requestedQty = extractQuantityFromTerm(term);
-        
-        for (const product of products) {
-          // Filter out processed/preserved products (e.g., "Sun Dried Tomatoes in Oil")
-          if (isTomatoSearch(term) && isProcessedProduct(product.name)) {
-            console.log(`Filtering out processed product: ${product.name}`);
-            continue;
-          }
-          
-          // Filter out out-of-stock products
-          if (product.available === false) {
-            console.log(`Filtering out out-of-stock product: ${product.name}`);
-            continue;
-          }
+      emit("product-kept", { pincode, service, term, id: product.id, name: product.name });
+      outcome.rows.push(toRow(place, service, term, product, relevance));
+    }
 
-          // Filter out items with missing delivery time (often out of stock)
-          if (!product.deliveryTime || String(product.deliveryTime).toLowerCase() === "n/a") {
-            console.log(`Filtering out product with no delivery time: ${product.name}`);
-            continue;
-          }
+    if (deepMode) {
+      for (const row of outcome.rows) {
+        throwIfCancelled(signal);
+        const details = await loadProductDetails(page, pincode, adapter, row, detailsCache);
+        for (const field of DETAIL_FIELDS) {
+          row[field] = details ? details[field] : null;
+        }
+      }
+    }
+    return outcome;
+  }
 
-          // Filter by quantity if requested
-          if (requestedQty && !matchesQuantity(product.quantity, requestedQty)) {
-            console.log(`Filtering out product - quantity mismatch: ${product.name} (${product.quantity}) vs requested (${requestedQty.value}${requestedQty.unit})`);
-            continue;
-          }
+  // Adds a search outcome, fresh or restored from the checkpoint, to its pincode's results
+  function addSearchOutcome(collected, summary, term, outcome, restored) {
+    const { pincode, service } = summary;
+    collected.rows.push(...outcome.rows);
+    collected.rejected.push(...outcome.rejected);
+    collected.unavailable.push(...outcome.unavailable);
+    collected.ads.push(...outcome.ads);
+    completed += 1;
+    if (outcome.failure) {
+      collected.failures.push(outcome.failure);
+      summary.failed += 1;
+      emit("term-failed", {
+        pincode,
+        service,
+        term,
+        error: outcome.failure.error,
+        attempts: outcome.failure.attempts,
+        completed,
+        total,
+      });
+      return;
+    }
+    if (outcome.found === 0) {
+      collected.emptySearches.push({ pincode, service, term });
+    }
+    summary.searches += 1;
+    summary.found += outcome.found;
+    summary.kept += outcome.rows.length;
+    emit("term-searched", {
+      pincode,
+      service,
+      term,
+      found: outcome.found,
+      kept: outcome.rows.length,
+      pages: outcome.pages,
+      via: restored ? "checkpoint" : outcome.via,
+      completed,
+      total,
+    });
+  }
 
-          // Filter by search term keywords to avoid unrelated items (e.g., potato in onion search)
-          if (!matchesSearchTerm(product.name, term)) {
-            console.log(`Filtering out product - term mismatch: ${product.name} for "${term}"`);
-            continue;
+  async function processService(session, target, adapter, collected) {
+    const service = adapter.name;
+    const pincode = target.key;
+    const terms = termsFor(pincode, service);
+    if (terms.length === 0) {
+      return;
+    }
+    // When resuming, a location that was not served or whose searches all finished is restored
+    // from the checkpoint without opening a page; timed out locations and failed searches rerun
+    const checkpointed = checkpoint?.getLocation(pincode, service) || null;
+    const savedLocation =
+      checkpointed && !RETRYABLE_LOCATION_STATUSES.includes(checkpointed.status)
+        ? checkpointed
+        : null;
+    const savedSearch = (term) => {
+      const saved = checkpoint?.getSearch(pincode, service, term);
+      return saved && !saved.failure ? saved : null;
+    };
+    const restoreOnly =
+      Boolean(savedLocation) &&
+      (!savedLocation.locationTitle || terms.every((term) => savedSearch(term)));
+    const page = fixtureSet || restoreOnly ? null : await session.newPage();
+    const detailsCache = new Map(); // Structure: { productId: details | null }
+    try {
+      if (page) {
+        await page.setViewport({ width: 1280, height: 800 });
+        await page.setUserAgent(
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36"
+        );
+      }
+
+      let location = savedLocation;
+      if (!restoreOnly) {
+        location = await setTargetLocation(page, target, adapter);
+        recorder?.recordLocation(service, pincode, location.locationTitle, location);
+        if (!RETRYABLE_LOCATION_STATUSES.includes(location.status)) {
+          checkpoint?.recordLocation(pincode, service, location);
+        }
+      }
+      const { locationTitle, via: locationVia } = location;
+      const summary = {
+        pincode,
+        service,
+        status: location.status,
+        locationTitle,
+        detail: location.detail,
+        searches: 0,
+        failed: 0,
+        found: 0,
+        kept: 0,
+      };
+      collected.statuses.push(summary);
+      if (!locationTitle) {
+        if (RETRYABLE_LOCATION_STATUSES.includes(location.status)) {
+          for (const term of terms) {
+            collected.failures.push({
+              pincode,
+              service,
+              term,
+              stage: "location",
+              error: location.detail,
+              attempts: location.attempts,
+            });
           }
-          
-          rows.push({
-            pincode,
-            searchTerm: term,
-            service: "blinkit",
-            id: product.id,
-            name: product.name,
-            price: product.price,
-            originalPrice: product.originalPrice,
-            savings: product.savings,
-            quantity: product.quantity,
-            deliveryTime: product.deliveryTime,
-            discount: product.discount,
-            imageUrl: product.imageUrl,
-            available: product.available,
-          });
+          summary.failed = terms.length;
         }
+        completed += terms.length;
+        emit("location-failed", {
+          pincode,
+          service,
+          status: location.status,
+          detail: location.detail,
+          attempts: location.attempts,
+          completed,
+          total,
+        });
+        return;
+      }
+      emit("location-set", {
+        pincode,
+        service,
+        locationTitle,
+        via: restoreOnly ? "checkpoint" : locationVia,
+      });
+      const place = { pincode, locationTitle };
+
+      const replay = { template: null };
+      for (const term of terms) {
+        throwIfCancelled(signal);
+        const saved = savedSearch(term);
+        const outcome =
+          saved || (await runTermSearch(page, place, adapter, term, replay, detailsCache));
+        if (saved) {
+          restoredSearches += 1;
+        } else if (!outcome.failure) {
+          checkpoint?.recordSearch(pincode, service, term, outcome);
+        }
+        addSearchOutcome(collected, summary, term, outcome, Boolean(saved));
+      }
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
       }
-      await page.close().catch(() => {});
+    }
+  }
+
+  async function processPincode(session, index) {
+    const target = targets[index];
+    if (adapters.every((adapter) => termsFor(target.key, adapter.name).length === 0)) {
+      return;
+    }
+    emit("pincode-started", { pincode: target.key, index, count: targets.length });
+    for (const adapter of adapters) {
+      throwIfCancelled(signal);
+      await processService(session, target, adapter, collectedByPincode[index]);
+    }
+  }
+
+  let browser;
+  try {
+    if (isolation === "context" && !fixtureSet) {
+      browser = await puppeteer.launch(BROWSER_LAUNCH_OPTS);
+    }
+
+    // Each worker pulls the next pincode index until the list is exhausted
+    let nextIndex = 0;
+    const worker = async () => {
+      const session = fixtureSet ? null : await openWorkerSession(browser, isolation);
+      try {
+        while (nextIndex < targets.length) {
+          throwIfCancelled(signal);
+          const index = nextIndex;
+          nextIndex += 1;
+          await processPincode(session, index);
+        }
+      } finally {
+        if (session) {
+          await session.close();
+        }
+      }
+    };
+
+    // Every worker has stopped before the browser closes; the first failure is rethrown
+    let firstError = null;
+    await Promise.allSettled(
+      Array.from({ length: workerCount }, () =>
+        worker().catch((err) => {
+          firstError = firstError || err;
+          abortRun();
+        })
+      )
+    );
+    if (firstError) {
+      throw firstError;
     }
   } finally {
+    callerSignal?.removeEventListener("abort", abortRun);
     if (browser) {
       await browser.close();
     }
   }
 
-  const csv = buildCsv(rows);
-  const filename = `blinkit-search-${Date.now()}.csv`;
-  const csvPath = path.join(outputDir, filename);
-  fs.writeFileSync(csvPath, csv, "utf8");
+  const rows = collectedByPincode.flatMap((collected) => collected.rows);
+  const rejected = collectedByPincode.flatMap((collected) => collected.rejected);
+  const baseName = `${services.join("-")}-search-${Date.now()}`;
+  const filename = `${baseName}${extension}`;
+  const outputPath = path.join(outputDir, filename);
+  await writeOutput(outputPath, rows, { format, columns: outputColumns, flatten: flattenRow });
+
+  // The rejected and ads reports use the same format with their own columns
+  let rejectedFilename = null;
+  if (rejected.length > 0) {
+    rejectedFilename = `${baseName}-rejected${extension}`;
+    await writeOutput(path.join(outputDir, rejectedFilename), rejected, {
+      format,
+      columns: REJECTED_COLUMNS,
+    });
+  }
+  const ads = collectedByPincode.flatMap((collected) => collected.ads);
+  let adsFilename = null;
+  if (ads.length > 0) {
+    adsFilename = `${baseName}-ads${extension}`;
+    await writeOutput(path.join(outputDir, adsFilename), ads, { format, columns: AD_COLUMNS });
+  }
+  // The summary is always written, one row per (pincode, service)
+  const statuses = collectedByPincode.flatMap((collected) => collected.statuses);
+  const summaryFilename = `${baseName}-summary${extension}`;
+  await writeOutput(path.join(outputDir, summaryFilename), statuses, {
+    format,
+    columns: SUMMARY_COLUMNS,
+  });
+  const failures = collectedByPincode.flatMap((collected) => collected.failures);
+  emit("file-written", {
+    filename,
+    rowCount: rows.length,
+    rejectedFilename,
+    rejectedCount: rejected.length,
+    adsFilename,
+    adsCount: ads.length,
+    summaryFilename,
+    failureCount: failures.length,
+    completed,
+    total,
+  });
 
   return {
-    file: csvPath,
+    file: outputPath,
     filename,
+    format,
+    columns: outputColumns,
     rowCount: rows.length,
     pincodes,
+    locations: locations.length > 0 ? targets.slice(pincodes.length) : undefined,
+    locationKeys,
     searchTerms,
+    services,
     quantities: quantities.length > 0 ? quantities : undefined,
     expandedSearchTerms: expandedSearchTerms,
+    concurrency: workerCount,
+    fastMode,
+    deepMode,
+    reuseLocation,
+    paginate,
+    maxResults,
+    filters: filterChain.options,
+    retry: retryOptions,
+    circuitBreaker: { threshold: breakerOptions.threshold, cooldownMs: breakerOptions.cooldownMs },
+    circuitBreakerTrips: breaker.trips,
+    fixtures: fixtureSet
+      ? { mode: "replay", dir: fixtureSet.dir }
+      : recorder
+        ? { mode: "record", dir: recorder.dir }
+        : undefined,
     items: rows,
+    rejectedFilename,
+    rejectedCount: rejected.length,
+    rejected,
+    adsFilename,
+    adsCount: ads.length,
+    ads,
+    summaryFilename,
+    locationStatuses: statuses,
+    failureCount: failures.length,
+    failures,
+    // Searches that ran but found no products; with `failures` what a re-run repeats
+    emptySearches: collectedByPincode.flatMap((collected) => collected.emptySearches),
+    restoredSearches,
+    unavailable: collectedByPincode.flatMap((collected) => collected.unavailable),
   };
 }
 
-async function probeBlinkitSearch({ pincode, searchTerm }) {
+async function probeBlinkitSearch({
+  pincode,
+  searchTerm,
+  reuseLocation = true,
+  recordFixtures = null,
+  replayFixtures = null,
+}) {
   if (!pincode || !searchTerm) {
     throw new Error("pincode and searchTerm are required");
   }
 
+  const adapter = getAdapter("blinkit");
+  if (replayFixtures) {
+    const fixtureSet = loadFixtureSet(replayFixtures);
+    const locationTitle = fixtureSet.getLocationTitle(adapter.name, pincode);
+    if (!locationTitle) {
+      throw new Error(`No recorded location for ${pincode} in ${fixtureSet.dir}`);
+    }
+    const { products, sourceUrl } = await replaySearch(fixtureSet, adapter, pincode, searchTerm);
+    return {
+      locationTitle,
+      sourceUrl,
+      requestHeaders: null,
+      requestMethod: null,
+      responseHeaders: null,
+      cookieHeader: null,
+      sampleProducts: products.slice(0, 5),
+    };
+  }
+  const recorder = recordFixtures ? createFixtureRecorder(recordFixtures) : null;
+
   let browser;
   try {
     browser = await puppeteer.launch(BROWSER_LAUNCH_OPTS);
@@ -456,19 +891,27 @@ async function probeBlinkitSearch({ pincode, searchTerm }) {
       "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36"
     );
 
-    const locationTitle = await setBlinkitLocation(page, pincode);
+    const location = await setLocationWithRetry(adapter, page, pincode, {
+      reuseSession: reuseLocation,
+    });
+    const { locationTitle } = location;
+    recorder?.recordLocation(adapter.name, pincode, locationTitle, location);
     if (!locationTitle) {
-      throw new Error("Failed to set location");
+      throw new Error(`Failed to set location (${location.status}): ${location.detail}`);
     }
 
-    const result = await runBlinkitSearchWithMeta(page, searchTerm);
-    const cookies = await page.cookies();
-    const cookieHeader = cookies.map((c) => `${c.name}=${c.value}`).join("; ");
+    const result = await runSearchWithMeta(adapter, page, searchTerm);
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    recorder?.recordSearch(adapter.name, pincode, searchTerm, result);
+    const cookieHeader = await getCookieHeader(page);
 
     return {
       locationTitle,
       sourceUrl: result.sourceUrl,
       requestHeaders: result.requestHeaders,
+      requestMethod: result.requestMethod,
       responseHeaders: result.responseHeaders,
       cookieHeader,
       sampleProducts: result.products.slice(0, 5),
@@ -481,6 +924,7 @@ async function probeBlinkitSearch({ pincode, searchTerm }) {
 }
 
 module.exports = {
+  listResultColumns,
   runBlinkitBatchCsv,
   probeBlinkitSearch,
 };
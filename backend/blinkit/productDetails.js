@@ -0,0 +1,98 @@
+// Blinkit product pages load their content from /v1/layout/product/<id>. The attributes
+// ("Shelf Life", "Country Of Origin", ...) come as title/subtitle pairs spread across
+// snippets, and the category sits in the tracking metadata as l0/l1/l2 categories.
+
+const ATTRIBUTE_FIELDS = {
+  brand: ["brand"],
+  description: ["description", "key features", "about the product"],
+  shelfLife: ["shelf life"],
+  countryOfOrigin: ["country of origin"],
+  seller: ["seller", "seller name", "sold by", "marketed by"],
+};
+
+function productDetailUrl(product) {
+  const slug =
+    String(product.name || "product")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "product";
+  return `https://blinkit.com/prn/${slug}/prid/${encodeURIComponent(product.id)}`;
+}
+
+function isProductDetailResponse(url, json, product) {
+  return Boolean(
+    json &&
+      json.response &&
+      String(url || "").includes(`/layout/product/${product.id}`)
+  );
+}
+
+function textOf(value) {
+  if (typeof value === "string") {
+    return value.trim();
+  }
+  return typeof value?.text === "string" ? value.text.trim() : "";
+}
+
+function walk(value, visit, depth = 0) {
+  if (!value || typeof value !== "object" || depth > 12) {
+    return;
+  }
+  visit(value);
+  for (const child of Array.isArray(value) ? value : Object.values(value)) {
+    walk(child, visit, depth + 1);
+  }
+}
+
+function extractProductDetails(json) {
+  const attributes = new Map(); // Structure: { lowercased label: value }
+  const categories = {};
+  const variants = new Map(); // Structure: { id: variant }
+  let brand = null;
+
+  walk(json?.response, (node) => {
+    const label = textOf(node.title).toLowerCase();
+    const value = textOf(node.subtitle) || textOf(node.value);
+    if (label && value && !attributes.has(label)) {
+      attributes.set(label, value);
+    }
+
+    for (const level of ["l0_category", "l1_category", "l2_category"]) {
+      if (typeof node[level] === "string" && !categories[level]) {
+        categories[level] = node[level];
+      }
+    }
+    if (!brand && typeof node.brand === "string" && node.brand.trim()) {
+      brand = node.brand.trim();
+    }
+
+    // Variant cards share the search snippet shape
+    const id = node.identity?.id || node.product_id;
+    if (id && textOf(node.variant) && !variants.has(String(id))) {
+      variants.set(String(id), {
+        id: String(id),
+        quantity: textOf(node.variant),
+        price: textOf(node.normal_price) || null,
+        available: node.is_sold_out !== true && !(node.inventory <= 0),
+      });
+    }
+  });
+
+  const details = { variants: Array.from(variants.values()) };
+  for (const [field, labels] of Object.entries(ATTRIBUTE_FIELDS)) {
+    const label = labels.find((candidate) => attributes.has(candidate));
+    details[field] = label ? attributes.get(label) : null;
+  }
+  details.brand = details.brand || brand;
+  const path = ["l0_category", "l1_category", "l2_category"]
+    .map((level) => categories[level])
+    .filter(Boolean);
+  details.categoryPath = path.length ? path.join(" > ") : null;
+  return details;
+}
+
+module.exports = {
+  productDetailUrl,
+  isProductDetailResponse,
+  extractProductDetails,
+};
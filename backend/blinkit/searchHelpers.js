@@ -189,7 +189,10 @@ function hasAdSignal(value, depth = 0) {
   return false;
 }
 
-function extractProductInformation(prodJson) {
+// Sponsored snippets are skipped unless includeSponsored is set, in which case they are
+// returned with sponsored: true. position is the 1-based slot among product snippets,
+// ads included; organicRank counts only non-sponsored ones (null for ads).
+function extractProductInformation(prodJson, { includeSponsored = false } = {}) {
   console.log("Extracting product information from JSON response...");
   const prods = [];
 
@@ -199,12 +202,10 @@ function extractProductInformation(prodJson) {
   }
 
   const snippets = prodJson.response.snippets;
+  let position = 0;
+  let organicRank = 0;
 
   snippets.forEach((snip, idx) => {
-    if (isSponsoredSnippet(snip)) {
-      console.log(`Skipping sponsored/ad snippet at index ${idx}.`);
-      return;
-    }
     if (!snip.data || 
         snip.widget_type === "image_text_vr_type_header" || 
         !snip.data.name || 
@@ -214,6 +215,16 @@ function extractProductInformation(prodJson) {
       return;
     }
 
+    const sponsored = isSponsoredSnippet(snip);
+    position += 1;
+    if (!sponsored) {
+      organicRank += 1;
+    }
+    if (sponsored && !includeSponsored) {
+      console.log(`Skipping sponsored/ad snippet at index ${idx}.`);
+      return;
+    }
+
     const raw = snip.data;
 
     try {
@@ -270,7 +281,10 @@ function extractProductInformation(prodJson) {
         deliveryTime: delTime,
         discount: disc,
         imageUrl: imgUrl,
-        available: avail
+        available: avail,
+        sponsored,
+        position,
+        organicRank: sponsored ? null : organicRank
       });
 
     } catch (err) {
@@ -282,8 +296,43 @@ function extractProductInformation(prodJson) {
   return prods;
 }
 
+// Infinite scroll loads further pages of snippets; merge them in order, keeping the first
+// snippet seen for each identity.id
+function mergeSearchPages(pages) {
+  const seen = new Set();
+  const snippets = [];
+  for (const json of pages) {
+    const pageSnippets = Array.isArray(json?.response?.snippets) ? json.response.snippets : [];
+    for (const snip of pageSnippets) {
+      const id = snip?.data?.identity?.id;
+      if (id !== undefined && id !== null) {
+        if (seen.has(String(id))) {
+          continue;
+        }
+        seen.add(String(id));
+      }
+      snippets.push(snip);
+    }
+  }
+  return { ...pages[0], response: { ...pages[0]?.response, snippets } };
+}
+
+function isSearchResponse(url, json) {
+  return Boolean(
+    json &&
+      json.response &&
+      Array.isArray(json.response.snippets) &&
+      json.response.snippets.some((s) => s.data && s.data.identity) &&
+      !String(url || "").includes("empty_search")
+  );
+}
+
 module.exports = {
   ensureContentLoaded,
   extractProductInformation,
+  hasAdSignal,
+  isSearchResponse,
+  isSponsoredSnippet,
+  mergeSearchPages,
   navigateToSearch
 };
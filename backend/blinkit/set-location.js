@@ -1,109 +1,143 @@
-async function setBlinkitLocation(page, loc) {
-  console.log(`Setting Blinkit location to: ${loc}`);
-  for (let attempt = 1; attempt <= 2; attempt += 1) {
-    try {
-      if (!page.url().includes("blinkit.com")) {
-        await page.goto("https://blinkit.com/", {
-          waitUntil: "domcontentloaded",
-          timeout: 300000,
-        });
-      }
-      await delay(1000);
-      await openLocationPicker(page);
-      const locationInputSelectors = [
-        '[name="select-locality"]',
-        'input[type="search"]',
-        '[placeholder*="Search"]',
-        '[placeholder*="address"]',
-        '[placeholder*="location"]',
-        '[placeholder*="area"]',
-        '[aria-label*="location"]',
-        '[data-testid*="location"] input',
-        'input[type="text"]',
-      ];
-
-      const locationInput = await findFirstSelector(page, locationInputSelectors, 20000);
-      if (!locationInput) {
-        throw new Error("Location input not found on Blinkit");
-      }
+const {
+  findFirstSelector,
+  getFirstTextFromSelectors,
+  clickFirstSelector,
+  pageTextMatches,
+  emulateGeolocation,
+  delay,
+} = require("../adapters/pageUtils");
+const {
+  locationError,
+  hasCoordinates,
+  normalizeLocation,
+  locationSearchText,
+  matchesLocationTitle,
+} = require("../lib/locations");
 
-      await page.click(locationInput).catch(() => {});
-      await page
-        .waitForFunction(
-          (selector) => {
-            const element = document.querySelector(selector);
-            return element && !element.disabled;
-          },
-          { timeout: 20000 },
-          locationInput
-        )
-        .catch(() => console.log("Proceeded without confirmation of enabled input"));
-
-      await page.focus(locationInput).catch(() => {});
-      await page.keyboard.press("Control+A").catch(() => {});
-      await page.keyboard.press("Meta+A").catch(() => {});
-      await page.keyboard.press("Backspace").catch(() => {});
-      await page.type(locationInput, loc);
-      await new Promise((r) => setTimeout(r, 3000));
-      try {
-        const suggestionSelectors = [
-          '[role="listbox"] [role="option"]',
-          'li[role="option"]',
-          '[role="option"]',
-          ".LocationSearchList__LocationListContainer-sc-93rfr7-0:nth-child(1)",
-          '[class*="LocationSearchList"]',
-          '[class*="LocationList"]',
-          '[class*="LocationSearch"]',
-        ];
-        const suggestion = await findFirstSelector(page, suggestionSelectors, 10000);
-        if (suggestion) {
-          await page.click(suggestion);
-        } else {
-          await page.$$eval('[class*="Location"]', (elements) => {
-            if (elements.length > 0) elements[0].click();
-          });
-        }
-      } catch (err) {
-        console.log("Failed selecting first location suggestion, trying Enter key");
-        await page.keyboard.press("Enter").catch(() => {});
-      }
+const BLINKIT_HOME = "https://blinkit.com/";
+// Shown instead of the store when Blinkit does not deliver to the chosen location
+const NOT_SERVICEABLE_PATTERN =
+  /not (?:delivering|serving|serviceable)|(?:don['’]t|do not) deliver/i;
 
-      await new Promise((r) => setTimeout(r, 3000));
-      await page
-        .waitForFunction(
-          () =>
-            !document.querySelector('[class*="LocationSearchList"]') &&
-            !document.querySelector('[class*="LocationList"]'),
-          { timeout: 8000 }
-        )
-        .catch(() => {});
-
-      const locTitle = await isLocationSet(page);
-      if (locTitle && locTitle !== "400") {
-        const locStr = String(loc || "");
-        const isPincode = /^\d{6}$/.test(locStr);
-        if (!isPincode || String(locTitle).includes(locStr)) {
-          console.log(`Location successfully set to: ${locTitle}`);
-          return locTitle;
-        }
-        console.log(
-          `Location title mismatch for ${loc}: "${locTitle}". Retrying...`
-        );
-      } else {
-        console.log(`Failed to verify location after setting to: ${loc}`);
-      }
-    } catch (err) {
-      console.error("Error setting Blinkit location:", err);
+async function setBlinkitLocation(page, loc) {
+  const location = normalizeLocation(loc);
+  const searchText = locationSearchText(location);
+  console.log(`Setting Blinkit location to: ${location.key}`);
+  if (!page.url().includes("blinkit.com")) {
+    await page.goto(BLINKIT_HOME, { waitUntil: "domcontentloaded", timeout: 60000 });
+  }
+  await delay(1000);
+  await openLocationPicker(page);
+
+  // Coordinates go through "Detect my location"; typing the address is the fallback
+  const detected = hasCoordinates(location) && (await detectCurrentLocation(page, location));
+  if (!detected) {
+    if (!searchText) {
+      throw new Error("Blinkit location picker has no detect location button");
     }
+    await searchLocality(page, searchText);
+  }
+
+  await new Promise((r) => setTimeout(r, 3000));
+  await page
+    .waitForFunction(
+      () =>
+        !document.querySelector('[class*="LocationSearchList"]') &&
+        !document.querySelector('[class*="LocationList"]'),
+      { timeout: 8000 }
+    )
+    .catch(() => {});
+
+  if (await pageTextMatches(page, NOT_SERVICEABLE_PATTERN)) {
+    throw locationError("not_serviceable", `Blinkit does not deliver to ${location.key}`);
+  }
+
+  const locTitle = await isLocationSet(page);
+  if (!locTitle || locTitle === "400") {
+    console.log(`Failed to verify location after setting to: ${location.key}`);
+    throw locationError("timeout", `Blinkit showed no location after setting ${location.key}`);
+  }
+  if (!matchesLocationTitle(location, locTitle)) {
+    console.log(`Location title mismatch for ${location.key}: "${locTitle}"`);
+    throw locationError("location_mismatch", `Blinkit resolved ${location.key} to "${locTitle}"`);
+  }
+  console.log(`Location successfully set to: ${locTitle}`);
+  return locTitle;
+}
+
+// Type into the locality search and pick the first suggestion
+async function searchLocality(page, text) {
+  const locationInputSelectors = [
+    '[name="select-locality"]',
+    'input[type="search"]',
+    '[placeholder*="Search"]',
+    '[placeholder*="address"]',
+    '[placeholder*="location"]',
+    '[placeholder*="area"]',
+    '[aria-label*="location"]',
+    '[data-testid*="location"] input',
+    'input[type="text"]',
+  ];
+
+  const locationInput = await findFirstSelector(page, locationInputSelectors, 20000);
+  if (!locationInput) {
+    throw new Error("Location input not found on Blinkit");
+  }
+
+  await page.click(locationInput).catch(() => {});
+  await page
+    .waitForFunction(
+      (selector) => {
+        const element = document.querySelector(selector);
+        return element && !element.disabled;
+      },
+      { timeout: 20000 },
+      locationInput
+    )
+    .catch(() => console.log("Proceeded without confirmation of enabled input"));
 
-    if (attempt < 2) {
-      await page.goto("https://blinkit.com/", {
-        waitUntil: "domcontentloaded",
-        timeout: 300000,
+  await page.focus(locationInput).catch(() => {});
+  await page.keyboard.press("Control+A").catch(() => {});
+  await page.keyboard.press("Meta+A").catch(() => {});
+  await page.keyboard.press("Backspace").catch(() => {});
+  await page.type(locationInput, text);
+  await new Promise((r) => setTimeout(r, 3000));
+  try {
+    const suggestionSelectors = [
+      '[role="listbox"] [role="option"]',
+      'li[role="option"]',
+      '[role="option"]',
+      ".LocationSearchList__LocationListContainer-sc-93rfr7-0:nth-child(1)",
+      '[class*="LocationSearchList"]',
+      '[class*="LocationList"]',
+      '[class*="LocationSearch"]',
+    ];
+    const suggestion = await findFirstSelector(page, suggestionSelectors, 10000);
+    if (suggestion) {
+      await page.click(suggestion);
+    } else {
+      await page.$$eval('[class*="Location"]', (elements) => {
+        if (elements.length > 0) elements[0].click();
       });
     }
+  } catch (err) {
+    console.log("Failed selecting first location suggestion, trying Enter key");
+    await page.keyboard.press("Enter").catch(() => {});
+  }
+}
+
+async function detectCurrentLocation(page, location) {
+  await emulateGeolocation(page, BLINKIT_HOME, location);
+  const button = await clickFirstSelector(page, [
+    "button::-p-text(Detect my location)",
+    '[class*="GetLocation"]',
+    '[class*="DetectLocation"]',
+  ]);
+  if (!button) {
+    return false;
   }
-  return null;
+  await delay(3000);
+  return true;
 }
 
 async function isLocationSet(page) {
@@ -129,6 +163,12 @@ async function isLocationSet(page) {
   }
 }
 
+// Title of the location a restored session shows, or null when none is set
+async function getBlinkitLocationTitle(page) {
+  const title = await isLocationSet(page);
+  return title && title !== "400" ? title : null;
+}
+
 async function openLocationPicker(page) {
   const openSelectors = [
     '[data-testid="header-location"]',
@@ -152,38 +192,8 @@ async function openLocationPicker(page) {
 }
 
 module.exports = {
+  BLINKIT_HOME,
   setBlinkitLocation,
   isLocationSet,
+  getBlinkitLocationTitle,
 };
-
-async function findFirstSelector(page, selectors, timeout) {
-  for (const sel of selectors) {
-    try {
-      await page.waitForSelector(sel, { timeout });
-      return sel;
-    } catch (e) {
-      // try next selector
-    }
-  }
-  return null;
-}
-
-async function getFirstTextFromSelectors(page, selectors, timeout) {
-  for (const sel of selectors) {
-    try {
-      await page.waitForSelector(sel, { timeout });
-      const txt = await page.$eval(sel, (el) => el.textContent.trim());
-      if (txt && !/select|enter/i.test(txt)) {
-        return txt;
-      }
-    } catch (e) {
-      // try next selector
-    }
-  }
-  return "";
-}
-
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
@@ -0,0 +1,28 @@
+const { defineAdapter } = require("../adapters/contract");
+const {
+  navigateToSearch,
+  ensureContentLoaded,
+  extractProductInformation,
+  isSearchResponse,
+  isSponsored,
+} = require("./searchHelpers");
+const {
+  INSTAMART_HOME,
+  setInstamartLocation,
+  isInstamartLocationSet,
+} = require("./set-location");
+
+module.exports = defineAdapter({
+  name: "instamart",
+  label: "Instamart",
+  // Instamart shows one store-wide ETA instead of a delivery time per product
+  productEta: false,
+  homeUrl: INSTAMART_HOME,
+  setLocation: setInstamartLocation,
+  isLocationSet: isInstamartLocationSet,
+  navigateToSearch,
+  ensureContentLoaded,
+  isSearchResponse,
+  extractProducts: extractProductInformation,
+  isSponsored,
+});
@@ -0,0 +1,110 @@
+const { normalizeProduct, formatRupees, computeSavings } = require("../adapters/contract");
+
+const INSTAMART_IMAGE_BASE =
+  "https://instamart-media-assets.swiggy.com/swiggy/image/upload/fl_lossy,f_auto,q_auto,h_272,w_252/";
+
+async function navigateToSearch(page, searchTerm) {
+  const url = `https://www.swiggy.com/instamart/search?custom_back=true&query=${encodeURIComponent(searchTerm)}`;
+  console.log(`Going to: ${url}`);
+  try {
+    await page.goto(url, { waitUntil: "networkidle2", timeout: 50000 });
+    await new Promise((r) => setTimeout(r, 2000));
+    return true;
+  } catch (err) {
+    console.log(`Error navigating to Instamart search URL: ${err.message}`);
+    return false;
+  }
+}
+
+async function ensureContentLoaded(page) {
+  try {
+    await page.waitForSelector('[data-testid="default_container_ux4"], [data-testid*="item-card"]', {
+      timeout: 10000,
+    });
+    return true;
+  } catch (err) {
+    console.log(`Instamart product cards not found: ${err.message}`);
+    return false;
+  }
+}
+
+// Results come as PRODUCT_LIST widgets; each entry groups one product's variations
+function collectItems(json) {
+  const widgets = Array.isArray(json?.data?.widgets) ? json.data.widgets : [];
+  const items = [];
+  for (const widget of widgets) {
+    if (Array.isArray(widget?.data)) {
+      items.push(...widget.data.filter((d) => d && Array.isArray(d.variations)));
+    }
+  }
+  return items;
+}
+
+function isSearchResponse(url, json) {
+  return /instamart\/search/i.test(String(url || "")) && collectItems(json).length > 0;
+}
+
+function isSponsored(item) {
+  return Boolean(
+    item?.is_ad ||
+      item?.ad_info ||
+      item?.adTrackingContext ||
+      /sponsor|\bad\b/i.test(String(item?.tag || item?.label || ""))
+  );
+}
+
+// position counts every product item, ads included; organicRank skips ads
+function extractProductInformation(json, { includeSponsored = false } = {}) {
+  const prods = [];
+  let position = 0;
+  let organicRank = 0;
+  collectItems(json).forEach((item, idx) => {
+    const sponsored = isSponsored(item);
+    position += 1;
+    if (!sponsored) {
+      organicRank += 1;
+    }
+    if (sponsored && !includeSponsored) {
+      console.log(`Skipping sponsored Instamart item at index ${idx}.`);
+      return;
+    }
+
+    const variant = item.variations[0] || {};
+    const priceInfo = variant.price || {};
+    const price = formatRupees(priceInfo.offer_price ?? priceInfo.store_price);
+    const originalPrice = formatRupees(priceInfo.mrp);
+    const imageId = Array.isArray(variant.images) ? variant.images[0] : null;
+
+    prods.push(
+      normalizeProduct(
+        {
+          id: variant.id || item.product_id,
+          name: variant.display_name || item.display_name,
+          price,
+          originalPrice: originalPrice !== price ? originalPrice : null,
+          savings: computeSavings(price, originalPrice),
+          quantity: variant.quantity || variant.sku_quantity_with_combo,
+          deliveryTime: null,
+          discount: priceInfo.offer_applied?.listing_description || null,
+          imageUrl: imageId ? `${INSTAMART_IMAGE_BASE}${imageId}` : "",
+          available: variant.inventory ? variant.inventory.in_stock !== false : true,
+          sponsored,
+          position,
+          organicRank: sponsored ? null : organicRank,
+        },
+        idx
+      )
+    );
+  });
+
+  console.log(`Successfully processed ${prods.length} products from Instamart response.`);
+  return prods;
+}
+
+module.exports = {
+  ensureContentLoaded,
+  extractProductInformation,
+  isSearchResponse,
+  isSponsored,
+  navigateToSearch,
+};
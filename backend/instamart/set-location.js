@@ -0,0 +1,138 @@
+const {
+  findFirstSelector,
+  getFirstTextFromSelectors,
+  clickFirstSelector,
+  clearAndType,
+  pageTextMatches,
+  emulateGeolocation,
+  delay,
+} = require("../adapters/pageUtils");
+const {
+  locationError,
+  hasCoordinates,
+  normalizeLocation,
+  locationSearchText,
+  matchesLocationTitle,
+} = require("../lib/locations");
+
+// Shown instead of the store when Instamart does not deliver to the chosen location
+const NOT_SERVICEABLE_PATTERN = /unserviceable|not serviceable|(?:don['’]t|do not) deliver/i;
+const INSTAMART_HOME = "https://www.swiggy.com/instamart";
+
+async function setInstamartLocation(page, loc) {
+  const location = normalizeLocation(loc);
+  const searchText = locationSearchText(location);
+  console.log(`Setting Instamart location to: ${location.key}`);
+  if (!page.url().includes("swiggy.com/instamart")) {
+    await page.goto(INSTAMART_HOME, { waitUntil: "domcontentloaded", timeout: 60000 });
+  }
+  await delay(1000);
+
+  await clickFirstSelector(page, [
+    '[data-testid="header-location-container"]',
+    '[data-testid="DEFAULT_ADDRESS_CONTAINER"]',
+    '[data-testid*="location"]',
+    'div[class*="LocationHeader"]',
+  ]);
+  await clickFirstSelector(page, [
+    '[data-testid="search-location"]',
+    'div[class*="SearchLocation"]',
+  ]);
+
+  // Coordinates go through "use my current location"; typing the address is the fallback
+  const detected = hasCoordinates(location) && (await detectCurrentLocation(page, location));
+  if (!detected) {
+    if (!searchText) {
+      throw new Error("Instamart location picker has no current location button");
+    }
+    const locationInput = await findFirstSelector(
+      page,
+      [
+        'input[placeholder*="Search for area"]',
+        'input[placeholder*="area"]',
+        'input[placeholder*="address"]',
+        'input[type="text"]',
+      ],
+      15000
+    );
+    if (!locationInput) {
+      throw new Error("Location input not found on Instamart");
+    }
+
+    await clearAndType(page, locationInput, searchText);
+    await delay(3000);
+
+    const suggestion = await findFirstSelector(
+      page,
+      [
+        '[data-testid="location-search-result"]',
+        '[data-testid*="search-result"]',
+        '[class*="SearchResult"]',
+        '[role="option"]',
+      ],
+      10000
+    );
+    if (suggestion) {
+      await page.click(suggestion);
+    } else {
+      await page.keyboard.press("Enter").catch(() => {});
+    }
+  }
+  await delay(2000);
+
+  await clickFirstSelector(page, [
+    '[data-testid="location-confirm-button"]',
+    'button[class*="Confirm"]',
+    'button[aria-label*="Confirm"]',
+  ]);
+  await delay(2000);
+
+  if (await pageTextMatches(page, NOT_SERVICEABLE_PATTERN)) {
+    throw locationError("not_serviceable", `Instamart does not deliver to ${location.key}`);
+  }
+
+  const locTitle = await isInstamartLocationSet(page);
+  if (!locTitle) {
+    console.log(`Failed to verify Instamart location after setting to: ${location.key}`);
+    throw locationError("timeout", `Instamart showed no location after setting ${location.key}`);
+  }
+  if (!matchesLocationTitle(location, locTitle)) {
+    console.log(`Instamart location title mismatch for ${location.key}: "${locTitle}"`);
+    throw locationError("location_mismatch", `Instamart resolved ${location.key} to "${locTitle}"`);
+  }
+  console.log(`Instamart location successfully set to: ${locTitle}`);
+  return locTitle;
+}
+
+async function detectCurrentLocation(page, location) {
+  await emulateGeolocation(page, INSTAMART_HOME, location);
+  const button = await clickFirstSelector(page, [
+    '[data-testid="use-current-location"]',
+    "::-p-text(Use my current location)",
+    "::-p-text(Get current location)",
+  ]);
+  if (!button) {
+    return false;
+  }
+  await delay(3000);
+  return true;
+}
+
+async function isInstamartLocationSet(page) {
+  const txt = await getFirstTextFromSelectors(
+    page,
+    [
+      '[data-testid="header-location-container"] [data-testid*="address"]',
+      '[data-testid="DEFAULT_ADDRESS_CONTAINER"]',
+      '[data-testid="header-location-container"]',
+    ],
+    8000
+  );
+  return txt || null;
+}
+
+module.exports = {
+  INSTAMART_HOME,
+  setInstamartLocation,
+  isInstamartLocationSet,
+};
@@ -0,0 +1,400 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { SERVICES } = require("../adapters");
+
+const DEFAULT_RULES_FILE = path.join(__dirname, "..", "data", "alerts.json");
+const DEFAULT_DELIVERIES_FILE = path.join(__dirname, "..", "data", "alert-deliveries.json");
+const ALERT_TYPES = ["price_below", "price_above", "out_of_stock"];
+const MAX_DELIVERIES = 500;
+const REQUEST_TIMEOUT_MS = 10000;
+const RETRY_BASE_DELAY_MS = 1000;
+
+const rules = new Map(); // Structure: { ruleId: rule }
+let deliveries = []; // Newest first, capped at MAX_DELIVERIES
+
+let rulesFile = DEFAULT_RULES_FILE;
+let deliveriesFile = DEFAULT_DELIVERIES_FILE;
+
+function initAlerts({ file = DEFAULT_RULES_FILE, logFile = DEFAULT_DELIVERIES_FILE } = {}) {
+  rulesFile = file;
+  deliveriesFile = logFile;
+  rules.clear();
+
+  for (const rule of readJsonArray(rulesFile)) {
+    rules.set(rule.id, rule);
+  }
+  deliveries = readJsonArray(deliveriesFile).slice(0, MAX_DELIVERIES);
+}
+
+function readJsonArray(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    console.error(`Failed to read ${file}:`, err.message);
+    return [];
+  }
+}
+
+function getMaxAttempts() {
+  const parsed = parseInt(process.env.ALERT_MAX_ATTEMPTS, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 4;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Returns an error message for an invalid rule, or null
+function validateAlertRule(rule) {
+  if (!rule || !ALERT_TYPES.includes(rule.type)) {
+    return `type must be one of: ${ALERT_TYPES.join(", ")}`;
+  }
+  if (!rule.productId && !rule.searchTerm) {
+    return "productId or searchTerm is required";
+  }
+  if (rule.type !== "out_of_stock") {
+    const threshold = rule.threshold === null ? NaN : Number(rule.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0) {
+      return "threshold must be a non-negative number of rupees";
+    }
+  }
+  if (rule.service && !SERVICES.includes(rule.service)) {
+    return `Unsupported service: ${rule.service}. Supported: ${SERVICES.join(", ")}`;
+  }
+  if (rule.webhookUrl && !isHttpUrl(rule.webhookUrl)) {
+    return "webhookUrl must be an http(s) URL";
+  }
+  if (!rule.webhookUrl && !process.env.ALERT_WEBHOOK_URL) {
+    return "webhookUrl is required when ALERT_WEBHOOK_URL is not set";
+  }
+  return null;
+}
+
+function pickRuleFields(fields) {
+  return {
+    name: fields.name ? String(fields.name) : null,
+    type: fields.type,
+    productId: fields.productId ? String(fields.productId) : null,
+    searchTerm: fields.searchTerm ? String(fields.searchTerm).trim() : null,
+    pincode: fields.pincode ? String(fields.pincode) : null,
+    service: fields.service || null,
+    threshold: fields.type === "out_of_stock" ? null : Number(fields.threshold),
+    webhookUrl: fields.webhookUrl || null,
+    enabled: fields.enabled !== false,
+  };
+}
+
+function listAlertRules() {
+  return Array.from(rules.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function getAlertRule(id) {
+  return rules.get(id) || null;
+}
+
+function createAlertRule(fields) {
+  const now = new Date().toISOString();
+  const rule = {
+    id: crypto.randomUUID(),
+    ...pickRuleFields(fields),
+    createdAt: now,
+    updatedAt: now,
+    lastTriggeredAt: null,
+    matchedKeys: [],
+  };
+  if (!rule.name) {
+    rule.name = describeRule(rule);
+  }
+  rules.set(rule.id, rule);
+  saveRules();
+  return rule;
+}
+
+// Replaces the editable fields with an already validated merge of old and new values
+function updateAlertRule(id, fields) {
+  const rule = rules.get(id);
+  if (!rule) {
+    return null;
+  }
+  // A changed rule starts over, so products already matching it alert again
+  Object.assign(rule, pickRuleFields(fields), {
+    updatedAt: new Date().toISOString(),
+    matchedKeys: [],
+  });
+  if (!rule.name) {
+    rule.name = describeRule(rule);
+  }
+  saveRules();
+  return rule;
+}
+
+function deleteAlertRule(id) {
+  const existed = rules.delete(id);
+  if (existed) {
+    saveRules();
+  }
+  return existed;
+}
+
+function listDeliveries({ ruleId } = {}) {
+  return deliveries.filter((d) => !ruleId || d.ruleId === ruleId);
+}
+
+// "onion 1kg at 560024 below ₹40"
+function describeRule(rule) {
+  const target = rule.searchTerm || rule.productId;
+  const where = [rule.service, rule.pincode && `at ${rule.pincode}`].filter(Boolean).join(" ");
+  const condition =
+    rule.type === "price_below"
+      ? `below ₹${rule.threshold}`
+      : rule.type === "price_above"
+        ? `above ₹${rule.threshold}`
+        : "out of stock";
+  return [target, where, condition].filter(Boolean).join(" ");
+}
+
+function normalizeTerm(term) {
+  return String(term || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function matchesTarget(rule, row) {
+  if (rule.productId && String(row.id) !== rule.productId) {
+    return false;
+  }
+  if (rule.searchTerm && normalizeTerm(row.searchTerm) !== normalizeTerm(rule.searchTerm)) {
+    return false;
+  }
+  if (rule.pincode && String(row.pincode) !== rule.pincode) {
+    return false;
+  }
+  if (rule.service && row.service !== rule.service) {
+    return false;
+  }
+  return true;
+}
+
+// The same product at the same place across runs
+function matchKey(row) {
+  return JSON.stringify([String(row.pincode), row.service, String(row.id)]);
+}
+
+// Keys of the rule's products that a batch saw at all, in stock or not, kept or filtered
+function observedKeys(rule, { items = [], unavailable = [], rejected = [] }) {
+  return new Set(
+    [...items, ...unavailable, ...rejected]
+      .filter((row) => matchesTarget(rule, row))
+      .map(matchKey)
+  );
+}
+
+// Rows of a batch result that meet the rule's condition
+function findMatches(rule, { items = [], unavailable = [] }) {
+  if (rule.type === "out_of_stock") {
+    return unavailable.filter((row) => matchesTarget(rule, row));
+  }
+  return items.filter((row) => {
+    if (!matchesTarget(rule, row) || typeof row.priceValue !== "number") {
+      return false;
+    }
+    return rule.type === "price_below"
+      ? row.priceValue < rule.threshold
+      : row.priceValue > rule.threshold;
+  });
+}
+
+function toMatch(row) {
+  return {
+    pincode: row.pincode,
+    service: row.service,
+    searchTerm: row.searchTerm,
+    id: row.id,
+    name: row.name,
+    quantity: row.quantity,
+    price: row.priceValue ?? null,
+    mrp: row.mrpValue ?? null,
+    pricePerUnit: row.pricePerUnit ?? null,
+    perUnit: row.perUnit ?? null,
+    available: row.available !== false,
+  };
+}
+
+function buildPayload(rule, matches, { jobId = null, test = false } = {}) {
+  return {
+    event: "price-alert",
+    test,
+    jobId,
+    triggeredAt: new Date().toISOString(),
+    rule: {
+      id: rule.id,
+      name: rule.name,
+      type: rule.type,
+      productId: rule.productId,
+      searchTerm: rule.searchTerm,
+      pincode: rule.pincode,
+      service: rule.service,
+      threshold: rule.threshold,
+    },
+    matches: matches.map(toMatch),
+  };
+}
+
+// Check every enabled rule against a finished batch and deliver one webhook per triggered rule.
+// A rule triggers for products that start matching it: each rule keeps the keys of the products
+// that matched when last seen, and a product seen again without matching is dropped from them.
+// Products this batch did not see keep their state.
+async function evaluateAlerts(result, { jobId = null } = {}) {
+  const now = new Date().toISOString();
+  const triggered = [];
+  for (const rule of rules.values()) {
+    if (!rule.enabled) {
+      continue;
+    }
+    const previous = new Set(rule.matchedKeys || []);
+    const seen = observedKeys(rule, result || {});
+    const current = new Set([...previous].filter((key) => !seen.has(key)));
+    const matches = [];
+    for (const row of findMatches(rule, result || {})) {
+      const key = matchKey(row);
+      if (!previous.has(key) && !current.has(key)) {
+        matches.push(row);
+      }
+      current.add(key);
+    }
+    rule.matchedKeys = Array.from(current);
+    if (matches.length > 0) {
+      rule.lastTriggeredAt = now;
+      triggered.push({ rule, matches });
+    }
+  }
+  if (rules.size > 0) {
+    saveRules();
+  }
+
+  return Promise.all(
+    triggered.map(({ rule, matches }) => deliver(rule, buildPayload(rule, matches, { jobId })))
+  );
+}
+
+// Send a sample payload so a webhook can be checked without waiting for a batch run
+function sendTestAlert(id) {
+  const rule = rules.get(id);
+  if (!rule) {
+    return null;
+  }
+  const sample = {
+    pincode: rule.pincode || "560001",
+    service: rule.service || "blinkit",
+    searchTerm: rule.searchTerm,
+    id: rule.productId || "sample",
+    name: rule.searchTerm || rule.productId,
+    priceValue: rule.threshold,
+    available: rule.type !== "out_of_stock",
+  };
+  return deliver(rule, buildPayload(rule, [sample], { test: true }));
+}
+
+// POST with exponential backoff (1s, 2s, 4s, ...); non-2xx responses count as failures
+async function deliver(rule, payload) {
+  const url = rule.webhookUrl || process.env.ALERT_WEBHOOK_URL;
+  const maxAttempts = getMaxAttempts();
+  const delivery = {
+    id: crypto.randomUUID(),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    jobId: payload.jobId,
+    test: payload.test,
+    url,
+    matchCount: payload.matches.length,
+    status: "pending",
+    attempts: 0,
+    responseStatus: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+  };
+
+  if (!url) {
+    delivery.status = "failed";
+    delivery.error = "No webhook URL configured";
+    logDelivery(delivery);
+    return delivery;
+  }
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    delivery.attempts = attempt;
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      delivery.responseStatus = response.status;
+      if (response.ok) {
+        delivery.status = "delivered";
+        delivery.error = null;
+        delivery.deliveredAt = new Date().toISOString();
+        break;
+      }
+      delivery.error = `Webhook responded with HTTP ${response.status}`;
+    } catch (err) {
+      delivery.responseStatus = null;
+      delivery.error = err.message;
+    }
+
+    if (attempt < maxAttempts) {
+      await new Promise((resolve) => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)));
+    }
+  }
+
+  if (delivery.status !== "delivered") {
+    delivery.status = "failed";
+    console.error(`Alert ${rule.id} delivery to ${url} failed: ${delivery.error}`);
+  }
+  logDelivery(delivery);
+  return delivery;
+}
+
+function logDelivery(delivery) {
+  deliveries.unshift(delivery);
+  deliveries = deliveries.slice(0, MAX_DELIVERIES);
+  writeJson(deliveriesFile, deliveries);
+}
+
+function saveRules() {
+  writeJson(rulesFile, listAlertRules());
+}
+
+function writeJson(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), "utf8");
+  } catch (err) {
+    console.error(`Failed to persist ${file}:`, err.message);
+  }
+}
+
+module.exports = {
+  ALERT_TYPES,
+  initAlerts,
+  validateAlertRule,
+  listAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  listDeliveries,
+  evaluateAlerts,
+  sendTestAlert,
+};
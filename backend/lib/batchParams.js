@@ -0,0 +1,136 @@
+const { SERVICES } = require("../adapters");
+const { isValidFixtureName } = require("../adapters/fixtures");
+const { listResultColumns } = require("../blinkit/batchCsvService");
+const { validateFilterOptions } = require("./filterChain");
+const { OUTPUT_FORMATS, validateColumns } = require("./outputFormats");
+const { validateLocation } = require("./locations");
+const { validateRetryOptions, validateBreakerOptions } = require("./retryPolicy");
+
+function parseCommaList(value) {
+  if (Array.isArray(value)) {
+    return value.map((entry) => String(entry).trim()).filter(Boolean);
+  }
+  if (typeof value === "string") {
+    return value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+// Validate batch run options shared by /api/blinkit/batch-csv and saved schedules
+function parseBatchParams(body) {
+  const pincodes = parseCommaList(body?.pincodes);
+  // Named locations are not comma-separated since addresses contain commas
+  const locations = body?.locations ?? [];
+  const searchTerms = parseCommaList(body?.searchTerms);
+  const quantities = parseCommaList(body?.quantities);
+  const concurrency = body?.concurrency;
+  const isolation = body?.isolation;
+  const fastMode = body?.fastMode === true || body?.fastMode === "true";
+  const reuseLocation = body?.reuseLocation !== false && body?.reuseLocation !== "false";
+  const deepMode = body?.deepMode === true || body?.deepMode === "true";
+  const paginate = body?.paginate === true || body?.paginate === "true";
+  const maxResults = body?.maxResults;
+  const format = body?.format ?? "csv";
+  const columns = body?.columns == null ? null : parseCommaList(body.columns);
+  const services = body?.services === undefined ? ["blinkit"] : parseCommaList(body.services);
+  const fixtures = parseFixtureParams(body);
+  const filters = body?.filters ?? {};
+  const filtersError = validateFilterOptions(filters);
+  const retry = body?.retry;
+  const circuitBreaker = body?.circuitBreaker;
+  const retryError = validateRetryOptions(retry) || validateBreakerOptions(circuitBreaker);
+
+  if (!Array.isArray(locations)) {
+    return { error: "locations must be an array of addresses or { name, address, lat, lng }." };
+  }
+  if ((!pincodes.length && !locations.length) || !searchTerms.length) {
+    return {
+      error: "pincodes (or locations) and searchTerms are required (comma-separated or arrays).",
+    };
+  }
+  for (const location of locations) {
+    const locationError = validateLocation(location);
+    if (locationError) {
+      return { error: `${locationError}.` };
+    }
+  }
+  const unknownServices = services.filter((svc) => !SERVICES.includes(svc));
+  if (!services.length || unknownServices.length) {
+    return { error: `services must be a list of: ${SERVICES.join(", ")}` };
+  }
+  if (concurrency !== undefined && !(parseInt(concurrency, 10) >= 1)) {
+    return { error: "concurrency must be a positive integer." };
+  }
+  if (isolation !== undefined && !["context", "browser"].includes(isolation)) {
+    return { error: 'isolation must be "context" or "browser".' };
+  }
+  if (!Object.hasOwn(OUTPUT_FORMATS, format)) {
+    return { error: `format must be one of: ${Object.keys(OUTPUT_FORMATS).join(", ")}.` };
+  }
+  const columnsError = columns && validateColumns(columns, listResultColumns());
+  if (columnsError) {
+    return { error: columnsError };
+  }
+  if (maxResults !== undefined && !(parseInt(maxResults, 10) >= 1)) {
+    return { error: "maxResults must be a positive integer." };
+  }
+  if (fixtures.error) {
+    return { error: fixtures.error };
+  }
+  if (filtersError) {
+    return { error: filtersError };
+  }
+  if (retryError) {
+    return { error: `${retryError}.` };
+  }
+
+  return {
+    params: {
+      pincodes,
+      locations: locations.length ? locations : undefined,
+      searchTerms,
+      quantities,
+      concurrency,
+      isolation,
+      fastMode,
+      deepMode,
+      reuseLocation,
+      paginate,
+      maxResults: maxResults === undefined ? undefined : parseInt(maxResults, 10),
+      services,
+      format,
+      columns,
+      filters,
+      retry,
+      circuitBreaker,
+      ...fixtures,
+    },
+  };
+}
+
+// Fixture sets are addressed by name only (resolved under FIXTURES_DIR), never by path
+function parseFixtureParams(body) {
+  const fixtures = {};
+  for (const key of ["recordFixtures", "replayFixtures"]) {
+    const value = body?.[key];
+    if (value === undefined || value === null || value === "") {
+      continue;
+    }
+    if (!isValidFixtureName(value)) {
+      return { error: `${key} must be a fixture set name (letters, digits, "-", "_" or ".").` };
+    }
+    fixtures[key] = value;
+  }
+  if (fixtures.recordFixtures && fixtures.replayFixtures) {
+    return { error: "recordFixtures and replayFixtures cannot be combined." };
+  }
+  return fixtures;
+}
+
+module.exports = {
+  parseCommaList,
+  parseBatchParams,
+};
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+
+// Progress of a running batch job, appended to data/checkpoints/<jobId>.ndjson as each location
+// and search finishes, so a job stopped by a crash, a restart or a cancel can be resumed without
+// redoing that work. Lines are only ever appended; a line cut short by a crash is skipped.
+// Checkpoints of jobs that are never resumed are swept after CHECKPOINT_MAX_AGE_DAYS.
+
+const DEFAULT_CHECKPOINT_DIR = path.join(__dirname, "..", "data", "checkpoints");
+const DEFAULT_MAX_AGE_DAYS = 7;
+
+let checkpointDir = DEFAULT_CHECKPOINT_DIR;
+
+function initCheckpoints({ dir = DEFAULT_CHECKPOINT_DIR } = {}) {
+  checkpointDir = dir;
+}
+
+function checkpointFile(id) {
+  return path.join(checkpointDir, `${id}.ndjson`);
+}
+
+// Location keys and terms may contain any character, so they are joined as JSON
+function entryKey(pincode, service, term = null) {
+  return JSON.stringify([pincode, service, term]);
+}
+
+function readEntries(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  const entries = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      console.warn(`Skipping unreadable checkpoint line in ${file}`);
+    }
+  }
+  return entries;
+}
+
+// Opens the checkpoint of a job, restoring what an earlier attempt at the job recorded
+function openCheckpoint(id) {
+  const file = checkpointFile(id);
+  const locations = new Map(); // Structure: { entryKey: location }
+  const searches = new Map(); // Structure: { entryKey: search outcome }
+  for (const entry of readEntries(file)) {
+    if (entry.kind === "location") {
+      locations.set(entryKey(entry.pincode, entry.service), entry.location);
+    } else if (entry.kind === "search") {
+      searches.set(entryKey(entry.pincode, entry.service, entry.term), entry.outcome);
+    }
+  }
+  const restoredCount = searches.size;
+  if (restoredCount > 0) {
+    console.log(`Resuming job ${id} with ${restoredCount} search(es) from its checkpoint`);
+  }
+
+  const append = (entry) => {
+    try {
+      fs.mkdirSync(checkpointDir, { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, "utf8");
+    } catch (err) {
+      console.error(`Failed to write checkpoint ${file}:`, err.message);
+    }
+  };
+
+  return {
+    id,
+    restoredCount,
+    getLocation(pincode, service) {
+      return locations.get(entryKey(pincode, service)) || null;
+    },
+    getSearch(pincode, service, term) {
+      return searches.get(entryKey(pincode, service, term)) || null;
+    },
+    recordLocation(pincode, service, location) {
+      locations.set(entryKey(pincode, service), location);
+      append({ kind: "location", pincode, service, location });
+    },
+    recordSearch(pincode, service, term, outcome) {
+      searches.set(entryKey(pincode, service, term), outcome);
+      append({ kind: "search", pincode, service, term, outcome });
+    },
+    remove() {
+      deleteCheckpoint(id);
+    },
+  };
+}
+
+function getMaxAgeMs() {
+  const days = parseFloat(process.env.CHECKPOINT_MAX_AGE_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_MAX_AGE_DAYS) * 86400000;
+}
+
+// Deletes checkpoints last written more than the max age ago, except those of the jobs in
+// keep; returns the ids of the deleted ones
+function pruneCheckpoints({ keep = [], now = Date.now() } = {}) {
+  if (!fs.existsSync(checkpointDir)) {
+    return [];
+  }
+  const maxAgeMs = getMaxAgeMs();
+  const deleted = [];
+  for (const file of fs.readdirSync(checkpointDir).filter((f) => f.endsWith(".ndjson"))) {
+    const id = path.basename(file, ".ndjson");
+    if (keep.includes(id)) {
+      continue;
+    }
+    try {
+      if (now - fs.statSync(path.join(checkpointDir, file)).mtimeMs > maxAgeMs) {
+        deleteCheckpoint(id);
+        deleted.push(id);
+      }
+    } catch (err) {
+      console.error(`Failed to check checkpoint ${file}:`, err.message);
+    }
+  }
+  if (deleted.length) {
+    console.log(`Deleted ${deleted.length} checkpoint(s) of jobs that were never resumed`);
+  }
+  return deleted;
+}
+
+function hasCheckpoint(id) {
+  return fs.existsSync(checkpointFile(id));
+}
+
+function deleteCheckpoint(id) {
+  try {
+    fs.rmSync(checkpointFile(id), { force: true });
+  } catch (err) {
+    console.error(`Failed to delete checkpoint of job ${id}:`, err.message);
+  }
+}
+
+module.exports = {
+  initCheckpoints,
+  openCheckpoint,
+  hasCheckpoint,
+  deleteCheckpoint,
+  pruneCheckpoints,
+};
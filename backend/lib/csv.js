@@ -0,0 +1,24 @@
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const str = String(value);
+  if (/[",\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+function toCsv(headers, rows) {
+  const lines = [headers.map(toCsvValue).join(",")];
+  for (const row of rows) {
+    const line = headers.map((h) => toCsvValue(row[h])).join(",");
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  toCsvValue,
+  toCsv,
+};
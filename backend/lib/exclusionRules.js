@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+
+const { extractCoreTokens } = require("./productMatching");
+
+// Processed-product exclusions. Each rule applies to searches whose core tokens include one of
+// its `terms` and drops products whose name matches any `exclude` pattern (case-insensitive
+// regular expressions). A pattern that also matches the search term itself is skipped, so
+// "onion powder" can still find onion powder.
+
+const DEFAULT_RULES_FILE = path.join(__dirname, "..", "config", "exclusion-rules.json");
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+let rulesFile = DEFAULT_RULES_FILE;
+let rules = [];
+let compiled = []; // Rules with term tokens and RegExp objects, rebuilt on every change
+
+function initExclusionRules({
+  file = process.env.EXCLUSION_RULES_FILE || DEFAULT_RULES_FILE,
+} = {}) {
+  rulesFile = file;
+  rules = [];
+
+  if (fs.existsSync(rulesFile)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(rulesFile, "utf8"));
+      rules = Array.isArray(saved?.rules) ? saved.rules : [];
+    } catch (err) {
+      console.error(`Failed to read exclusion rules from ${rulesFile}:`, err.message);
+    }
+  } else {
+    console.warn(`No exclusion rules file at ${rulesFile}; processed products will not be filtered`);
+  }
+
+  const invalid = rules.filter((rule) => validateExclusionRule(rule));
+  for (const rule of invalid) {
+    console.error(`Ignoring invalid exclusion rule ${rule?.id}: ${validateExclusionRule(rule)}`);
+  }
+  rules = rules.filter((rule) => !invalid.includes(rule));
+  compileRules();
+  return rules;
+}
+
+// Returns an error message for an invalid rule, or null
+function validateExclusionRule(rule) {
+  if (!rule || typeof rule.id !== "string" || !RULE_ID_PATTERN.test(rule.id)) {
+    return "id must be lowercase letters, digits, \"-\" or \"_\"";
+  }
+  if (!isStringList(rule.terms) || rule.terms.length === 0) {
+    return "terms must be a non-empty list of search words";
+  }
+  if (!isStringList(rule.exclude) || rule.exclude.length === 0) {
+    return "exclude must be a non-empty list of patterns";
+  }
+  for (const pattern of rule.exclude) {
+    try {
+      new RegExp(pattern, "i");
+    } catch (err) {
+      return `Invalid exclude pattern ${pattern}: ${err.message}`;
+    }
+  }
+  if (rule.category !== undefined && rule.category !== null && typeof rule.category !== "string") {
+    return "category must be a string";
+  }
+  return null;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((entry) => typeof entry === "string" && entry.trim());
+}
+
+function pickRuleFields(fields) {
+  return {
+    id: fields.id,
+    category: fields.category || null,
+    terms: fields.terms.map((term) => term.trim()),
+    exclude: fields.exclude,
+    enabled: fields.enabled !== false,
+  };
+}
+
+function listExclusionRules({ category } = {}) {
+  return rules.filter((rule) => !category || rule.category === category);
+}
+
+function getExclusionRule(id) {
+  return rules.find((rule) => rule.id === id) || null;
+}
+
+function createExclusionRule(fields) {
+  if (getExclusionRule(fields.id)) {
+    throw new Error(`Exclusion rule ${fields.id} already exists`);
+  }
+  const rule = pickRuleFields(fields);
+  rules.push(rule);
+  saveRules();
+  return rule;
+}
+
+// Replaces the rule with an already validated merge of old and new values
+function updateExclusionRule(id, fields) {
+  const index = rules.findIndex((rule) => rule.id === id);
+  if (index === -1) {
+    return null;
+  }
+  rules[index] = pickRuleFields({ ...fields, id });
+  saveRules();
+  return rules[index];
+}
+
+function deleteExclusionRule(id) {
+  const index = rules.findIndex((rule) => rule.id === id);
+  if (index === -1) {
+    return false;
+  }
+  rules.splice(index, 1);
+  saveRules();
+  return true;
+}
+
+function compileRules() {
+  compiled = rules
+    .filter((rule) => rule.enabled !== false)
+    .map((rule) => ({
+      rule,
+      termTokens: rule.terms.map((term) => extractCoreTokens(term)).filter((t) => t.length),
+      patterns: rule.exclude.map((pattern) => ({ pattern, regex: new RegExp(pattern, "i") })),
+    }));
+}
+
+// First { rule, pattern } that excludes the product for this search, or null
+function findExclusion(productName, term) {
+  const name = String(productName || "");
+  const searchTerm = String(term || "");
+  const searchTokens = new Set(extractCoreTokens(searchTerm));
+
+  for (const { rule, termTokens, patterns } of compiled) {
+    const applies = termTokens.some((tokens) => tokens.every((t) => searchTokens.has(t)));
+    if (!applies) {
+      continue;
+    }
+    for (const { pattern, regex } of patterns) {
+      if (regex.test(name) && !regex.test(searchTerm)) {
+        return { rule, pattern };
+      }
+    }
+  }
+  return null;
+}
+
+function saveRules() {
+  compileRules();
+  try {
+    fs.mkdirSync(path.dirname(rulesFile), { recursive: true });
+    fs.writeFileSync(rulesFile, `${JSON.stringify({ rules }, null, 2)}\n`, "utf8");
+  } catch (err) {
+    console.error(`Failed to persist exclusion rules to ${rulesFile}:`, err.message);
+  }
+}
+
+initExclusionRules();
+
+module.exports = {
+  initExclusionRules,
+  validateExclusionRule,
+  listExclusionRules,
+  getExclusionRule,
+  createExclusionRule,
+  updateExclusionRule,
+  deleteExclusionRule,
+  findExclusion,
+};
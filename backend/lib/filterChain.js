@@ -0,0 +1,163 @@
+const { matchesQuantity } = require("./productMatching");
+const { findExclusion } = require("./exclusionRules");
+
+// Filters run in registration order and the first one that rejects a product decides the
+// reason it is reported under. A filter is
+//   { name, reason, defaults, validate(options) -> message|null, reject(product, ctx, options) }
+// where reject returns a message when the product should be dropped and ctx carries
+// { term, requestedQty, adapter, relevance }. Every filter also takes `enabled` (default true).
+
+const filters = new Map(); // Structure: { name: filter }
+
+function registerFilter({ name, reason, defaults = {}, validate = () => null, reject }) {
+  if (!name || typeof reject !== "function") {
+    throw new Error("Filter must have a name and a reject function");
+  }
+  filters.set(name, { name, reason: reason || name, defaults, validate, reject });
+}
+
+registerFilter({
+  name: "sponsored",
+  reason: "sponsored",
+  reject: (product) => (product.sponsored ? `sponsored product: ${product.name}` : null),
+});
+
+// Filter out processed/preserved products (e.g., "Sun Dried Tomatoes in Oil") using the
+// exclusion rules for the search term
+registerFilter({
+  name: "processed",
+  reason: "processed",
+  reject: (product, { term }) => {
+    const exclusion = findExclusion(product.name, term);
+    return exclusion
+      ? `processed product: ${product.name} (rule ${exclusion.rule.id}: /${exclusion.pattern}/)`
+      : null;
+  },
+});
+
+registerFilter({
+  name: "outOfStock",
+  reason: "out_of_stock",
+  reject: (product) =>
+    product.available === false ? `out-of-stock product: ${product.name}` : null,
+});
+
+// Missing delivery time usually means out of stock; only meaningful for services that
+// report an ETA per product
+registerFilter({
+  name: "deliveryTime",
+  reason: "no_delivery_time",
+  reject: (product, { adapter }) =>
+    adapter.productEta &&
+    (!product.deliveryTime || String(product.deliveryTime).toLowerCase() === "n/a")
+      ? `no delivery time: ${product.name}`
+      : null,
+});
+
+registerFilter({
+  name: "quantity",
+  reason: "quantity_mismatch",
+  defaults: { tolerance: 0.1 },
+  validate: ({ tolerance }) =>
+    typeof tolerance === "number" && tolerance >= 0 && tolerance <= 1
+      ? null
+      : "quantity.tolerance must be a fraction between 0 and 1 (0.1 = ±10%)",
+  reject: (product, { requestedQty }, { tolerance }) =>
+    requestedQty && !matchesQuantity(product.quantity, requestedQty, tolerance)
+      ? `quantity mismatch: ${product.name} (${product.quantity}) vs requested (${requestedQty.value}${requestedQty.unit})`
+      : null,
+});
+
+// Drop unrelated items (e.g., potato in onion search). ctx.relevance is the product's
+// searchRelevance score; a threshold of 1 only accepts exact words.
+registerFilter({
+  name: "searchTerm",
+  reason: "term_mismatch",
+  defaults: { threshold: 0.8 },
+  validate: ({ threshold }) =>
+    typeof threshold === "number" && threshold >= 0 && threshold <= 1
+      ? null
+      : "searchTerm.threshold must be a number between 0 and 1",
+  reject: (product, { term, relevance }, { threshold }) =>
+    relevance < threshold
+      ? `term mismatch: ${product.name} for "${term}" (relevance ${relevance} < ${threshold})`
+      : null,
+});
+
+function listFilters() {
+  return Array.from(filters.values()).map((filter) => ({
+    name: filter.name,
+    reason: filter.reason,
+    defaults: { enabled: true, ...filter.defaults },
+  }));
+}
+
+// Overrides map a filter name to true/false or to { enabled, ...options }
+function resolveFilterOptions(overrides = {}) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error("filters must be an object keyed by filter name");
+  }
+  const unknown = Object.keys(overrides).filter((name) => !filters.has(name));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown filter: ${unknown.join(", ")}. Available: ${Array.from(filters.keys()).join(", ")}`
+    );
+  }
+
+  const options = {};
+  for (const filter of filters.values()) {
+    const override = overrides[filter.name];
+    const resolved = { enabled: true, ...filter.defaults };
+    if (typeof override === "boolean") {
+      resolved.enabled = override;
+    } else if (override && typeof override === "object") {
+      Object.assign(resolved, override, { enabled: override.enabled !== false });
+    } else if (override !== undefined && override !== null) {
+      throw new Error(`filters.${filter.name} must be a boolean or an object`);
+    }
+
+    const error = filter.validate(resolved);
+    if (error) {
+      throw new Error(error);
+    }
+    options[filter.name] = resolved;
+  }
+  return options;
+}
+
+// Returns an error message for invalid overrides, or null
+function validateFilterOptions(overrides) {
+  try {
+    resolveFilterOptions(overrides);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function createFilterChain(overrides) {
+  const options = resolveFilterOptions(overrides);
+  const active = Array.from(filters.values()).filter((filter) => options[filter.name].enabled);
+
+  return {
+    options,
+    // Rejection for the first filter that drops the product, or null when it is kept
+    check(product, ctx) {
+      for (const filter of active) {
+        const message = filter.reject(product, ctx, options[filter.name]);
+        if (message) {
+          return { filter: filter.name, reason: filter.reason, message };
+        }
+      }
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  registerFilter,
+  listFilters,
+  resolveFilterOptions,
+  validateFilterOptions,
+  createFilterChain,
+};
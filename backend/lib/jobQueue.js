@@ -0,0 +1,329 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const DEFAULT_JOBS_DIR = path.join(__dirname, "..", "data", "jobs");
+const TERMINAL_STATUSES = new Set(["completed", "failed", "cancelled"]);
+const MAX_RECENT_EVENTS = 200;
+// Completed jobs whose full result (every row) stays in memory; older ones keep their summary
+const MAX_FULL_RESULTS = 5;
+// Progress reaches the job file at most this often; status changes are always written
+const PROGRESS_SAVE_INTERVAL_MS = 5000;
+
+const jobs = new Map(); // Structure: { jobId: job }
+const runners = new Map(); // Structure: { type: async (params, ctx) => result }
+const controllers = new Map(); // Structure: { jobId: AbortController }
+const recentEvents = new Map(); // Structure: { jobId: [event] } (in-memory only)
+const progressSavedAt = new Map(); // Structure: { jobId: ms of the last progress write }
+const pending = [];
+const fullResults = []; // Ids of the completed jobs still holding their full result, oldest first
+
+// Emits "status" (job) on every status change and "progress" (job, event) for runner events
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let jobsDir = DEFAULT_JOBS_DIR;
+let maxConcurrent = 1;
+let active = 0;
+
+function registerJobRunner(type, runner) {
+  if (typeof runner !== "function") {
+    throw new Error(`Runner for ${type} must be a function`);
+  }
+  runners.set(type, runner);
+}
+
+// Load persisted jobs and re-queue anything that was waiting or running when the server stopped
+function initJobQueue({ dir = DEFAULT_JOBS_DIR, concurrency = 1 } = {}) {
+  jobsDir = dir;
+  maxConcurrent = Math.max(1, Number(concurrency) || 1);
+  fs.mkdirSync(jobsDir, { recursive: true });
+
+  const files = fs.readdirSync(jobsDir).filter((f) => f.endsWith(".json"));
+  for (const file of files) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(jobsDir, file), "utf8"));
+      if (!job || !job.id) {
+        continue;
+      }
+      // Records written before results were slimmed down still hold every row
+      const slimmed = Boolean(job.result?.items);
+      job.result = summarizeResult(job.result);
+      jobs.set(job.id, job);
+      if (job.status === "queued" || job.status === "running") {
+        job.status = "queued";
+        job.startedAt = null;
+        saveJob(job);
+        pending.push(job.id);
+      } else if (slimmed) {
+        saveJob(job);
+      }
+    } catch (err) {
+      console.error(`Skipping unreadable job file ${file}:`, err.message);
+    }
+  }
+
+  pending.sort((a, b) => jobs.get(a).createdAt.localeCompare(jobs.get(b).createdAt));
+  if (pending.length) {
+    console.log(`Re-queued ${pending.length} unfinished job(s) from ${jobsDir}`);
+  }
+  pump();
+}
+
+function enqueueJob(type, params) {
+  if (!runners.has(type)) {
+    throw new Error(`No runner registered for job type: ${type}`);
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    params,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    result: null,
+    progress: null,
+  };
+
+  jobs.set(job.id, job);
+  saveJob(job);
+  jobEvents.emit("status", job);
+  pending.push(job.id);
+  pump();
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function listJobs({ status } = {}) {
+  return Array.from(jobs.values())
+    .filter((job) => !status || job.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Queued jobs are cancelled immediately; running jobs are aborted and settle once the runner stops
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || TERMINAL_STATUSES.has(job.status)) {
+    return job || null;
+  }
+
+  if (job.status === "queued") {
+    const idx = pending.indexOf(id);
+    if (idx !== -1) {
+      pending.splice(idx, 1);
+    }
+    finishJob(job, "cancelled");
+    return job;
+  }
+
+  const controller = controllers.get(id);
+  if (controller) {
+    controller.abort();
+  }
+  return job;
+}
+
+// Re-queue a failed or cancelled job under the same id; its runner picks up from whatever
+// checkpoint the earlier attempt left
+function resumeJob(id) {
+  const job = jobs.get(id);
+  if (!job || (job.status !== "failed" && job.status !== "cancelled")) {
+    return job || null;
+  }
+
+  job.status = "queued";
+  job.startedAt = null;
+  job.finishedAt = null;
+  job.error = null;
+  job.resumedAt = new Date().toISOString();
+  saveJob(job);
+  jobEvents.emit("status", job);
+  pending.push(job.id);
+  pump();
+  return job;
+}
+
+function getRecentEvents(id) {
+  return recentEvents.get(id) || [];
+}
+
+function isTerminal(job) {
+  return Boolean(job) && TERMINAL_STATUSES.has(job.status);
+}
+
+// { serviceable: 3, not_serviceable: 1 } over the (pincode, service) pairs of a run
+function countLocationStatuses(statuses) {
+  const counts = {};
+  for (const { status } of Array.isArray(statuses) ? statuses : []) {
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  return counts;
+}
+
+// Counts and output filenames of a result; also accepts a result that is already summarized
+function summarizeResult(result) {
+  if (!result) {
+    return null;
+  }
+  return {
+    filename: result.filename,
+    rowCount: result.rowCount,
+    rejectedFilename: result.rejectedFilename ?? null,
+    rejectedCount: result.rejectedCount ?? 0,
+    adsFilename: result.adsFilename ?? null,
+    adsCount: result.adsCount ?? 0,
+    summaryFilename: result.summaryFilename ?? null,
+    locationStatusCounts:
+      result.locationStatusCounts || countLocationStatuses(result.locationStatuses),
+    failureCount: result.failureCount ?? 0,
+    emptySearchCount: result.emptySearchCount ?? result.emptySearches?.length ?? 0,
+    rerunPairs: result.rerunPairs || rerunPairsOf(result),
+  };
+}
+
+// (pincode, service, term) searches of a result that failed or found nothing
+function rerunPairsOf(result) {
+  return [...(result.failures || []), ...(result.emptySearches || [])].map(
+    ({ pincode, service, term }) => ({ pincode, service, term })
+  );
+}
+
+// Job without its (potentially large) result payload
+function summarizeJob(job) {
+  if (!job) {
+    return null;
+  }
+  const { result, ...rest } = job;
+  return { ...rest, result: summarizeResult(result) };
+}
+
+// Whether the rows of a completed job are still at hand; only the summary of a result is saved
+// and only the latest results are kept whole, so older rows live on in the output files only
+function hasFullResult(job) {
+  return Array.isArray(job?.result?.items);
+}
+
+function pump() {
+  while (active < maxConcurrent && pending.length > 0) {
+    const id = pending.shift();
+    const job = jobs.get(id);
+    if (!job || job.status !== "queued") {
+      continue;
+    }
+    active += 1;
+    runJob(job).finally(() => {
+      active -= 1;
+      pump();
+    });
+  }
+}
+
+async function runJob(job) {
+  const runner = runners.get(job.type);
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  recentEvents.set(job.id, []);
+  saveJob(job);
+  jobEvents.emit("status", job);
+
+  try {
+    if (!runner) {
+      throw new Error(`No runner registered for job type: ${job.type}`);
+    }
+    const result = await runner(job.params, {
+      jobId: job.id,
+      signal: controller.signal,
+      onProgress: (event) => recordProgress(job, event),
+    });
+    if (controller.signal.aborted) {
+      finishJob(job, "cancelled");
+    } else {
+      job.result = result;
+      keepFullResult(job);
+      finishJob(job, "completed");
+    }
+  } catch (err) {
+    if (controller.signal.aborted) {
+      finishJob(job, "cancelled");
+    } else {
+      console.error(`Job ${job.id} failed:`, err);
+      job.error = err.message;
+      finishJob(job, "failed");
+    }
+  } finally {
+    controllers.delete(job.id);
+    progressSavedAt.delete(job.id);
+  }
+}
+
+// The runner is done with the rows (price history, alerts) once it returns; only the most recent
+// results are kept whole for the result and matrix routes
+function keepFullResult(job) {
+  fullResults.push(job.id);
+  while (fullResults.length > MAX_FULL_RESULTS) {
+    const oldest = jobs.get(fullResults.shift());
+    if (oldest) {
+      oldest.result = summarizeResult(oldest.result);
+    }
+  }
+}
+
+function recordProgress(job, event) {
+  const events = recentEvents.get(job.id) || [];
+  events.push(event);
+  if (events.length > MAX_RECENT_EVENTS) {
+    events.splice(0, events.length - MAX_RECENT_EVENTS);
+  }
+  recentEvents.set(job.id, events);
+
+  if (typeof event.completed === "number" && typeof event.total === "number") {
+    job.progress = { completed: event.completed, total: event.total };
+    const now = Date.now();
+    if (now - (progressSavedAt.get(job.id) || 0) >= PROGRESS_SAVE_INTERVAL_MS) {
+      progressSavedAt.set(job.id, now);
+      saveJob(job);
+    }
+  }
+  jobEvents.emit("progress", job, event);
+}
+
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  saveJob(job);
+  jobEvents.emit("status", job);
+}
+
+function saveJob(job) {
+  try {
+    const file = path.join(jobsDir, `${job.id}.json`);
+    fs.writeFileSync(file, JSON.stringify(summarizeJob(job), null, 2), "utf8");
+  } catch (err) {
+    console.error(`Failed to persist job ${job.id}:`, err.message);
+  }
+}
+
+module.exports = {
+  registerJobRunner,
+  initJobQueue,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  resumeJob,
+  getRecentEvents,
+  isTerminal,
+  summarizeJob,
+  hasFullResult,
+  jobEvents,
+};
@@ -0,0 +1,124 @@
+const fs = require("fs");
+const path = require("path");
+
+// Saved browser state (cookies and localStorage) of a location that was set successfully,
+// per service and location key, so later runs can restore it instead of going through the
+// location picker again. Sessions expire after LOCATION_SESSION_TTL_HOURS; 0 turns reuse off.
+
+const DEFAULT_SESSIONS_FILE = path.join(__dirname, "..", "data", "location-sessions.json");
+const DEFAULT_TTL_HOURS = 12;
+
+let sessionsFile = DEFAULT_SESSIONS_FILE;
+let sessions = new Map(); // Structure: { "service:locationKey": session }
+
+function initLocationSessions({ file = DEFAULT_SESSIONS_FILE } = {}) {
+  sessionsFile = file;
+  sessions = new Map();
+  if (!fs.existsSync(sessionsFile)) {
+    return;
+  }
+  try {
+    const saved = JSON.parse(fs.readFileSync(sessionsFile, "utf8"));
+    for (const session of Array.isArray(saved) ? saved : []) {
+      sessions.set(sessionKey(session.service, session.location), session);
+    }
+  } catch (err) {
+    console.error(`Failed to read location sessions from ${sessionsFile}:`, err.message);
+  }
+}
+
+function sessionKey(service, locationKey) {
+  return `${service}:${locationKey}`;
+}
+
+function getSessionTtlMs() {
+  const hours = parseFloat(process.env.LOCATION_SESSION_TTL_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_TTL_HOURS) * 3600000;
+}
+
+// The saved session, or null when there is none or it has expired (expired ones are dropped)
+function getLocationSession(service, locationKey, { now = Date.now() } = {}) {
+  const key = sessionKey(service, locationKey);
+  const session = sessions.get(key);
+  if (!session) {
+    return null;
+  }
+  if (Date.parse(session.expiresAt) <= now) {
+    sessions.delete(key);
+    saveSessions();
+    return null;
+  }
+  return session;
+}
+
+function saveLocationSession(
+  service,
+  locationKey,
+  { locationTitle, fingerprint = null, cookies = [], localStorage = {}, origin },
+  { now = Date.now() } = {}
+) {
+  const ttlMs = getSessionTtlMs();
+  if (ttlMs <= 0) {
+    return null;
+  }
+  const session = {
+    service,
+    location: locationKey,
+    locationTitle,
+    fingerprint,
+    origin,
+    cookies,
+    localStorage,
+    savedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString(),
+  };
+  sessions.set(sessionKey(service, locationKey), session);
+  saveSessions();
+  return session;
+}
+
+function deleteLocationSession(service, locationKey) {
+  const deleted = sessions.delete(sessionKey(service, locationKey));
+  if (deleted) {
+    saveSessions();
+  }
+  return deleted;
+}
+
+// Summary without the cookie and storage values
+function listLocationSessions({ now = Date.now() } = {}) {
+  return Array.from(sessions.values())
+    .filter((session) => Date.parse(session.expiresAt) > now)
+    .map(({ service, location, locationTitle, savedAt, expiresAt }) => ({
+      service,
+      location,
+      locationTitle,
+      savedAt,
+      expiresAt,
+    }));
+}
+
+function clearLocationSessions() {
+  const count = sessions.size;
+  sessions.clear();
+  saveSessions();
+  return count;
+}
+
+function saveSessions() {
+  try {
+    fs.mkdirSync(path.dirname(sessionsFile), { recursive: true });
+    fs.writeFileSync(sessionsFile, JSON.stringify(Array.from(sessions.values()), null, 2), "utf8");
+  } catch (err) {
+    console.error(`Failed to persist location sessions to ${sessionsFile}:`, err.message);
+  }
+}
+
+module.exports = {
+  initLocationSessions,
+  getLocationSession,
+  saveLocationSession,
+  deleteLocationSession,
+  listLocationSessions,
+  clearLocationSessions,
+};
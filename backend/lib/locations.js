@@ -0,0 +1,139 @@
+// Locations a search can run at. A location is either a plain string (a 6-digit pincode or
+// a free-text address) or a named place with a pincode, an address and/or coordinates:
+//   { name: "Koramangala 5th Block", lat: 12.9352, lng: 77.6245 }
+// Normalized locations carry a `key` that identifies them in rows, fixtures and reports: the
+// name, otherwise the pincode, the address or "lat,lng".
+
+const PINCODE_PATTERN = /^\d{6}$/;
+
+// Outcome of setting a location. Adapters throw a location error carrying one of the failure
+// statuses; anything else that goes wrong is reported as "timeout" or "error".
+const LOCATION_STATUSES = [
+  "serviceable",
+  "not_serviceable",
+  "location_mismatch",
+  "timeout",
+  "error",
+];
+
+function isPincode(value) {
+  return PINCODE_PATTERN.test(String(value ?? "").trim());
+}
+
+function hasCoordinates(location) {
+  return Number.isFinite(location?.lat) && Number.isFinite(location?.lng);
+}
+
+// Returns an error message for an invalid location, or null
+function validateLocation(location) {
+  if (typeof location === "string") {
+    return location.trim() ? null : "location must not be empty";
+  }
+  if (!location || typeof location !== "object" || Array.isArray(location)) {
+    return "location must be a pincode, an address or { name, pincode, address, lat, lng }";
+  }
+  if (location.pincode !== undefined && location.pincode !== null && !isPincode(location.pincode)) {
+    return "location pincode must be 6 digits";
+  }
+  for (const key of ["name", "address"]) {
+    const value = location[key];
+    if (value !== undefined && value !== null && (typeof value !== "string" || !value.trim())) {
+      return `location ${key} must be a non-empty string`;
+    }
+  }
+  const { lat, lng } = location;
+  const hasLat = lat !== undefined && lat !== null;
+  const hasLng = lng !== undefined && lng !== null;
+  if (hasLat || hasLng) {
+    if (!(typeof lat === "number" && lat >= -90 && lat <= 90)) {
+      return "location lat must be a number between -90 and 90";
+    }
+    if (!(typeof lng === "number" && lng >= -180 && lng <= 180)) {
+      return "location lng must be a number between -180 and 180";
+    }
+  } else if (!location.name && !location.address && !location.pincode) {
+    return "location needs a name, a pincode, an address or lat/lng";
+  }
+  return null;
+}
+
+function normalizeLocation(location) {
+  const error = validateLocation(location);
+  if (error) {
+    throw new Error(error);
+  }
+  if (typeof location === "string") {
+    const text = location.trim();
+    return isPincode(text)
+      ? { key: text, name: null, pincode: text, address: null, lat: null, lng: null }
+      : { key: text, name: null, pincode: null, address: text, lat: null, lng: null };
+  }
+
+  const name = location.name?.trim() || null;
+  const address = location.address?.trim() || null;
+  let pincode = isPincode(address) ? address : null;
+  if (location.pincode) {
+    pincode = String(location.pincode).trim();
+  }
+  const lat = hasCoordinates(location) ? location.lat : null;
+  const lng = hasCoordinates(location) ? location.lng : null;
+  const coordinates = lat === null ? null : `${lat},${lng}`;
+  return {
+    key: name || pincode || address || coordinates,
+    name,
+    pincode,
+    address,
+    lat,
+    lng,
+  };
+}
+
+// Text typed into a retailer's locality search; null for coordinates-only locations
+function locationSearchText(location) {
+  return location.address || location.pincode || location.name || null;
+}
+
+// Only a pincode can be checked against the title a retailer shows for the chosen location
+function matchesLocationTitle(location, title) {
+  if (!title) {
+    return false;
+  }
+  return !location.pincode || String(title).includes(location.pincode);
+}
+
+// What a location is beyond its key: a session saved for a location is only valid while this
+// stays the same, as a named location can be edited to point somewhere else
+function locationFingerprint(location) {
+  const { pincode, address, lat, lng } = location;
+  return JSON.stringify([pincode, address, lat, lng]);
+}
+
+function locationError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// { status, detail } for an error thrown while setting a location
+function describeLocationFailure(err) {
+  if (LOCATION_STATUSES.includes(err?.status) && err.status !== "serviceable") {
+    return { status: err.status, detail: err.message };
+  }
+  if (err?.name === "TimeoutError") {
+    return { status: "timeout", detail: err.message };
+  }
+  return { status: "error", detail: err?.message || String(err) };
+}
+
+module.exports = {
+  LOCATION_STATUSES,
+  locationError,
+  describeLocationFailure,
+  isPincode,
+  hasCoordinates,
+  validateLocation,
+  normalizeLocation,
+  locationSearchText,
+  matchesLocationTitle,
+  locationFingerprint,
+};
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const ExcelJS = require("exceljs");
+const parquet = require("parquetjs-lite");
+
+const { toCsv } = require("./csv");
+const { DETAIL_FIELDS } = require("../adapters/contract");
+
+// Writers for batch results. Every format takes the same rows and column list; flat formats
+// (csv, xlsx, parquet) first pass each row through `flatten` so list values such as deep
+// mode variants become text, while json and ndjson keep them as they are.
+
+const OUTPUT_FORMATS = {
+  csv: { extension: ".csv", contentType: "text/csv; charset=utf-8", flat: true },
+  json: { extension: ".json", contentType: "application/json; charset=utf-8", flat: false },
+  ndjson: { extension: ".ndjson", contentType: "application/x-ndjson; charset=utf-8", flat: false },
+  xlsx: {
+    extension: ".xlsx",
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    flat: true,
+  },
+  parquet: { extension: ".parquet", contentType: "application/vnd.apache.parquet", flat: true },
+};
+
+const MAX_SHEET_NAME_LENGTH = 31;
+
+function getOutputFormat(format) {
+  const spec = OUTPUT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`format must be one of: ${Object.keys(OUTPUT_FORMATS).join(", ")}`);
+  }
+  return spec;
+}
+
+// Content type for a generated file, from its extension
+function contentTypeFor(filename) {
+  const spec = Object.values(OUTPUT_FORMATS).find((f) => filename.endsWith(f.extension));
+  return spec ? spec.contentType : "application/octet-stream";
+}
+
+// Returns an error message when the requested columns are not all available, or null
+function validateColumns(columns, available) {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    return "columns must be a non-empty list";
+  }
+  const unknown = columns.filter((column) => !available.includes(column));
+  if (unknown.length) {
+    return `Unknown columns: ${unknown.join(", ")}. Available: ${available.join(", ")}`;
+  }
+  if (new Set(columns).size !== columns.length) {
+    return "columns must not repeat";
+  }
+  return null;
+}
+
+function project(row, columns) {
+  const projected = {};
+  for (const column of columns) {
+    projected[column] = row[column] ?? null;
+  }
+  return projected;
+}
+
+async function writeOutput(filePath, rows, { format = "csv", columns, flatten = (row) => row }) {
+  const spec = getOutputFormat(format);
+  const records = rows.map((row) => project(spec.flat ? flatten(row) : row, columns));
+
+  if (format === "csv") {
+    fs.writeFileSync(filePath, toCsv(columns, records), "utf8");
+  } else if (format === "json") {
+    fs.writeFileSync(filePath, `${JSON.stringify(records, null, 2)}\n`, "utf8");
+  } else if (format === "ndjson") {
+    const lines = records.map((record) => `${JSON.stringify(record)}\n`);
+    fs.writeFileSync(filePath, lines.join(""), "utf8");
+  } else if (format === "xlsx") {
+    await writeXlsx(filePath, records, columns);
+  } else {
+    await writeParquet(filePath, records, columns);
+  }
+}
+
+// One worksheet per pincode, in the order pincodes first appear
+async function writeXlsx(filePath, records, columns) {
+  const workbook = new ExcelJS.Workbook();
+  const groups = new Map(); // Structure: { pincode: records }
+  for (const record of records) {
+    const key = record.pincode ? String(record.pincode) : "Results";
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  }
+  if (groups.size === 0) {
+    groups.set("Results", []);
+  }
+
+  const usedNames = new Set();
+  for (const [key, group] of groups) {
+    const sheet = workbook.addWorksheet(uniqueSheetName(key, usedNames));
+    sheet.columns = columns.map((column) => ({ header: column, key: column }));
+    sheet.addRows(group);
+  }
+  await workbook.xlsx.writeFile(filePath);
+}
+
+// Excel sheet names are at most 31 characters and cannot contain \ / * ? : [ ]
+function uniqueSheetName(name, usedNames) {
+  const base =
+    String(name).replace(/[\\/*?:[\]]/g, "-").slice(0, MAX_SHEET_NAME_LENGTH) || "Sheet";
+  let candidate = base;
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n += 1) {
+    candidate = `${base.slice(0, MAX_SHEET_NAME_LENGTH - String(n).length - 1)}-${n}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// Parquet types of the columns batch runs write (results, rejected, ads and summary files,
+// deep mode details), fixed so a column has the same type in every file whatever its values
+const PARQUET_COLUMN_TYPES = {
+  priceValue: "DOUBLE",
+  mrpValue: "DOUBLE",
+  discountPercent: "DOUBLE",
+  pricePerUnit: "DOUBLE",
+  relevance: "DOUBLE",
+  position: "INT32",
+  organicRank: "INT32",
+  searches: "INT32",
+  failed: "INT32",
+  found: "INT32",
+  kept: "INT32",
+  available: "BOOLEAN",
+  sponsored: "BOOLEAN",
+};
+for (const column of [
+  "pincode",
+  "locationTitle",
+  "searchTerm",
+  "service",
+  "id",
+  "name",
+  "price",
+  "originalPrice",
+  "savings",
+  "perUnit",
+  "quantity",
+  "deliveryTime",
+  "discount",
+  "imageUrl",
+  "filter",
+  "reason",
+  "detail",
+  "status",
+  ...DETAIL_FIELDS,
+]) {
+  PARQUET_COLUMN_TYPES[column] = "UTF8";
+}
+
+// Types of other columns are inferred from the values: numbers become DOUBLE, booleans BOOLEAN
+// and everything else UTF8
+function inferParquetType(values) {
+  if (values.length && values.every((v) => typeof v === "number")) {
+    return "DOUBLE";
+  }
+  if (values.length && values.every((v) => typeof v === "boolean")) {
+    return "BOOLEAN";
+  }
+  return "UTF8";
+}
+
+// All columns are optional so missing values stay null
+async function writeParquet(filePath, records, columns) {
+  const fields = {};
+  for (const column of columns) {
+    const type =
+      PARQUET_COLUMN_TYPES[column] ||
+      inferParquetType(records.map((record) => record[column]).filter((v) => v !== null));
+    fields[column] = { type, optional: true };
+  }
+
+  const writer = await parquet.ParquetWriter.openFile(new parquet.ParquetSchema(fields), filePath);
+  try {
+    for (const record of records) {
+      const row = {};
+      for (const column of columns) {
+        const value = record[column];
+        if (value !== null) {
+          row[column] = fields[column].type === "UTF8" ? String(value) : value;
+        }
+      }
+      await writer.appendRow(row);
+    }
+  } finally {
+    await writer.close();
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  getOutputFormat,
+  contentTypeFor,
+  validateColumns,
+  writeOutput,
+};
@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+
+// Index of batch output files. Every finished run is recorded with its parameters and the
+// files it wrote (main results, rejected, ads and summary reports); files in the output
+// directory that were never recorded (older runs) are still listed, grouped by their run prefix.
+// A retention policy by age and/or total size prunes whole runs, oldest first.
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, "..", "output");
+const DEFAULT_INDEX_FILE = path.join(__dirname, "..", "data", "outputs.json");
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const FILE_ROLE_PATTERN = /-(rejected|ads|summary)$/;
+
+// Run parameters worth keeping next to the files
+const RUN_PARAM_KEYS = [
+  "pincodes",
+  "locations",
+  "searchTerms",
+  "quantities",
+  "services",
+  "format",
+  "columns",
+  "filters",
+  "fastMode",
+  "deepMode",
+  "reuseLocation",
+  "paginate",
+  "maxResults",
+  "retry",
+  "circuitBreaker",
+  "rerunOf",
+];
+
+let outputDir = DEFAULT_OUTPUT_DIR;
+let indexFile = DEFAULT_INDEX_FILE;
+let runs = new Map(); // Structure: { runId: run }
+let retention = { maxAgeDays: null, maxTotalMb: null };
+let pruneTimer = null;
+
+function initOutputs({
+  dir = DEFAULT_OUTPUT_DIR,
+  file = DEFAULT_INDEX_FILE,
+  autoPrune = true,
+} = {}) {
+  outputDir = dir;
+  indexFile = file;
+  runs = new Map();
+  retention = {
+    maxAgeDays: parseLimit(process.env.OUTPUT_MAX_AGE_DAYS),
+    maxTotalMb: parseLimit(process.env.OUTPUT_MAX_TOTAL_MB),
+  };
+
+  if (fs.existsSync(indexFile)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+      for (const run of Array.isArray(saved?.runs) ? saved.runs : []) {
+        runs.set(run.id, run);
+      }
+      if (saved?.retention) {
+        retention = { ...retention, ...saved.retention };
+      }
+    } catch (err) {
+      console.error(`Failed to read output index from ${indexFile}:`, err.message);
+    }
+  }
+
+  clearInterval(pruneTimer);
+  pruneTimer = null;
+  if (autoPrune) {
+    pruneTimer = setInterval(() => pruneOutputs(), PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+  }
+}
+
+function parseLimit(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+// Run id shared by a run's files: "blinkit-search-1700000000000-rejected.csv" ->
+// "blinkit-search-1700000000000"
+function runIdForFile(filename) {
+  return path.parse(filename).name.replace(FILE_ROLE_PATTERN, "");
+}
+
+function recordOutputRun(result, { jobId = null, params = {} } = {}) {
+  const files = [
+    { filename: result.filename, role: "results", rowCount: result.rowCount },
+    { filename: result.rejectedFilename, role: "rejected", rowCount: result.rejectedCount },
+    { filename: result.adsFilename, role: "ads", rowCount: result.adsCount },
+    {
+      filename: result.summaryFilename,
+      role: "summary",
+      rowCount: result.locationStatuses?.length ?? null,
+    },
+  ].filter((file) => file.filename);
+
+  const runParams = {};
+  for (const key of RUN_PARAM_KEYS) {
+    if (params[key] !== undefined && params[key] !== null) {
+      runParams[key] = params[key];
+    }
+  }
+
+  const run = {
+    id: runIdForFile(result.filename),
+    jobId,
+    createdAt: new Date().toISOString(),
+    format: result.format || "csv",
+    rowCount: result.rowCount,
+    params: runParams,
+    files,
+  };
+  runs.set(run.id, run);
+  saveIndex();
+  pruneOutputs();
+  return run;
+}
+
+function statFile(filename) {
+  try {
+    const stats = fs.statSync(path.join(outputDir, filename));
+    return stats.isFile() ? stats : null;
+  } catch {
+    return null;
+  }
+}
+
+// Recorded runs plus untracked files, newest first. Files deleted by hand are left out.
+function listOutputs() {
+  const listed = new Map();
+  for (const run of runs.values()) {
+    listed.set(run.id, { ...run, files: [] });
+  }
+
+  const filenames = fs.existsSync(outputDir) ? fs.readdirSync(outputDir) : [];
+  for (const filename of filenames) {
+    const stats = statFile(filename);
+    if (!stats) {
+      continue;
+    }
+    const id = runIdForFile(filename);
+    if (!listed.has(id)) {
+      listed.set(id, {
+        id,
+        jobId: null,
+        createdAt: stats.mtime.toISOString(),
+        format: path.extname(filename).slice(1),
+        rowCount: null,
+        params: null,
+        files: [],
+      });
+    }
+    const recorded = runs.get(id)?.files.find((file) => file.filename === filename);
+    listed.get(id).files.push({
+      filename,
+      role: recorded?.role || FILE_ROLE_PATTERN.exec(path.parse(filename).name)?.[1] || "results",
+      rowCount: recorded?.rowCount ?? null,
+      bytes: stats.size,
+      modifiedAt: stats.mtime.toISOString(),
+    });
+  }
+
+  return Array.from(listed.values())
+    .filter((run) => run.files.length > 0)
+    .map((run) => ({ ...run, bytes: run.files.reduce((sum, file) => sum + file.bytes, 0) }))
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+function getOutput(id) {
+  return listOutputs().find((run) => run.id === id) || null;
+}
+
+// Removes every file of the run; returns the run as it was, or null when unknown
+function deleteOutput(id) {
+  const run = getOutput(id);
+  if (!run) {
+    return null;
+  }
+  for (const file of run.files) {
+    try {
+      fs.unlinkSync(path.join(outputDir, file.filename));
+    } catch (err) {
+      console.error(`Failed to delete output ${file.filename}:`, err.message);
+    }
+  }
+  runs.delete(id);
+  saveIndex();
+  return run;
+}
+
+function getRetention() {
+  return { ...retention };
+}
+
+// Returns an error message for an invalid policy, or null. A null limit switches it off.
+function validateRetention(policy) {
+  for (const key of ["maxAgeDays", "maxTotalMb"]) {
+    const value = policy?.[key];
+    if (value !== undefined && value !== null && !(typeof value === "number" && value > 0)) {
+      return `${key} must be a positive number or null`;
+    }
+  }
+  return null;
+}
+
+function setRetention(policy) {
+  for (const key of ["maxAgeDays", "maxTotalMb"]) {
+    if (policy[key] !== undefined) {
+      retention[key] = policy[key];
+    }
+  }
+  saveIndex();
+  return getRetention();
+}
+
+// Deletes runs older than maxAgeDays, then the oldest runs until the total fits in
+// maxTotalMb. Returns the ids of the deleted runs.
+function pruneOutputs({ now = Date.now() } = {}) {
+  const { maxAgeDays, maxTotalMb } = retention;
+  if (!maxAgeDays && !maxTotalMb) {
+    return [];
+  }
+
+  const oldestFirst = listOutputs().reverse();
+  const deleted = [];
+  let totalBytes = oldestFirst.reduce((sum, run) => sum + run.bytes, 0);
+  for (const run of oldestFirst) {
+    const tooOld = maxAgeDays && now - Date.parse(run.createdAt) > maxAgeDays * 86400000;
+    const overSize = maxTotalMb && totalBytes > maxTotalMb * 1024 * 1024;
+    if (!tooOld && !overSize) {
+      continue;
+    }
+    deleteOutput(run.id);
+    totalBytes -= run.bytes;
+    deleted.push(run.id);
+  }
+
+  if (deleted.length) {
+    console.log(`Pruned ${deleted.length} output run(s): ${deleted.join(", ")}`);
+  }
+  return deleted;
+}
+
+function saveIndex() {
+  try {
+    fs.mkdirSync(path.dirname(indexFile), { recursive: true });
+    fs.writeFileSync(
+      indexFile,
+      JSON.stringify({ retention, runs: Array.from(runs.values()) }, null, 2),
+      "utf8"
+    );
+  } catch (err) {
+    console.error(`Failed to persist output index to ${indexFile}:`, err.message);
+  }
+}
+
+module.exports = {
+  initOutputs,
+  recordOutputRun,
+  listOutputs,
+  getOutput,
+  deleteOutput,
+  getRetention,
+  validateRetention,
+  setRetention,
+  pruneOutputs,
+};
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+const DEFAULT_DB_FILE = path.join(__dirname, "..", "data", "price-history.sqlite");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scraped_at TEXT NOT NULL,
+    run_id TEXT,
+    service TEXT NOT NULL,
+    pincode TEXT NOT NULL,
+    product_id TEXT NOT NULL,
+    search_term TEXT,
+    name TEXT,
+    quantity TEXT,
+    price REAL,
+    mrp REAL,
+    discount_percent REAL,
+    price_per_unit REAL,
+    per_unit TEXT,
+    available INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_price_history_product
+    ON price_history (product_id, service, pincode, scraped_at);
+  CREATE INDEX IF NOT EXISTS idx_price_history_term
+    ON price_history (search_term, service, pincode, scraped_at);
+`;
+
+let dbFile = DEFAULT_DB_FILE;
+let dbPromise = null;
+
+// sql.js keeps the database in memory; it is loaded from and written back to dbFile
+function initPriceHistory({ file = DEFAULT_DB_FILE } = {}) {
+  dbFile = file;
+  dbPromise = null;
+  return getDb();
+}
+
+function getDb() {
+  if (!dbPromise) {
+    dbPromise = initSqlJs().then((SQL) => {
+      const db = fs.existsSync(dbFile)
+        ? new SQL.Database(fs.readFileSync(dbFile))
+        : new SQL.Database();
+      db.run(SCHEMA);
+      return db;
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+function persist(db) {
+  fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+  fs.writeFileSync(dbFile, Buffer.from(db.export()));
+}
+
+// Rows of a batch result to record: the kept rows plus the out of stock products the filters
+// dropped, so availability over time is tracked too (an unavailable product that was kept is
+// recorded once)
+function historyRows({ items = [], unavailable = [] } = {}) {
+  const rowKey = (row) => JSON.stringify([row.service, row.pincode, row.searchTerm, row.id]);
+  const kept = new Set(items.map(rowKey));
+  return [...items, ...unavailable.filter((row) => !kept.has(rowKey(row)))];
+}
+
+async function recordPriceRows(rows, { runId = null, scrapedAt = new Date().toISOString() } = {}) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return 0;
+  }
+
+  const db = await getDb();
+  const stmt = db.prepare(`
+    INSERT INTO price_history (
+      scraped_at, run_id, service, pincode, product_id, search_term, name, quantity,
+      price, mrp, discount_percent, price_per_unit, per_unit, available
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  db.run("BEGIN");
+  try {
+    for (const row of rows) {
+      stmt.run([
+        scrapedAt,
+        runId,
+        row.service || "blinkit",
+        String(row.pincode),
+        String(row.id),
+        row.searchTerm ?? null,
+        row.name ?? null,
+        row.quantity ?? null,
+        row.priceValue ?? null,
+        row.mrpValue ?? null,
+        row.discountPercent ?? null,
+        row.pricePerUnit ?? null,
+        row.perUnit ?? null,
+        row.available === false ? 0 : 1,
+      ]);
+    }
+    db.run("COMMIT");
+  } catch (err) {
+    db.run("ROLLBACK");
+    throw err;
+  } finally {
+    stmt.free();
+  }
+
+  persist(db);
+  return rows.length;
+}
+
+async function queryHistory(column, value, { service, pincode, from, to } = {}) {
+  const db = await getDb();
+  const clauses = [`${column} = ?`];
+  const params = [value];
+
+  if (service) {
+    clauses.push("service = ?");
+    params.push(service);
+  }
+  if (pincode) {
+    clauses.push("pincode = ?");
+    params.push(String(pincode));
+  }
+  if (from) {
+    clauses.push("scraped_at >= ?");
+    params.push(from);
+  }
+  if (to) {
+    clauses.push("scraped_at <= ?");
+    params.push(to);
+  }
+
+  const stmt = db.prepare(`
+    SELECT scraped_at AS scrapedAt, run_id AS runId, service, pincode,
+      product_id AS productId, search_term AS searchTerm, name, quantity,
+      price, mrp, discount_percent AS discountPercent,
+      price_per_unit AS pricePerUnit, per_unit AS perUnit, available
+    FROM price_history
+    WHERE ${clauses.join(" AND ")}
+    ORDER BY scraped_at ASC, pincode ASC
+  `);
+
+  const points = [];
+  try {
+    stmt.bind(params);
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      points.push({ ...row, available: row.available === 1 });
+    }
+  } finally {
+    stmt.free();
+  }
+  return points;
+}
+
+function queryProductHistory(productId, filters) {
+  return queryHistory("product_id", String(productId), filters);
+}
+
+// Term history also returns per-run min/avg so the cheapest match can be charted over time
+async function queryTermHistory(searchTerm, filters) {
+  const points = await queryHistory("search_term", searchTerm, filters);
+
+  const runs = new Map();
+  for (const point of points) {
+    const key = `${point.scrapedAt}|${point.service}|${point.pincode}`;
+    if (!runs.has(key)) {
+      runs.set(key, {
+        scrapedAt: point.scrapedAt,
+        service: point.service,
+        pincode: point.pincode,
+        prices: [],
+      });
+    }
+    if (point.price !== null && point.available) {
+      runs.get(key).prices.push(point.price);
+    }
+  }
+
+  const byRun = Array.from(runs.values()).map(({ prices, ...run }) => ({
+    ...run,
+    productCount: prices.length,
+    minPrice: prices.length ? Math.min(...prices) : null,
+    avgPrice: prices.length
+      ? Math.round((prices.reduce((sum, p) => sum + p, 0) / prices.length) * 100) / 100
+      : null,
+  }));
+
+  return { points, byRun };
+}
+
+module.exports = {
+  initPriceHistory,
+  historyRows,
+  recordPriceRows,
+  queryProductHistory,
+  queryTermHistory,
+};
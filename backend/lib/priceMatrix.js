@@ -0,0 +1,112 @@
+const { parsePriceValue } = require("../adapters/contract");
+const { toCsvValue } = require("./csv");
+
+const MATRIX_GROUPINGS = ["id", "searchTerm"];
+
+// Pivot batch rows into one line per product (or search term) with the price at every
+// pincode side by side. When a pincode has several rows for the same key (e.g. a product
+// matched by two terms, or several products for one term) the lowest price is used.
+function buildPriceMatrix(rows, { by = "id", pincodes } = {}) {
+  if (!MATRIX_GROUPINGS.includes(by)) {
+    throw new Error(`by must be one of: ${MATRIX_GROUPINGS.join(", ")}`);
+  }
+
+  const allPincodes = Array.isArray(pincodes) && pincodes.length
+    ? pincodes.map(String)
+    : Array.from(new Set(rows.map((row) => String(row.pincode))));
+
+  const groups = new Map();
+  for (const row of rows) {
+    const service = row.service || "blinkit";
+    const keyValue = by === "id" ? row.id : row.searchTerm;
+    const key = `${service}:${keyValue}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        service,
+        id: by === "id" ? row.id : null,
+        name: by === "id" ? row.name : null,
+        searchTerm: row.searchTerm,
+        quantity: by === "id" ? row.quantity : null,
+        prices: {},
+      });
+    }
+
+    const price = parsePriceValue(row.priceValue ?? row.price);
+    if (price === null) {
+      continue;
+    }
+    const group = groups.get(key);
+    const pincode = String(row.pincode);
+    if (group.prices[pincode] === undefined || price < group.prices[pincode]) {
+      group.prices[pincode] = price;
+    }
+  }
+
+  const matrixRows = Array.from(groups.values()).map((group) => {
+    const prices = {};
+    const missingPincodes = [];
+    for (const pincode of allPincodes) {
+      const price = group.prices[pincode];
+      prices[pincode] = price === undefined ? null : price;
+      if (price === undefined) {
+        missingPincodes.push(pincode);
+      }
+    }
+
+    const values = Object.values(prices).filter((p) => p !== null);
+    const min = values.length ? Math.min(...values) : null;
+    const max = values.length ? Math.max(...values) : null;
+    const spread = min !== null ? round2(max - min) : null;
+
+    return {
+      ...group,
+      prices,
+      min,
+      max,
+      spread,
+      spreadPercent: min ? round2((spread / min) * 100) : null,
+      missingPincodes,
+    };
+  });
+
+  matrixRows.sort(
+    (a, b) =>
+      (b.spread ?? -1) - (a.spread ?? -1) ||
+      String(a.name || a.searchTerm).localeCompare(String(b.name || b.searchTerm))
+  );
+
+  return { by, pincodes: allPincodes, rows: matrixRows };
+}
+
+// Columns are read by position rather than from a merged object, so a location key that
+// matches a label or statistic header (a location named "name" or "min") keeps its own column
+function buildPriceMatrixCsv(matrix) {
+  const labelFields =
+    matrix.by === "id" ? ["service", "id", "name", "quantity"] : ["service", "searchTerm"];
+  const columns = [
+    ...labelFields.map((field) => ({ header: field, value: (row) => row[field] })),
+    ...matrix.pincodes.map((pincode) => ({ header: pincode, value: (row) => row.prices[pincode] })),
+    ...["min", "max", "spread", "spreadPercent"].map((field) => ({
+      header: field,
+      value: (row) => row[field],
+    })),
+    { header: "missingPincodes", value: (row) => row.missingPincodes.join(";") },
+  ];
+
+  const lines = [columns.map((column) => toCsvValue(column.header)).join(",")];
+  for (const row of matrix.rows) {
+    lines.push(columns.map((column) => toCsvValue(column.value(row))).join(","));
+  }
+  return lines.join("\n");
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  MATRIX_GROUPINGS,
+  buildPriceMatrix,
+  buildPriceMatrixCsv,
+};
@@ -0,0 +1,180 @@
+// Pure matching helpers used by the batch filters: search-term tokens and pack quantities.
+// Kept free of browser code so they can be unit tested.
+
+function normalizeToken(token) {
+  if (!token) {
+    return "";
+  }
+  const t = token.toLowerCase();
+  if (t.length > 4 && t.endsWith("ies")) {
+    return t.slice(0, -3) + "y";
+  }
+  if (t.length > 4 && t.endsWith("es")) {
+    return t.slice(0, -2);
+  }
+  if (t.length > 3 && t.endsWith("s") && !t.endsWith("ss")) {
+    return t.slice(0, -1);
+  }
+  return t;
+}
+
+function extractCoreTokens(term) {
+  const stopwords = new Set([
+    "kg",
+    "g",
+    "gm",
+    "gram",
+    "grams",
+    "kilogram",
+    "kilograms",
+    "pack",
+    "packet",
+    "combo",
+    "x",
+    "of",
+    "and",
+    "with",
+    "fresh",
+  ]);
+
+  return String(term || "")
+    .toLowerCase()
+    .split(/[\s,-]+/)
+    .map((t) => t.trim())
+    .filter((t) => t && !stopwords.has(t))
+    .filter((t) => !/^\d+(\.\d+)?$/.test(t))
+    .filter(
+      (t) =>
+        !/^\d+(\.\d+)?(kg|g|gm|gram|grams|kilogram|kilograms|mg|l|lt|ltr|liter|litre|liters|litres|ml|pc|pcs|piece|pieces|pack|packs)$/.test(t)
+    )
+    .map((t) => normalizeToken(t))
+    .filter(Boolean);
+}
+
+function matchesSearchTerm(productName, term) {
+  const nameTokens = String(productName || "")
+    .toLowerCase()
+    .split(/[\s,-]+/)
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .map((t) => normalizeToken(t))
+    .filter(Boolean);
+
+  const nameTokenSet = new Set(nameTokens);
+  const tokens = extractCoreTokens(term);
+  if (tokens.length === 0) {
+    return true;
+  }
+  return tokens.every((token) => nameTokenSet.has(token));
+}
+
+const WEIGHT_UNITS = new Set(["kg", "g", "gm", "gram", "grams", "kilogram", "kilograms", "mg"]);
+const VOLUME_UNITS = new Set(["l", "lt", "ltr", "liter", "litre", "liters", "litres", "ml"]);
+const COUNT_UNITS = new Set(["pc", "pcs", "piece", "pieces", "pack", "packs"]);
+
+function normalizeUnit(unit) {
+  const u = unit.toLowerCase();
+  if (u === "gm") return "g";
+  if (u === "gram" || u === "grams") return "g";
+  if (u === "kilogram" || u === "kilograms") return "kg";
+  if (u === "lt" || u === "ltr") return "l";
+  if (u === "liter" || u === "litre" || u === "liters" || u === "litres") return "l";
+  if (u === "piece" || u === "pieces") return "pc";
+  if (u === "packs") return "pack";
+  return u;
+}
+
+function unitCategory(unit) {
+  const u = normalizeUnit(unit);
+  if (WEIGHT_UNITS.has(u)) return "weight";
+  if (VOLUME_UNITS.has(u)) return "volume";
+  if (COUNT_UNITS.has(u)) return "count";
+  return "unknown";
+}
+
+function normalizeQuantity(value, unit) {
+  const u = normalizeUnit(unit);
+  const category = unitCategory(u);
+  if (category === "weight") {
+    if (u === "kg") return { value: value * 1000, unit: "g", category };
+    if (u === "mg") return { value: value / 1000, unit: "g", category };
+    return { value, unit: "g", category };
+  }
+  if (category === "volume") {
+    if (u === "l") return { value: value * 1000, unit: "ml", category };
+    return { value, unit: "ml", category };
+  }
+  if (category === "count") {
+    return { value, unit: "pc", category };
+  }
+  return { value, unit: u, category: "unknown" };
+}
+
+function parseQuantityToken(str) {
+  const qtyMatch = String(str).match(/\b(\d+(?:\.\d+)?)\s*([a-zA-Z]+)\b/);
+  if (!qtyMatch) return null;
+  const value = parseFloat(qtyMatch[1]);
+  const unit = qtyMatch[2];
+  if (Number.isNaN(value)) return null;
+  return normalizeQuantity(value, unit);
+}
+
+// Extract quantity from search term (e.g., "tomato 1kg" -> {value, unit, category})
+function extractQuantityFromTerm(term) {
+  const match = term.match(/\b(\d+(?:\.\d+)?)\s*([a-zA-Z]+)\b/);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  const unit = match[2];
+  if (Number.isNaN(value)) return null;
+  return normalizeQuantity(value, unit);
+}
+
+// Normalize product quantity for comparison
+function normalizeQuantityValue(qtyStr) {
+  if (!qtyStr || qtyStr === "N/A") return null;
+
+  const str = String(qtyStr).toLowerCase().trim();
+
+  // Handle "2x500g" or "2 x 500g" format
+  const multiMatch = str.match(/(\d+)\s*x\s*(\d+(?:\.\d+)?)\s*([a-zA-Z]+)/i);
+  if (multiMatch) {
+    const multiplier = parseFloat(multiMatch[1]);
+    const value = parseFloat(multiMatch[2]);
+    const unit = multiMatch[3];
+    const normalized = normalizeQuantity(value, unit);
+    return {
+      value: normalized.value * multiplier,
+      unit: normalized.unit,
+      category: normalized.category,
+    };
+  }
+
+  return parseQuantityToken(str);
+}
+
+// Check if product quantity matches requested quantity (tolerance is a fraction, 0.1 = ±10%)
+function matchesQuantity(productQty, requestedQty, tolerance = 0.1) {
+  if (!requestedQty) return true; // No quantity filter
+
+  const productQtyNormalized = normalizeQuantityValue(productQty);
+  if (!productQtyNormalized) return true; // Can't determine, include it
+
+  if (requestedQty.category !== productQtyNormalized.category) {
+    return false;
+  }
+
+  const diff = Math.abs(productQtyNormalized.value - requestedQty.value);
+  return diff <= requestedQty.value * tolerance;
+}
+
+module.exports = {
+  normalizeToken,
+  extractCoreTokens,
+  matchesSearchTerm,
+  normalizeUnit,
+  unitCategory,
+  normalizeQuantity,
+  extractQuantityFromTerm,
+  normalizeQuantityValue,
+  matchesQuantity,
+};
@@ -0,0 +1,172 @@
+// Retries with exponential backoff and a circuit breaker for batch runs. Each location setup
+// and each search is retried on its own; the breaker is shared by all workers of a run and
+// pauses them once too many attempts in a row have failed, which usually means the site is
+// rate limiting or down.
+
+const DEFAULT_RETRY = { attempts: 3, baseDelayMs: 2000, maxDelayMs: 30000 };
+const DEFAULT_BREAKER = { threshold: 5, cooldownMs: 60000 };
+
+function envInt(name, fallback) {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Per-run options over the environment defaults
+function resolveRetryOptions(options = {}) {
+  return {
+    attempts: envInt("BATCH_RETRY_ATTEMPTS", DEFAULT_RETRY.attempts),
+    baseDelayMs: envInt("BATCH_RETRY_BASE_DELAY_MS", DEFAULT_RETRY.baseDelayMs),
+    maxDelayMs: DEFAULT_RETRY.maxDelayMs,
+    ...options,
+  };
+}
+
+function resolveBreakerOptions(options = {}) {
+  return {
+    threshold: envInt("BATCH_BREAKER_THRESHOLD", DEFAULT_BREAKER.threshold),
+    cooldownMs: envInt("BATCH_BREAKER_COOLDOWN_MS", DEFAULT_BREAKER.cooldownMs),
+    ...options,
+  };
+}
+
+// Returns an error message for invalid retry options, or null
+function validateRetryOptions(options) {
+  if (options === undefined || options === null) {
+    return null;
+  }
+  if (typeof options !== "object" || Array.isArray(options)) {
+    return "retry must be an object";
+  }
+  const { attempts } = options;
+  if (attempts !== undefined && !(Number.isInteger(attempts) && attempts >= 1)) {
+    return "retry.attempts must be a positive integer";
+  }
+  for (const key of ["baseDelayMs", "maxDelayMs"]) {
+    if (options[key] !== undefined && !(Number.isInteger(options[key]) && options[key] >= 0)) {
+      return `retry.${key} must be a non-negative integer`;
+    }
+  }
+  return null;
+}
+
+function validateBreakerOptions(options) {
+  if (options === undefined || options === null) {
+    return null;
+  }
+  if (typeof options !== "object" || Array.isArray(options)) {
+    return "circuitBreaker must be an object";
+  }
+  for (const key of ["threshold", "cooldownMs"]) {
+    if (options[key] !== undefined && !(Number.isInteger(options[key]) && options[key] >= 0)) {
+      return `circuitBreaker.${key} must be a non-negative integer`;
+    }
+  }
+  return null;
+}
+
+// Resolves after ms, or early when the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+}
+
+// threshold consecutive failures open the breaker for cooldownMs; 0 switches it off
+function createCircuitBreaker({ threshold, cooldownMs, onOpen } = resolveBreakerOptions()) {
+  let consecutiveFailures = 0;
+  let openUntil = 0;
+  let trips = 0;
+
+  return {
+    get trips() {
+      return trips;
+    },
+    recordSuccess() {
+      consecutiveFailures = 0;
+    },
+    recordFailure() {
+      consecutiveFailures += 1;
+      if (!threshold || consecutiveFailures < threshold) {
+        return;
+      }
+      consecutiveFailures = 0;
+      openUntil = Date.now() + cooldownMs;
+      trips += 1;
+      console.warn(`${threshold} failures in a row, pausing the batch for ${cooldownMs} ms`);
+      if (typeof onOpen === "function") {
+        onOpen({ failures: threshold, resumeAt: new Date(openUntil).toISOString() });
+      }
+    },
+    // Waits out an open breaker; every worker calls this before an attempt
+    async waitUntilClosed(signal) {
+      while (openUntil > Date.now() && !signal?.aborted) {
+        await sleep(openUntil - Date.now(), signal);
+      }
+    },
+  };
+}
+
+// Runs task until it succeeds or the attempts run out. A thrown error, or a result for which
+// isFailure returns a message, is a failed attempt. Resolves to { value, error, attempts }
+// where error is null on success and the last failure message otherwise. Nothing is retried
+// once the signal has aborted; the cancellation error is rethrown instead.
+async function withRetry(
+  task,
+  { attempts, baseDelayMs, maxDelayMs, isFailure = () => null, breaker, signal, onRetry }
+) {
+  let value = null;
+  let error = null;
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    await breaker?.waitUntilClosed(signal);
+    try {
+      value = await task(attempt);
+      error = isFailure(value);
+    } catch (err) {
+      if (signal?.aborted) {
+        throw err;
+      }
+      value = null;
+      error = err.message;
+    }
+
+    if (!error) {
+      breaker?.recordSuccess();
+      return { value, error: null, attempts: attempt };
+    }
+    breaker?.recordFailure();
+    if (attempt < attempts) {
+      const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      if (typeof onRetry === "function") {
+        onRetry({ attempt, error, delayMs });
+      }
+      await sleep(delayMs, signal);
+    }
+  }
+  return { value, error, attempts };
+}
+
+module.exports = {
+  resolveRetryOptions,
+  resolveBreakerOptions,
+  validateRetryOptions,
+  validateBreakerOptions,
+  createCircuitBreaker,
+  withRetry,
+  sleep,
+};
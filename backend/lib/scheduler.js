@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { CronExpressionParser } = require("cron-parser");
+
+const { enqueueJob, getJob, isTerminal, jobEvents } = require("./jobQueue");
+
+const DEFAULT_SCHEDULES_FILE = path.join(__dirname, "..", "data", "schedules.json");
+const TICK_INTERVAL_MS = 30000;
+const MAX_HISTORY = 50;
+
+const schedules = new Map(); // Structure: { scheduleId: schedule }
+
+let schedulesFile = DEFAULT_SCHEDULES_FILE;
+let jobType = null;
+let timer = null;
+
+// Returns an error message for an invalid cron expression/timezone, or null
+function validateCron(cron, timezone) {
+  if (typeof cron !== "string" || !cron.trim()) {
+    return "cron is required (e.g. \"0 6 * * *\")";
+  }
+  if (timezone) {
+    // cron-parser only notices an unknown timezone when computing a run
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    } catch (err) {
+      return `Invalid timezone: ${timezone}`;
+    }
+  }
+  try {
+    CronExpressionParser.parse(cron, { tz: timezone || undefined });
+    return null;
+  } catch (err) {
+    return `Invalid cron expression: ${err.message}`;
+  }
+}
+
+function computeNextRun(cron, timezone, from = new Date()) {
+  const expr = CronExpressionParser.parse(cron, {
+    currentDate: from,
+    tz: timezone || undefined,
+  });
+  return expr.next().toISOString();
+}
+
+function initScheduler({ file = DEFAULT_SCHEDULES_FILE, type } = {}) {
+  schedulesFile = file;
+  jobType = type;
+  schedules.clear();
+
+  if (fs.existsSync(schedulesFile)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(schedulesFile, "utf8"));
+      for (const schedule of Array.isArray(saved) ? saved : []) {
+        schedules.set(schedule.id, schedule);
+      }
+    } catch (err) {
+      console.error(`Failed to read schedules from ${schedulesFile}:`, err.message);
+    }
+  }
+
+  // Runs missed while the server was down are skipped, not replayed
+  const now = new Date();
+  for (const schedule of schedules.values()) {
+    if (schedule.enabled && (!schedule.nextRunAt || new Date(schedule.nextRunAt) < now)) {
+      schedule.nextRunAt = computeNextRun(schedule.cron, schedule.timezone, now);
+    }
+  }
+  saveSchedules();
+
+  jobEvents.off("status", syncHistory);
+  jobEvents.on("status", syncHistory);
+
+  if (timer) {
+    clearInterval(timer);
+  }
+  timer = setInterval(() => runDueSchedules(), TICK_INTERVAL_MS);
+  timer.unref();
+}
+
+function listSchedules() {
+  return Array.from(schedules.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function getSchedule(id) {
+  return schedules.get(id) || null;
+}
+
+function createSchedule({ name, cron, timezone = null, enabled = true, params }) {
+  const now = new Date().toISOString();
+  const schedule = {
+    id: crypto.randomUUID(),
+    name: name || cron,
+    cron,
+    timezone,
+    enabled: enabled !== false,
+    params,
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+    nextRunAt: enabled !== false ? computeNextRun(cron, timezone) : null,
+    history: [],
+  };
+  schedules.set(schedule.id, schedule);
+  saveSchedules();
+  return schedule;
+}
+
+function updateSchedule(id, changes) {
+  const schedule = schedules.get(id);
+  if (!schedule) {
+    return null;
+  }
+
+  for (const key of ["name", "cron", "timezone", "enabled", "params"]) {
+    if (changes[key] !== undefined) {
+      schedule[key] = changes[key];
+    }
+  }
+  schedule.updatedAt = new Date().toISOString();
+  schedule.nextRunAt = schedule.enabled ? computeNextRun(schedule.cron, schedule.timezone) : null;
+  saveSchedules();
+  return schedule;
+}
+
+function deleteSchedule(id) {
+  const existed = schedules.delete(id);
+  if (existed) {
+    saveSchedules();
+  }
+  return existed;
+}
+
+// Queue a batch job for the schedule now and record it in the run history
+function runSchedule(id, { trigger = "manual" } = {}) {
+  const schedule = schedules.get(id);
+  if (!schedule) {
+    return null;
+  }
+
+  const job = enqueueJob(jobType, { ...schedule.params, scheduleId: schedule.id });
+  schedule.lastRunAt = job.createdAt;
+  schedule.history.unshift({
+    jobId: job.id,
+    trigger,
+    status: job.status,
+    queuedAt: job.createdAt,
+    finishedAt: null,
+    filename: null,
+    rowCount: null,
+    error: null,
+  });
+  schedule.history = schedule.history.slice(0, MAX_HISTORY);
+  saveSchedules();
+  return job;
+}
+
+// Whether the job of the schedule's latest run is still queued or running
+function isRunActive(schedule) {
+  const latest = schedule.history.find((entry) => entry.jobId);
+  const job = latest && getJob(latest.jobId);
+  return Boolean(job) && !isTerminal(job);
+}
+
+// Queue the schedules that are due; a run that comes up while the previous one has not
+// finished is skipped and recorded as such in the run history
+function runDueSchedules({ now = new Date() } = {}) {
+  for (const schedule of schedules.values()) {
+    if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) {
+      continue;
+    }
+    if (isRunActive(schedule)) {
+      console.log(`Skipping schedule ${schedule.id} (${schedule.name}): previous run not finished`);
+      schedule.history.unshift({
+        jobId: null,
+        trigger: "schedule",
+        status: "skipped",
+        queuedAt: now.toISOString(),
+        finishedAt: null,
+        filename: null,
+        rowCount: null,
+        error: "Previous run was still in progress",
+      });
+      schedule.history = schedule.history.slice(0, MAX_HISTORY);
+    } else {
+      try {
+        console.log(`Running schedule ${schedule.id} (${schedule.name})`);
+        runSchedule(schedule.id, { trigger: "schedule" });
+      } catch (err) {
+        console.error(`Failed to queue schedule ${schedule.id}:`, err);
+      }
+    }
+    schedule.nextRunAt = computeNextRun(schedule.cron, schedule.timezone, now);
+    saveSchedules();
+  }
+}
+
+// Keep run history entries in step with the status of their batch jobs
+function syncHistory(job) {
+  const scheduleId = job.params?.scheduleId;
+  const schedule = scheduleId && schedules.get(scheduleId);
+  if (!schedule) {
+    return;
+  }
+  const entry = schedule.history.find((h) => h.jobId === job.id);
+  if (!entry) {
+    return;
+  }
+
+  const latest = getJob(job.id) || job;
+  entry.status = latest.status;
+  entry.finishedAt = latest.finishedAt;
+  entry.filename = latest.result?.filename || null;
+  entry.rowCount = latest.result?.rowCount ?? null;
+  entry.error = latest.error;
+  saveSchedules();
+}
+
+function saveSchedules() {
+  try {
+    fs.mkdirSync(path.dirname(schedulesFile), { recursive: true });
+    fs.writeFileSync(schedulesFile, JSON.stringify(listSchedules(), null, 2), "utf8");
+  } catch (err) {
+    console.error(`Failed to persist schedules to ${schedulesFile}:`, err.message);
+  }
+}
+
+module.exports = {
+  validateCron,
+  computeNextRun,
+  initScheduler,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule,
+  runDueSchedules,
+};
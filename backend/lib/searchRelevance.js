@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+
+const { normalizeToken, extractCoreTokens } = require("./productMatching");
+
+// Relevance of a product name to a search term, from 0 to 1. The term is split into concepts
+// (single words, or multi-word synonym phrases such as "bell pepper"); each concept scores
+// 1 for an exact match, SYNONYM_SCORE for a synonym from config/synonyms.json and less for a
+// match within a few typos. The row score is the mean over concepts.
+
+const DEFAULT_SYNONYMS_FILE = path.join(__dirname, "..", "config", "synonyms.json");
+const SYNONYM_SCORE = 0.95;
+
+let synonymGroups = []; // Structure: [[phraseTokens]] with one entry per synonym group
+
+function initSynonyms({ file = process.env.SYNONYMS_FILE || DEFAULT_SYNONYMS_FILE } = {}) {
+  synonymGroups = [];
+  if (!fs.existsSync(file)) {
+    console.warn(`No synonyms file at ${file}; search terms will match exact words only`);
+    return synonymGroups;
+  }
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const group of Array.isArray(saved?.groups) ? saved.groups : []) {
+      const phrases = (Array.isArray(group) ? group : [])
+        .map((phrase) => extractCoreTokens(phrase))
+        .filter((tokens) => tokens.length > 0);
+      if (phrases.length > 1) {
+        synonymGroups.push(phrases);
+      }
+    }
+  } catch (err) {
+    console.error(`Failed to read synonyms from ${file}:`, err.message);
+  }
+  return synonymGroups;
+}
+
+function tokenizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .map((t) => normalizeToken(t))
+    .filter(Boolean);
+}
+
+// Edit distance counting a swap of adjacent letters ("onoin") as one edit. Gives up
+// (returning max + 1) once the distance is certain to exceed max.
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos tolerated for a word: none up to 4 letters ("rice" must not match "ice"), one up to
+// 7 letters, two beyond
+function allowedEdits(token) {
+  if (token.length <= 4) {
+    return 0;
+  }
+  return token.length <= 7 ? 1 : 2;
+}
+
+function tokenScore(token, nameTokens, fuzzy) {
+  if (nameTokens.includes(token)) {
+    return 1;
+  }
+  if (!fuzzy) {
+    return 0;
+  }
+  const max = allowedEdits(token);
+  let best = 0;
+  for (const nameToken of nameTokens) {
+    const distance = editDistance(token, nameToken, max);
+    if (distance <= max) {
+      best = Math.max(best, 1 - distance / token.length);
+    }
+  }
+  return best;
+}
+
+// Every word of a phrase has to be present, so the phrase scores as its weakest word
+function phraseScore(phrase, nameTokens, fuzzy) {
+  return Math.min(...phrase.map((token) => tokenScore(token, nameTokens, fuzzy)));
+}
+
+// Group term tokens into concepts, preferring the longest synonym phrase at each position
+function buildConcepts(termTokens) {
+  const concepts = [];
+  let i = 0;
+  while (i < termTokens.length) {
+    let match = null;
+    for (const group of synonymGroups) {
+      for (const phrase of group) {
+        const fits = phrase.every((token, k) => termTokens[i + k] === token);
+        if (fits && phrase.length > (match?.phrase.length || 0)) {
+          match = { phrase, group };
+        }
+      }
+    }
+
+    if (match) {
+      concepts.push({
+        phrase: match.phrase,
+        synonyms: match.group.filter((p) => p !== match.phrase),
+      });
+      i += match.phrase.length;
+    } else {
+      concepts.push({ phrase: [termTokens[i]], synonyms: [] });
+      i += 1;
+    }
+  }
+  return concepts;
+}
+
+function scoreSearchMatch(productName, term, { fuzzy = true } = {}) {
+  const concepts = buildConcepts(extractCoreTokens(term));
+  if (concepts.length === 0) {
+    return 1;
+  }
+
+  const nameTokens = tokenizeName(productName);
+  const conceptScores = concepts.map(({ phrase, synonyms }) => {
+    const scores = [phraseScore(phrase, nameTokens, fuzzy)];
+    for (const synonym of synonyms) {
+      scores.push(SYNONYM_SCORE * phraseScore(synonym, nameTokens, fuzzy));
+    }
+    return Math.max(...scores);
+  });
+  // Every word of the term has to be found, however loosely; typos then lower the average
+  if (conceptScores.includes(0)) {
+    return 0;
+  }
+  const total = conceptScores.reduce((sum, score) => sum + score, 0);
+  return Math.round((total / concepts.length) * 100) / 100;
+}
+
+initSynonyms();
+
+module.exports = {
+  initSynonyms,
+  editDistance,
+  scoreSearchMatch,
+};
@@ -5,20 +5,139 @@ const cors = require("cors");
 const puppet = require("puppeteer");
 const morgan = require("morgan");
 const path = require("path");
-const { runBlinkitBatchCsv, probeBlinkitSearch } = require("./blinkit/batchCsvService");
+const {
+  listResultColumns,
+  runBlinkitBatchCsv,
+  probeBlinkitSearch,
+} = require("./blinkit/batchCsvService");
+const {
+  registerJobRunner,
+  initJobQueue,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  resumeJob,
+  getRecentEvents,
+  isTerminal,
+  summarizeJob,
+  hasFullResult,
+  jobEvents,
+} = require("./lib/jobQueue");
 const fs = require("fs");
 require("dotenv").config();
 
-// Define supported services
-const SVCS = ["blinkit"];
-
-// Import service helpers dynamically
-const svcHelpers = {};
-SVCS.forEach((svc) => {
-  svcHelpers[svc] = {
-    search: require(`./${svc}/searchHelpers.js`),
-    location: require(`./${svc}/set-location.js`),
-  };
+// Supported services come from the retailer adapter registry
+const { SERVICES: SVCS, getAdapter, listAdapters } = require("./adapters");
+const { runSearch } = require("./adapters/search");
+const { listFilters } = require("./lib/filterChain");
+const { OUTPUT_FORMATS, contentTypeFor } = require("./lib/outputFormats");
+const { normalizeLocation } = require("./lib/locations");
+const { parseBatchParams } = require("./lib/batchParams");
+const {
+  initLocationSessions,
+  listLocationSessions,
+  clearLocationSessions,
+} = require("./lib/locationSessions");
+const { setLocationWithRetry } = require("./adapters/location");
+const {
+  initCheckpoints,
+  openCheckpoint,
+  hasCheckpoint,
+  pruneCheckpoints,
+} = require("./lib/checkpoints");
+const {
+  initExclusionRules,
+  validateExclusionRule,
+  listExclusionRules,
+  getExclusionRule,
+  createExclusionRule,
+  updateExclusionRule,
+  deleteExclusionRule,
+} = require("./lib/exclusionRules");
+const { MATRIX_GROUPINGS, buildPriceMatrix, buildPriceMatrixCsv } = require("./lib/priceMatrix");
+const {
+  validateCron,
+  initScheduler,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule,
+} = require("./lib/scheduler");
+const {
+  initPriceHistory,
+  historyRows,
+  recordPriceRows,
+  queryProductHistory,
+  queryTermHistory,
+} = require("./lib/priceHistory");
+const {
+  initAlerts,
+  validateAlertRule,
+  listAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  listDeliveries,
+  evaluateAlerts,
+  sendTestAlert,
+} = require("./lib/alerts");
+const {
+  initOutputs,
+  recordOutputRun,
+  listOutputs,
+  getOutput,
+  deleteOutput,
+  getRetention,
+  validateRetention,
+  setRetention,
+  pruneOutputs,
+} = require("./lib/outputs");
+
+const BATCH_JOB_TYPE = "blinkit-batch-csv";
+registerJobRunner(BATCH_JOB_TYPE, async (params, { jobId, signal, onProgress }) => {
+  // Finished searches are checkpointed so an interrupted job resumes where it stopped
+  const checkpoint = openCheckpoint(jobId);
+  const result = await runBlinkitBatchCsv({ ...params, checkpoint, signal, onProgress });
+  checkpoint.remove();
+  recordOutputRun(result, { jobId, params });
+  try {
+    await recordPriceRows(historyRows(result), { runId: jobId });
+  } catch (err) {
+    console.error(`Failed to record price history for job ${jobId}:`, err);
+  }
+  // Webhook retries can take a while, so alerts are delivered without holding up the job
+  evaluateAlerts(result, { jobId }).catch((err) =>
+    console.error(`Failed to evaluate alerts for job ${jobId}:`, err)
+  );
+  return result;
+});
+initAlerts({
+  file: path.join(__dirname, "data", "alerts.json"),
+  logFile: path.join(__dirname, "data", "alert-deliveries.json"),
+});
+initOutputs({
+  dir: path.join(__dirname, "output"),
+  file: path.join(__dirname, "data", "outputs.json"),
+});
+initLocationSessions({ file: path.join(__dirname, "data", "location-sessions.json") });
+initCheckpoints({ dir: path.join(__dirname, "data", "checkpoints") });
+initScheduler({ file: path.join(__dirname, "data", "schedules.json"), type: BATCH_JOB_TYPE });
+initPriceHistory({ file: path.join(__dirname, "data", "price-history.sqlite") }).catch((err) =>
+  console.error("Failed to open price history database:", err)
+);
+initJobQueue({
+  dir: path.join(__dirname, "data", "jobs"),
+  concurrency: process.env.BATCH_JOB_CONCURRENCY || 1,
+});
+// Checkpoints of jobs that are queued again after the restart are still needed
+pruneCheckpoints({
+  keep: listJobs()
+    .filter((job) => job.status === "queued" || job.status === "running")
+    .map((job) => job.id),
 });
 
 const app = express();
@@ -46,27 +165,461 @@ app.get("/api/health", (req, res) => {
   });
 });
 
-// Batch CSV export for Blinkit (comma-separated pincodes and search terms)
-app.post("/api/blinkit/batch-csv", async (req, res) => {
-  const pincodes = parseCommaList(req.body?.pincodes);
-  const searchTerms = parseCommaList(req.body?.searchTerms);
-  const quantities = parseCommaList(req.body?.quantities);
+// Services with a retailer adapter
+app.get("/api/services", (req, res) => {
+  return res.status(200).json({
+    services: listAdapters().map((adapter) => ({ name: adapter.name, label: adapter.label })),
+  });
+});
+
+// Result filters with their defaults; batch requests override them via `filters`
+app.get("/api/filters", (req, res) => {
+  return res.status(200).json({ filters: listFilters() });
+});
+
+// Output formats and the columns a batch run can select
+app.get("/api/output-formats", (req, res) => {
+  return res.status(200).json({
+    formats: Object.keys(OUTPUT_FORMATS),
+    columns: listResultColumns(),
+  });
+});
+
+// Processed-product exclusion rules used by the "processed" filter (config/exclusion-rules.json)
+app.get("/api/exclusion-rules", (req, res) => {
+  const category = typeof req.query.category === "string" ? req.query.category : undefined;
+  return res.status(200).json({ rules: listExclusionRules({ category }) });
+});
+
+app.post("/api/exclusion-rules", (req, res) => {
+  const error = validateExclusionRule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (getExclusionRule(req.body.id)) {
+    return res.status(409).json({ error: `Exclusion rule ${req.body.id} already exists` });
+  }
+  return res.status(201).json(createExclusionRule(req.body));
+});
+
+// Re-read the rules file after editing it by hand
+app.post("/api/exclusion-rules/reload", (req, res) => {
+  return res.status(200).json({ rules: initExclusionRules() });
+});
+
+app.get("/api/exclusion-rules/:id", (req, res) => {
+  const rule = getExclusionRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: "Exclusion rule not found" });
+  }
+  return res.status(200).json(rule);
+});
+
+// Partial update; fields are merged with the saved rule and re-validated
+app.put("/api/exclusion-rules/:id", (req, res) => {
+  const rule = getExclusionRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: "Exclusion rule not found" });
+  }
+
+  const merged = { ...rule, ...(req.body || {}), id: rule.id };
+  const error = validateExclusionRule(merged);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  return res.status(200).json(updateExclusionRule(rule.id, merged));
+});
+
+app.delete("/api/exclusion-rules/:id", (req, res) => {
+  if (!deleteExclusionRule(req.params.id)) {
+    return res.status(404).json({ error: "Exclusion rule not found" });
+  }
+  return res.status(204).end();
+});
+
+// Batch CSV export for Blinkit (comma-separated pincodes and search terms).
+// The run is queued as a background job; poll /api/blinkit/jobs/:id for progress.
+app.post("/api/blinkit/batch-csv", (req, res) => {
+  const { params, error } = parseBatchParams(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const job = enqueueJob(BATCH_JOB_TYPE, params);
+    return res.status(202).json({ jobId: job.id, ...summarizeJob(job) });
+  } catch (err) {
+    console.error("Error queueing Blinkit batch CSV:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// List batch jobs (optionally filtered by ?status=)
+app.get("/api/blinkit/jobs", (req, res) => {
+  const status = typeof req.query.status === "string" ? req.query.status : undefined;
+  return res.status(200).json({ jobs: listJobs({ status }).map(summarizeJob) });
+});
+
+// Status of a single batch job
+app.get("/api/blinkit/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  return res.status(200).json(summarizeJob(job));
+});
+
+// Cancel a queued or running batch job
+app.post("/api/blinkit/jobs/:id/cancel", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (isTerminal(job)) {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+  cancelJob(job.id);
+  return res.status(202).json(summarizeJob(job));
+});
+
+// Continue a failed or cancelled batch job from its checkpoint
+app.post("/api/blinkit/jobs/:id/resume", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.status !== "failed" && job.status !== "cancelled") {
+    return res.status(409).json({
+      error: `Job is ${job.status}; only failed or cancelled jobs can be resumed`,
+    });
+  }
+  const checkpointed = hasCheckpoint(job.id);
+  resumeJob(job.id);
+  return res.status(202).json({ ...summarizeJob(job), checkpointed });
+});
+
+// Queue a new job repeating only the searches of a completed job that failed or found nothing
+app.post("/api/blinkit/jobs/:id/rerun-failures", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.status !== "completed") {
+    return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+  }
+  const pairs = summarizeJob(job).result.rerunPairs;
+  if (pairs.length === 0) {
+    return res.status(409).json({ error: "Job has no failed or empty searches to re-run" });
+  }
+
+  try {
+    const rerun = enqueueJob(BATCH_JOB_TYPE, { ...job.params, pairs, rerunOf: job.id });
+    return res.status(202).json({
+      jobId: rerun.id,
+      ...summarizeJob(rerun),
+      pairCount: pairs.length,
+    });
+  } catch (err) {
+    console.error("Error queueing batch re-run:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Full result (filename + items) of a batch job completed since the server started
+app.get("/api/blinkit/jobs/:id/result", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.status !== "completed") {
+    return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+  }
+  if (!hasFullResult(job)) {
+    return res.status(410).json({
+      error: "Job result rows are not kept across restarts; download its output files instead",
+      result: job.result,
+    });
+  }
+  return res.status(200).json(job.result);
+});
+
+// Cross-pincode price matrix of a completed batch job (?by=id|searchTerm&format=json|csv)
+app.get("/api/blinkit/jobs/:id/matrix", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.status !== "completed") {
+    return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+  }
+  if (!hasFullResult(job)) {
+    return res.status(410).json({
+      error: "Job result rows are not kept across restarts; download its output files instead",
+      result: job.result,
+    });
+  }
+
+  const by = req.query.by || "id";
+  const format = req.query.format || "json";
+  if (!MATRIX_GROUPINGS.includes(by)) {
+    return res.status(400).json({ error: `by must be one of: ${MATRIX_GROUPINGS.join(", ")}` });
+  }
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({ error: 'format must be "json" or "csv"' });
+  }
+
+  const matrix = buildPriceMatrix(job.result.items || [], {
+    by,
+    pincodes: job.result.locationKeys || job.result.pincodes,
+  });
+  if (format === "csv") {
+    const base = path.parse(job.result.filename || `batch-${job.id}.csv`).name;
+    res.attachment(`${base}-matrix-by-${by}.csv`);
+    return res.type("text/csv").send(buildPriceMatrixCsv(matrix));
+  }
+  return res.status(200).json(matrix);
+});
+
+// Price history of one product id (?service=&pincode=&from=&to=)
+app.get("/api/history/products/:productId", async (req, res) => {
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
 
-  if (!pincodes.length || !searchTerms.length) {
-    return res.status(400).json({
-      error: "pincodes and searchTerms are required (comma-separated or arrays).",
+  try {
+    const points = await queryProductHistory(req.params.productId, {
+      service: req.query.service,
+      pincode: req.query.pincode,
+      ...range,
     });
+    return res.status(200).json({ productId: req.params.productId, ...range, points });
+  } catch (err) {
+    console.error("Error querying product price history:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Price history of every row scraped for a search term (?service=&pincode=&from=&to=)
+app.get("/api/history/terms/:term", async (req, res) => {
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
   }
 
   try {
-    const result = await runBlinkitBatchCsv({ pincodes, searchTerms, quantities });
-    return res.status(200).json(result);
+    const history = await queryTermHistory(req.params.term, {
+      service: req.query.service,
+      pincode: req.query.pincode,
+      ...range,
+    });
+    return res.status(200).json({ searchTerm: req.params.term, ...range, ...history });
+  } catch (err) {
+    console.error("Error querying search term price history:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Saved batch configurations that run on a cron schedule
+app.get("/api/schedules", (req, res) => {
+  return res.status(200).json({ schedules: listSchedules() });
+});
+
+app.post("/api/schedules", (req, res) => {
+  const { params, error } = parseBatchParams(req.body);
+  const cronError = validateCron(req.body?.cron, req.body?.timezone);
+  if (error || cronError) {
+    return res.status(400).json({ error: error || cronError });
+  }
+
+  const schedule = createSchedule({
+    name: req.body.name,
+    cron: req.body.cron,
+    timezone: req.body.timezone || null,
+    enabled: req.body.enabled !== false,
+    params,
+  });
+  return res.status(201).json(schedule);
+});
+
+app.get("/api/schedules/:id", (req, res) => {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: "Schedule not found" });
+  }
+  return res.status(200).json(schedule);
+});
+
+// Partial update; batch fields are merged with the saved ones and re-validated
+app.put("/api/schedules/:id", (req, res) => {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: "Schedule not found" });
+  }
+
+  const body = req.body || {};
+  const { params, error } = parseBatchParams({ ...schedule.params, ...body });
+  const cron = body.cron ?? schedule.cron;
+  const timezone = body.timezone !== undefined ? body.timezone || null : schedule.timezone;
+  const cronError = validateCron(cron, timezone);
+  if (error || cronError) {
+    return res.status(400).json({ error: error || cronError });
+  }
+
+  const updated = updateSchedule(schedule.id, {
+    name: body.name,
+    cron,
+    timezone,
+    enabled: body.enabled === undefined ? undefined : body.enabled !== false,
+    params,
+  });
+  return res.status(200).json(updated);
+});
+
+app.delete("/api/schedules/:id", (req, res) => {
+  if (!deleteSchedule(req.params.id)) {
+    return res.status(404).json({ error: "Schedule not found" });
+  }
+  return res.status(204).end();
+});
+
+// Queue a run of the schedule right away
+app.post("/api/schedules/:id/run", (req, res) => {
+  try {
+    const job = runSchedule(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    return res.status(202).json({ jobId: job.id, ...summarizeJob(job) });
+  } catch (err) {
+    console.error("Error running schedule:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Run history with links to the generated CSVs
+app.get("/api/schedules/:id/runs", (req, res) => {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: "Schedule not found" });
+  }
+  const runs = schedule.history.map((run) => ({
+    ...run,
+    downloadUrl: run.filename ? `/api/blinkit/batch-csv/${run.filename}` : null,
+  }));
+  return res.status(200).json({ scheduleId: schedule.id, runs });
+});
+
+// Price and stock alert rules, checked after every batch run
+app.get("/api/alerts", (req, res) => {
+  return res.status(200).json({ alerts: listAlertRules() });
+});
+
+app.post("/api/alerts", (req, res) => {
+  const error = validateAlertRule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  return res.status(201).json(createAlertRule(req.body));
+});
+
+// Webhook delivery log, newest first (?ruleId=)
+app.get("/api/alerts/deliveries", (req, res) => {
+  const ruleId = typeof req.query.ruleId === "string" ? req.query.ruleId : undefined;
+  return res.status(200).json({ deliveries: listDeliveries({ ruleId }) });
+});
+
+app.get("/api/alerts/:id", (req, res) => {
+  const rule = getAlertRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: "Alert not found" });
+  }
+  return res.status(200).json(rule);
+});
+
+// Partial update; fields are merged with the saved rule and re-validated
+app.put("/api/alerts/:id", (req, res) => {
+  const rule = getAlertRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: "Alert not found" });
+  }
+
+  const merged = { ...rule, ...(req.body || {}) };
+  const error = validateAlertRule(merged);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  return res.status(200).json(updateAlertRule(rule.id, merged));
+});
+
+app.delete("/api/alerts/:id", (req, res) => {
+  if (!deleteAlertRule(req.params.id)) {
+    return res.status(404).json({ error: "Alert not found" });
+  }
+  return res.status(204).end();
+});
+
+// Deliver a sample payload to the rule's webhook and return the delivery record
+app.post("/api/alerts/:id/test", async (req, res) => {
+  try {
+    const delivery = await sendTestAlert(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+    return res.status(200).json(delivery);
   } catch (err) {
-    console.error("Error running Blinkit batch CSV:", err);
+    console.error("Error sending test alert:", err);
     return res.status(500).json({ error: err.message });
   }
 });
 
+// Generated output files grouped by run, with retention by age and total size
+app.get("/api/outputs", (req, res) => {
+  return res.status(200).json({ outputs: listOutputs(), retention: getRetention() });
+});
+
+app.get("/api/outputs/retention", (req, res) => {
+  return res.status(200).json(getRetention());
+});
+
+app.put("/api/outputs/retention", (req, res) => {
+  const error = validateRetention(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const retention = setRetention(req.body);
+  return res.status(200).json({ retention, pruned: pruneOutputs() });
+});
+
+app.post("/api/outputs/prune", (req, res) => {
+  return res.status(200).json({ pruned: pruneOutputs() });
+});
+
+app.get("/api/outputs/:id", (req, res) => {
+  const output = getOutput(req.params.id);
+  if (!output) {
+    return res.status(404).json({ error: "Output not found" });
+  }
+  return res.status(200).json(output);
+});
+
+app.delete("/api/outputs/:id", (req, res) => {
+  if (!deleteOutput(req.params.id)) {
+    return res.status(404).json({ error: "Output not found" });
+  }
+  return res.status(204).end();
+});
+
+// Saved location sessions (cookie and storage values are not returned)
+app.get("/api/location-sessions", (req, res) => {
+  return res.status(200).json({ sessions: listLocationSessions() });
+});
+
+// Forget every saved location session so the next runs set locations from scratch
+app.delete("/api/location-sessions", (req, res) => {
+  return res.status(200).json({ cleared: clearLocationSessions() });
+});
+
 // Probe Blinkit JSON endpoint for a search term (returns source URL + headers)
 app.post("/api/blinkit/probe", async (req, res) => {
   const pincode = req.body?.pincode;
@@ -75,9 +628,14 @@ app.post("/api/blinkit/probe", async (req, res) => {
   if (!pincode || !searchTerm) {
     return res.status(400).json({ error: "pincode and searchTerm are required" });
   }
+  const fixtures = parseFixtureParams(req.body);
+  if (fixtures.error) {
+    return res.status(400).json({ error: fixtures.error });
+  }
 
   try {
-    const result = await probeBlinkitSearch({ pincode, searchTerm });
+    const reuseLocation = req.body?.reuseLocation !== false;
+    const result = await probeBlinkitSearch({ pincode, searchTerm, reuseLocation, ...fixtures });
     return res.status(200).json(result);
   } catch (err) {
     console.error("Error probing Blinkit:", err);
@@ -85,7 +643,7 @@ app.post("/api/blinkit/probe", async (req, res) => {
   }
 });
 
-// Download a generated Blinkit CSV by filename
+// Download a generated batch output (any format) by filename
 app.get("/api/blinkit/batch-csv/:filename", (req, res) => {
   const requested = req.params.filename;
   const safeName = path.basename(requested);
@@ -100,25 +658,33 @@ app.get("/api/blinkit/batch-csv/:filename", (req, res) => {
     return res.status(404).json({ error: "File not found" });
   }
 
-  return res.download(filePath, safeName);
+  return res.download(filePath, safeName, {
+    headers: { "Content-Type": contentTypeFor(safeName) },
+  });
 });
 
 // Client tracking maps
 const browsers = new Map(); // Structure: { cid: { svc: browser } }
 const pages = new Map();    // Structure: { cid: { svc: page } }
 const locSet = new Map();   // Structure: { cid: { svc: bool } }
-
-function parseCommaList(value) {
-  if (Array.isArray(value)) {
-    return value.map((entry) => String(entry).trim()).filter(Boolean);
-  }
-  if (typeof value === "string") {
-    return value
-      .split(",")
-      .map((entry) => entry.trim())
-      .filter(Boolean);
+const jobSubs = new Map();  // Structure: { jobId: Set<socket> }
+
+// Parse ?from=&to= (ISO dates or timestamps); a bare "to" date covers that whole day
+function parseDateRange(query) {
+  const range = {};
+  for (const key of ["from", "to"]) {
+    const value = query?.[key];
+    if (value === undefined || value === "") {
+      continue;
+    }
+    const time = Date.parse(value);
+    if (typeof value !== "string" || Number.isNaN(time)) {
+      return { error: `${key} must be an ISO date` };
+    }
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    range[key] = new Date(key === "to" && isDateOnly ? time + 86399999 : time).toISOString();
   }
-  return [];
+  return range;
 }
 
 // WebSocket connection handler
@@ -144,6 +710,12 @@ wss.on("connection", (socket) => {
       }
 
       switch (data.type) {
+        case "subscribe-job":
+          subscribeJob(socket, data);
+          break;
+        case "unsubscribe-job":
+          unsubscribeJob(socket, data.jobId);
+          break;
         case "set-location":
           await setLoc(socket, cid, data);
           break;
@@ -165,6 +737,9 @@ wss.on("connection", (socket) => {
   // Handle client disconnection
   socket.on("close", async () => {
     console.log(`Client disconnected: ${cid}`);
+    for (const jobId of Array.from(jobSubs.keys())) {
+      unsubscribeJob(socket, jobId);
+    }
     await cleanup(cid);
   });
 });
@@ -180,6 +755,60 @@ function sendErr(socket, msg, svc) {
   );
 }
 
+// Batch job progress subscriptions
+function subscribeJob(socket, data) {
+  const job = getJob(data.jobId);
+  if (!job) {
+    return sendErr(socket, `Job not found: ${data.jobId}`);
+  }
+
+  if (!jobSubs.has(job.id)) {
+    jobSubs.set(job.id, new Set());
+  }
+  jobSubs.get(job.id).add(socket);
+
+  // Replay recent events so late subscribers can render the log so far
+  socket.send(
+    JSON.stringify({
+      type: "job-subscribed",
+      job: summarizeJob(job),
+      events: getRecentEvents(job.id),
+    })
+  );
+}
+
+function unsubscribeJob(socket, jobId) {
+  const subs = jobSubs.get(jobId);
+  if (!subs) {
+    return;
+  }
+  subs.delete(socket);
+  if (subs.size === 0) {
+    jobSubs.delete(jobId);
+  }
+}
+
+function broadcastJob(jobId, payload) {
+  const subs = jobSubs.get(jobId);
+  if (!subs) {
+    return;
+  }
+  const msg = JSON.stringify(payload);
+  for (const socket of subs) {
+    if (socket.readyState === ws.OPEN) {
+      socket.send(msg);
+    }
+  }
+}
+
+jobEvents.on("progress", (job, event) => {
+  broadcastJob(job.id, { type: "job-progress", jobId: job.id, progress: job.progress, event });
+});
+
+jobEvents.on("status", (job) => {
+  broadcastJob(job.id, { type: "job-status", job: summarizeJob(job) });
+});
+
 // WebSocket message handlers
 async function setLoc(socket, cid, data) {
   const { service: svc, location: loc } = data;
@@ -189,20 +818,18 @@ async function setLoc(socket, cid, data) {
     const browser = await initBrowser(cid, svc);
     const page = await getPage(cid, svc, browser);
 
-    // Set location using service-specific helper
-    const locationHelper = svcHelpers[svc]?.location;
-    const setLocationFn =
-      locationHelper?.setLocation ||
-      locationHelper?.setBlinkitLocation ||
-      locationHelper?.setZeptoLocation ||
-      locationHelper?.setInstamartLocation;
-
-    if (typeof setLocationFn !== "function") {
-      throw new Error(`Location setter missing for ${svc}`);
+    // Set location using the service adapter, restoring a saved session when possible
+    const { locationTitle, status, detail } = await setLocationWithRetry(
+      getAdapter(svc),
+      page,
+      loc
+    );
+    if (!locationTitle) {
+      throw new Error(
+        `Could not set ${svc} location to ${normalizeLocation(loc).key} (${status}): ${detail}`
+      );
     }
 
-    await setLocationFn(page, loc);
-
     // Mark location as set for this service
     locSet.get(cid)[svc] = true;
 
@@ -211,6 +838,7 @@ async function setLoc(socket, cid, data) {
         type: "location-set",
         svc,
         loc,
+        title: locationTitle,
       })
     );  } catch (err) {
     console.error(`Error setting location for ${svc}:`, err);
@@ -239,18 +867,8 @@ async function search(socket, cid, data) {
       return sendErr(socket, `Browser or page not initialized for ${svc}`);
     }
 
-    // Search using service-specific helper
-    const searchHelper = svcHelpers[svc]?.search;
-    if (!searchHelper) {
-      return sendErr(socket, `Search helpers not found for ${svc}`, svc);
-    }
-
-    let prods;
-    if (typeof searchHelper.searchProducts === "function") {
-      prods = await searchHelper.searchProducts(p, q);
-    } else {
-      prods = await runServiceSearchSimple(svc, p, q, searchHelper);
-    }
+    // Search using the service adapter; ads are kept and flagged with their position
+    const prods = await runSearch(getAdapter(svc), p, q, { includeSponsored: true });
 
     socket.send(
       JSON.stringify({
@@ -265,76 +883,6 @@ async function search(socket, cid, data) {
   }
 }
 
-async function runServiceSearchSimple(service, page, searchTerm, searchHelper) {
-  const { navigateToSearch, ensureContentLoaded, extractProductInformation } =
-    searchHelper || {};
-
-  if (
-    typeof navigateToSearch !== "function" ||
-    typeof ensureContentLoaded !== "function" ||
-    typeof extractProductInformation !== "function"
-  ) {
-    throw new Error(`Search helpers missing for ${service}`);
-  }
-
-  let responseHandler;
-  const productJsonPromise = new Promise((resolve) => {
-    responseHandler = async (response) => {
-      const url = response.url();
-      if (
-        response.request().resourceType() === "xhr" ||
-        response.request().resourceType() === "fetch"
-      ) {
-        try {
-          const json = await response.json();
-          if (
-            json &&
-            json.response &&
-            Array.isArray(json.response.snippets) &&
-            json.response.snippets.some((s) => s.data && s.data.identity) &&
-            !url.includes("empty_search")
-          ) {
-            console.log(`Captured ${service} product JSON from: ${url}`);
-            if (page && typeof page.off === "function") {
-              page.off("response", responseHandler);
-            }
-            resolve(json);
-          }
-        } catch (e) {
-          // Not a JSON response or not the one we want
-        }
-      }
-    };
-
-    page.on("response", responseHandler);
-
-    setTimeout(() => {
-      if (page && typeof page.off === "function") {
-        page.off("response", responseHandler);
-      }
-      resolve({ useHtmlExtraction: true, page });
-    }, 30000);
-  });
-
-  const navigationSuccess = await navigateToSearch(page, searchTerm);
-  if (!navigationSuccess) {
-    if (page && typeof page.off === "function" && responseHandler) {
-      page.off("response", responseHandler);
-    }
-    throw new Error(`Failed to navigate to ${service} search page.`);
-  }
-
-  await ensureContentLoaded(page);
-
-  const productJsonResponse = await productJsonPromise;
-  if (productJsonResponse?.useHtmlExtraction) {
-    productJsonResponse.page = page;
-  }
-
-  const products = await extractProductInformation(productJsonResponse);
-  return Array.isArray(products) ? products : [];
-}
-
 async function closeBrowser(socket, cid, data) {
   const { service: svc } = data;
 
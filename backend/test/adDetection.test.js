@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  hasAdSignal,
+  isSponsoredSnippet,
+  extractProductInformation,
+} = require("../blinkit/searchHelpers");
+
+const SNIPPETS_DIR = path.join(__dirname, "fixtures", "snippets");
+
+function loadSnippet(name) {
+  return require(path.join(SNIPPETS_DIR, `${name}.json`));
+}
+
+test("isSponsoredSnippet on recorded snippets", () => {
+  const cases = [
+    ["organic-product", false],
+    ["washed-product", false],
+    ["address-field", false],
+    ["ad-widget-type", true],
+    ["is-ad-flag", true],
+    ["sponsored-badge", true],
+    ["ad-tracking-meta", true],
+  ];
+  for (const [name, expected] of cases) {
+    assert.equal(isSponsoredSnippet(loadSnippet(name)), expected, name);
+  }
+});
+
+test("hasAdSignal only matches whole ad words and ad keys", () => {
+  const cases = [
+    ["Freshly washed", false],
+    ["Headed and loaded", false],
+    ["Ad", true],
+    ["Sponsored", true],
+    ["Advertise with us", false],
+    [{ store_address: "Lead Road" }, false],
+    [{ badge_text: "Sponsored" }, true],
+    [{ meta: { ad_id: "x" } }, true],
+    [{ is_sponsored: false }, false],
+    [{ a: { b: { c: { d: { e: { f: "ad" } } } } } }, false],
+  ];
+  for (const [value, expected] of cases) {
+    assert.equal(hasAdSignal(value), expected, JSON.stringify(value));
+  }
+});
+
+test("extractProductInformation skips sponsored snippets", () => {
+  const names = ["organic-product", "ad-widget-type", "washed-product", "sponsored-badge"];
+  const products = extractProductInformation({
+    response: { snippets: names.map(loadSnippet) },
+  });
+
+  assert.deepEqual(
+    products.map((p) => p.id),
+    ["391306", "482211"]
+  );
+  assert.deepEqual(products[0], {
+    id: "391306",
+    name: "Onion (Pyaz)",
+    price: "₹38",
+    originalPrice: "₹45",
+    savings: "₹7",
+    quantity: "1 kg",
+    deliveryTime: "10 mins",
+    discount: "15% OFF",
+    imageUrl: "https://cdn.grofers.com/onion.png",
+    available: true,
+    sponsored: false,
+    position: 1,
+    organicRank: 1,
+  });
+  // Positions still count the skipped ad
+  assert.deepEqual(
+    [products[1].position, products[1].organicRank],
+    [3, 2]
+  );
+});
+
+test("extractProductInformation flags sponsored snippets when asked to keep them", () => {
+  const names = ["organic-product", "ad-widget-type", "washed-product", "sponsored-badge"];
+  const products = extractProductInformation(
+    { response: { snippets: names.map(loadSnippet) } },
+    { includeSponsored: true }
+  );
+
+  assert.deepEqual(
+    products.map((p) => [p.id, p.sponsored, p.position, p.organicRank]),
+    [
+      ["391306", false, 1, 1],
+      ["771001", true, 2, null],
+      ["482211", false, 3, 2],
+      ["771003", true, 4, null],
+    ]
+  );
+});
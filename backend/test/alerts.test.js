@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const {
+  initAlerts,
+  createAlertRule,
+  updateAlertRule,
+  getAlertRule,
+  evaluateAlerts,
+  listDeliveries,
+} = require("../lib/alerts");
+
+// Webhook receiver answering with the given statuses in turn (then 200)
+async function startWebhook(t, statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push(JSON.parse(body));
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+  const maxAttempts = process.env.ALERT_MAX_ATTEMPTS;
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (maxAttempts === undefined) {
+      delete process.env.ALERT_MAX_ATTEMPTS;
+    } else {
+      process.env.ALERT_MAX_ATTEMPTS = maxAttempts;
+    }
+  });
+  initAlerts({ file: path.join(dir, "alerts.json"), logFile: path.join(dir, "deliveries.json") });
+  return dir;
+}
+
+function row(priceValue, { pincode = "560024", available = true } = {}) {
+  return {
+    pincode,
+    service: "blinkit",
+    searchTerm: "onion 1kg",
+    id: "391306",
+    name: "Onion",
+    priceValue,
+    available,
+  };
+}
+
+test("a price alert fires when the price drops below the threshold, not every run", async (t) => {
+  setup(t);
+  const webhook = await startWebhook(t);
+  const rule = createAlertRule({
+    type: "price_below",
+    searchTerm: "onion 1kg",
+    threshold: 40,
+    webhookUrl: webhook.url,
+  });
+
+  assert.deepEqual(await evaluateAlerts({ items: [row(45)] }), []);
+  const [delivery] = await evaluateAlerts({ items: [row(38)] });
+  assert.equal(delivery.status, "delivered");
+  assert.equal(webhook.received[0].matches[0].price, 38);
+
+  // Still below: no repeat, also not when a run does not see the product at all
+  assert.deepEqual(await evaluateAlerts({ items: [row(36)] }), []);
+  assert.deepEqual(await evaluateAlerts({ items: [] }), []);
+
+  // Back above and down again alerts again
+  assert.deepEqual(await evaluateAlerts({ items: [row(42)] }), []);
+  assert.equal((await evaluateAlerts({ items: [row(35)] })).length, 1);
+  assert.equal(webhook.received.length, 2);
+  assert.ok(getAlertRule(rule.id).lastTriggeredAt);
+});
+
+test("out of stock alerts fire per place when a product goes out of stock", async (t) => {
+  setup(t);
+  const webhook = await startWebhook(t);
+  createAlertRule({ type: "out_of_stock", productId: "391306", webhookUrl: webhook.url });
+
+  await evaluateAlerts({
+    items: [row(38)],
+    unavailable: [row(38, { pincode: "400001", available: false })],
+  });
+  await evaluateAlerts({
+    unavailable: [
+      row(38, { available: false }),
+      row(38, { pincode: "400001", available: false }),
+    ],
+  });
+
+  assert.deepEqual(
+    webhook.received.map((payload) => payload.matches.map((match) => match.pincode)),
+    [["400001"], ["560024"]]
+  );
+});
+
+test("editing a rule resets what it has already alerted on", async (t) => {
+  setup(t);
+  const webhook = await startWebhook(t);
+  const rule = createAlertRule({
+    type: "price_below",
+    searchTerm: "onion 1kg",
+    threshold: 40,
+    webhookUrl: webhook.url,
+  });
+  await evaluateAlerts({ items: [row(38)] });
+  updateAlertRule(rule.id, { ...rule, threshold: 39 });
+  await evaluateAlerts({ items: [row(38)] });
+  assert.equal(webhook.received.length, 2);
+});
+
+test("failed deliveries are retried and logged", async (t) => {
+  setup(t);
+  process.env.ALERT_MAX_ATTEMPTS = "2";
+  const webhook = await startWebhook(t, [500]);
+  const rule = createAlertRule({
+    type: "price_below",
+    searchTerm: "onion 1kg",
+    threshold: 40,
+    webhookUrl: webhook.url,
+  });
+
+  const [delivery] = await evaluateAlerts({ items: [row(38)] }, { jobId: "job-1" });
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.responseStatus, 200);
+  assert.equal(webhook.received.length, 2);
+  assert.deepEqual(
+    listDeliveries({ ruleId: rule.id }).map((entry) => [entry.jobId, entry.status]),
+    [["job-1", "delivered"]]
+  );
+});
@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseBatchParams } = require("../lib/batchParams");
+
+test("a saved schedule can be updated without sending columns again", () => {
+  const created = parseBatchParams({ pincodes: "560024", searchTerms: "onion, tomato" });
+  assert.equal(created.error, undefined);
+  assert.equal(created.params.columns, null);
+
+  // PUT /api/schedules/:id merges the body over the saved params
+  const updated = parseBatchParams({ ...created.params, searchTerms: "garlic" });
+  assert.equal(updated.error, undefined);
+  assert.equal(updated.params.columns, null);
+  assert.deepEqual(updated.params.searchTerms, ["garlic"]);
+});
+
+test("columns are parsed and validated when given", () => {
+  const { params } = parseBatchParams({
+    pincodes: "560024",
+    searchTerms: "onion",
+    columns: "pincode, name, price",
+  });
+  assert.deepEqual(params.columns, ["pincode", "name", "price"]);
+  assert.equal(
+    parseBatchParams({ pincodes: "560024", searchTerms: "onion", columns: "" }).error,
+    "columns must be a non-empty list"
+  );
+});
@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  initCheckpoints,
+  openCheckpoint,
+  hasCheckpoint,
+  pruneCheckpoints,
+} = require("../lib/checkpoints");
+const { runBlinkitBatchCsv } = require("../blinkit/batchCsvService");
+
+const REPLAY_DIR = path.join(__dirname, "fixtures", "replay");
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoints-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  initCheckpoints({ dir: path.join(dir, "checkpoints") });
+  return dir;
+}
+
+test("checkpoint entries survive a reopen and a line cut short is skipped", (t) => {
+  const dir = setup(t);
+  const checkpoint = openCheckpoint("job-1");
+  checkpoint.recordLocation("560024", "blinkit", { locationTitle: "Hebbal", status: "serviceable" });
+  checkpoint.recordSearch("560024", "blinkit", "onion", { found: 3, rows: [] });
+  fs.appendFileSync(path.join(dir, "checkpoints", "job-1.ndjson"), '{"kind":"search","pinc');
+
+  const reopened = openCheckpoint("job-1");
+  assert.equal(reopened.restoredCount, 1);
+  assert.equal(reopened.getLocation("560024", "blinkit").locationTitle, "Hebbal");
+  assert.equal(reopened.getSearch("560024", "blinkit", "onion").found, 3);
+  assert.equal(reopened.getSearch("560024", "zepto", "onion"), null);
+
+  reopened.remove();
+  assert.equal(hasCheckpoint("job-1"), false);
+});
+
+test("checkpoints of jobs that were never resumed are swept after the max age", (t) => {
+  const dir = setup(t);
+  for (const id of ["old", "queued", "recent"]) {
+    openCheckpoint(id).recordSearch("560024", "blinkit", "onion", { found: 1, rows: [] });
+  }
+  const eightDaysAgo = new Date(Date.now() - 8 * 86400000);
+  for (const id of ["old", "queued"]) {
+    fs.utimesSync(path.join(dir, "checkpoints", `${id}.ndjson`), eightDaysAgo, eightDaysAgo);
+  }
+
+  assert.deepEqual(pruneCheckpoints({ keep: ["queued"] }), ["old"]);
+  assert.equal(hasCheckpoint("old"), false);
+  assert.equal(hasCheckpoint("queued"), true);
+  assert.equal(hasCheckpoint("recent"), true);
+});
+
+test("an interrupted batch resumes from its checkpoint with the same result", async (t) => {
+  const dir = setup(t);
+  const run = (options) =>
+    runBlinkitBatchCsv({
+      pincodes: ["560024", "403001"],
+      searchTerms: ["onion 1kg", "tomato", "garlic"],
+      replayFixtures: REPLAY_DIR,
+      outputDir: path.join(dir, "output"),
+      ...options,
+    });
+
+  // Cancel once the first search is done
+  const controller = new AbortController();
+  await assert.rejects(
+    run({
+      checkpoint: openCheckpoint("job-2"),
+      signal: controller.signal,
+      onProgress: (event) => event.type === "term-searched" && controller.abort(),
+    }),
+    /cancelled/
+  );
+
+  const events = [];
+  const resumed = await run({
+    checkpoint: openCheckpoint("job-2"),
+    onProgress: (event) => event.type === "term-searched" && events.push(event.via),
+  });
+  assert.equal(resumed.restoredSearches, 1);
+  assert.deepEqual(events, ["checkpoint", "fixture", "fixture"]);
+
+  const uninterrupted = await run({});
+  assert.deepEqual(resumed.items, uninterrupted.items);
+  assert.deepEqual(resumed.locationStatuses, uninterrupted.locationStatuses);
+  assert.deepEqual(resumed.emptySearches, [
+    { pincode: "560024", service: "blinkit", term: "garlic" },
+  ]);
+});
+
+test("pairs limit a re-run to the given searches", async (t) => {
+  const dir = setup(t);
+  const result = await runBlinkitBatchCsv({
+    pincodes: ["560024", "403001"],
+    searchTerms: ["onion 1kg", "tomato", "garlic"],
+    replayFixtures: REPLAY_DIR,
+    outputDir: path.join(dir, "output"),
+    pairs: [
+      { pincode: "560024", service: "blinkit", term: "tomato" },
+      { pincode: "560024", service: "blinkit", term: "garlic" },
+    ],
+  });
+
+  assert.deepEqual(
+    result.locationStatuses.map((entry) => [entry.pincode, entry.searches]),
+    [["560024", 2]]
+  );
+  assert.deepEqual(
+    result.items.map((row) => row.searchTerm),
+    ["tomato"]
+  );
+
+  await assert.rejects(
+    runBlinkitBatchCsv({
+      pincodes: ["560024"],
+      searchTerms: ["onion 1kg"],
+      replayFixtures: REPLAY_DIR,
+      outputDir: path.join(dir, "output"),
+      pairs: [{ pincode: "110001", service: "blinkit", term: "onion 1kg" }],
+    }),
+    /pairs match none/
+  );
+});
+
+test("a resumed batch runs timed out locations and failed searches again", async (t) => {
+  const dir = setup(t);
+  const checkpoint = openCheckpoint("job-3");
+  checkpoint.recordLocation("560024", "blinkit", {
+    locationTitle: "Hebbal, Bengaluru",
+    status: "serviceable",
+  });
+  checkpoint.recordSearch("560024", "blinkit", "tomato", {
+    found: 0,
+    rows: [],
+    rejected: [],
+    unavailable: [],
+    ads: [],
+    failure: { pincode: "560024", service: "blinkit", term: "tomato", error: "timeout" },
+  });
+  checkpoint.recordLocation("403001", "blinkit", {
+    locationTitle: null,
+    status: "timeout",
+    detail: "Blinkit showed no location",
+  });
+
+  const events = [];
+  const result = await runBlinkitBatchCsv({
+    pincodes: ["560024", "403001"],
+    searchTerms: ["tomato"],
+    replayFixtures: REPLAY_DIR,
+    outputDir: path.join(dir, "output"),
+    checkpoint: openCheckpoint("job-3"),
+    onProgress: (event) =>
+      ["location-set", "location-failed", "term-searched"].includes(event.type) &&
+      events.push([event.type, event.pincode, event.via || event.status]),
+  });
+
+  // The recording answers 403001 with not serviceable instead of the checkpointed timeout
+  assert.equal(result.restoredSearches, 0);
+  assert.deepEqual(result.failures, []);
+  assert.deepEqual(events, [
+    ["location-set", "560024", "fixture"],
+    ["term-searched", "560024", "fixture"],
+    ["location-failed", "403001", "not_serviceable"],
+  ]);
+  assert.deepEqual(
+    result.items.map((row) => row.searchTerm),
+    ["tomato"]
+  );
+  // The retried search replaces the failure; the not serviceable answer is final
+  const updated = openCheckpoint("job-3");
+  assert.equal(updated.getSearch("560024", "blinkit", "tomato").failure, null);
+  assert.equal(updated.getLocation("403001", "blinkit").status, "not_serviceable");
+});
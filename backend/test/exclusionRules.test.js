@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  initExclusionRules,
+  validateExclusionRule,
+  listExclusionRules,
+  createExclusionRule,
+  updateExclusionRule,
+  deleteExclusionRule,
+  findExclusion,
+} = require("../lib/exclusionRules");
+
+test("default rules drop processed products for the searched item", () => {
+  const cases = [
+    ["Sun Dried Tomatoes in Oil", "tomato", "tomato"],
+    ["Sun-dried Tomato", "tomatoes 1kg", "tomato"],
+    ["Tomato Pickle", "tomato", "tomato"],
+    ["Canned Tomato Puree", "tomato", "tomato"],
+    ["Tomato Hybrid", "tomato", null],
+    ["Cherry Tomato", "tomato", null],
+    ["Fried Onion", "onion", "onion"],
+    ["Dehydrated Onion Flakes", "onion 1kg", "onion"],
+    ["Onion (Pyaz)", "onion", null],
+    ["Mango Pickle", "mango", "mango"],
+    ["Alphonso Mango Pulp", "mango", "mango"],
+    ["Alphonso Mango", "mango", null],
+    ["Amul Taaza Toned Milk", "milk", null],
+    ["Milk Chocolate Bar", "milk", "milk"],
+    ["Aashirvaad Atta Noodles", "atta 5kg", "atta"],
+    // Rules only apply to their own search terms
+    ["Fried Onion", "tomato", null],
+    ["Frozen Peas", "peas", null],
+  ];
+  for (const [name, term, expectedRule] of cases) {
+    const exclusion = findExclusion(name, term);
+    assert.equal(exclusion ? exclusion.rule.id : null, expectedRule, `${name} / ${term}`);
+  }
+});
+
+test("patterns that also match the search term are not applied", () => {
+  assert.equal(findExclusion("Onion Powder", "onion powder"), null);
+  assert.equal(findExclusion("Peanut Butter Crunchy", "peanut butter"), null);
+  assert.equal(findExclusion("Peanut Butter Crunchy", "butter").rule.id, "butter");
+});
+
+test("rule validation", () => {
+  const valid = { id: "okra", terms: ["okra", "bhindi"], exclude: ["\\bfried\\b"] };
+  assert.equal(validateExclusionRule(valid), null);
+  const cases = [
+    [{ ...valid, id: "Okra!" }, /id must be/],
+    [{ ...valid, terms: [] }, /terms/],
+    [{ ...valid, exclude: ["("] }, /Invalid exclude pattern/],
+    [{ ...valid, category: 3 }, /category/],
+  ];
+  for (const [rule, pattern] of cases) {
+    assert.match(validateExclusionRule(rule), pattern);
+  }
+});
+
+test("rules can be added, edited and removed", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "exclusion-rules-"));
+  const file = path.join(dir, "rules.json");
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    initExclusionRules();
+  });
+
+  initExclusionRules({ file });
+  assert.deepEqual(listExclusionRules(), []);
+
+  createExclusionRule({ id: "okra", category: "produce", terms: ["bhindi"], exclude: ["fry"] });
+  assert.equal(findExclusion("Bhindi Fry Masala", "bhindi").rule.id, "okra");
+  assert.throws(() => createExclusionRule({ id: "okra", terms: ["x"], exclude: ["y"] }));
+
+  updateExclusionRule("okra", { terms: ["bhindi"], exclude: ["fry"], enabled: false });
+  assert.equal(findExclusion("Bhindi Fry Masala", "bhindi"), null);
+
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.equal(saved.rules[0].enabled, false);
+
+  assert.equal(deleteExclusionRule("okra"), true);
+  assert.equal(deleteExclusionRule("okra"), false);
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createFilterChain,
+  resolveFilterOptions,
+  validateFilterOptions,
+} = require("../lib/filterChain");
+const { extractQuantityFromTerm } = require("../lib/productMatching");
+const { scoreSearchMatch } = require("../lib/searchRelevance");
+
+const adapter = { name: "blinkit", productEta: true };
+
+function contextFor(term, item, overrides = {}) {
+  return {
+    term,
+    requestedQty: extractQuantityFromTerm(term),
+    adapter,
+    relevance: scoreSearchMatch(item.name, term),
+    ...overrides,
+  };
+}
+
+function product(overrides) {
+  return {
+    id: "1",
+    name: "Onion",
+    quantity: "1 kg",
+    deliveryTime: "10 mins",
+    available: true,
+    sponsored: false,
+    ...overrides,
+  };
+}
+
+test("the first failing filter decides the rejection reason", () => {
+  const chain = createFilterChain();
+  const term = "tomato 1kg";
+  const cases = [
+    [{ name: "Tomato" }, null],
+    [{ name: "Tomato", sponsored: true, available: false }, "sponsored"],
+    [{ name: "Tomato Pickle", available: false }, "processed"],
+    [{ name: "Tomato", available: false }, "out_of_stock"],
+    [{ name: "Tomato", deliveryTime: "N/A" }, "no_delivery_time"],
+    [{ name: "Tomato", quantity: "500 g" }, "quantity_mismatch"],
+    [{ name: "Potato" }, "term_mismatch"],
+  ];
+  for (const [overrides, expected] of cases) {
+    const item = product(overrides);
+    const rejection = chain.check(item, contextFor(term, item));
+    assert.equal(rejection ? rejection.reason : null, expected, overrides.name);
+  }
+});
+
+test("delivery time is only checked for services with per-product ETAs", () => {
+  const chain = createFilterChain();
+  const item = product({ deliveryTime: "N/A" });
+  const ctx = contextFor("onion", item, { adapter: { name: "zepto", productEta: false } });
+  assert.equal(chain.check(item, ctx), null);
+});
+
+test("the search term threshold decides how loose a match may be", () => {
+  const item = product({ name: "Red Onoin" });
+  const ctx = contextFor("onion", item);
+  assert.equal(createFilterChain().check(item, ctx), null);
+
+  const strict = createFilterChain({ searchTerm: { threshold: 1 } });
+  const rejection = strict.check(item, ctx);
+  assert.equal(rejection.reason, "term_mismatch");
+  assert.match(rejection.message, /relevance 0\.8 < 1/);
+});
+
+test("filter overrides accept booleans and option objects", () => {
+  const options = resolveFilterOptions({ outOfStock: false, quantity: { tolerance: 0.25 } });
+  assert.equal(options.outOfStock.enabled, false);
+  assert.deepEqual(options.quantity, { enabled: true, tolerance: 0.25 });
+  assert.equal(options.searchTerm.enabled, true);
+});
+
+test("invalid filter overrides are reported", () => {
+  const cases = [
+    [{ nope: true }, /Unknown filter: nope/],
+    [{ quantity: { tolerance: 2 } }, /tolerance/],
+    [{ searchTerm: { threshold: "high" } }, /threshold/],
+    [{ sponsored: "yes" }, /must be a boolean or an object/],
+    [[], /object keyed by filter name/],
+  ];
+  for (const [overrides, pattern] of cases) {
+    assert.match(validateFilterOptions(overrides), pattern);
+  }
+  assert.equal(validateFilterOptions({}), null);
+});
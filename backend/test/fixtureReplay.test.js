@@ -0,0 +1,259 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runBlinkitBatchCsv } = require("../blinkit/batchCsvService");
+
+const REPLAY_DIR = path.join(__dirname, "fixtures", "replay");
+
+test("replayed batch applies the filters and writes the CSV", async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-replay-"));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const result = await runBlinkitBatchCsv({
+    pincodes: ["560024"],
+    searchTerms: ["onion 1kg", "tomato"],
+    replayFixtures: REPLAY_DIR,
+    outputDir,
+  });
+
+  assert.deepEqual(
+    result.items.map((row) => [row.searchTerm, row.id]),
+    [
+      ["onion 1kg", "391306"],
+      ["tomato", "510044"],
+    ]
+  );
+  assert.deepEqual(
+    result.items.map((row) => row.relevance),
+    [1, 1]
+  );
+  assert.deepEqual(
+    result.unavailable.map((row) => row.id),
+    ["391307"]
+  );
+
+  assert.deepEqual(
+    result.rejected.map((row) => [row.id, row.reason]),
+    [
+      ["771001", "sponsored"],
+      ["391307", "out_of_stock"],
+      ["391308", "quantity_mismatch"],
+      ["482211", "term_mismatch"],
+      ["510099", "processed"],
+    ]
+  );
+
+  assert.deepEqual(
+    result.ads.map((row) => [row.searchTerm, row.id, row.position]),
+    [["onion 1kg", "771001", 2]]
+  );
+  assert.ok(fs.existsSync(path.join(outputDir, result.adsFilename)));
+
+  const lines = fs.readFileSync(result.file, "utf8").trim().split("\n");
+  assert.equal(lines.length, 3);
+  assert.ok(
+    lines[1].startsWith(
+      '560024,"Hebbal, Bengaluru",onion 1kg,blinkit,391306,Onion (Pyaz),₹38,₹45,₹7,38,45,15.56'
+    ),
+    lines[1]
+  );
+});
+
+test("filters can be switched off and tuned per run", async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-replay-"));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const result = await runBlinkitBatchCsv({
+    pincodes: ["560024"],
+    searchTerms: ["onion 1kg"],
+    replayFixtures: REPLAY_DIR,
+    outputDir,
+    filters: { sponsored: false, outOfStock: false, quantity: { tolerance: 0.5 } },
+  });
+
+  assert.deepEqual(
+    result.items.map((row) => [row.id, row.sponsored, row.available]),
+    [
+      ["391306", false, true],
+      ["771001", true, true],
+      ["391307", false, false],
+      ["391308", false, true],
+    ]
+  );
+  assert.equal(result.filters.quantity.tolerance, 0.5);
+
+  const rejectedCsv = fs.readFileSync(path.join(outputDir, result.rejectedFilename), "utf8");
+  assert.match(rejectedCsv, /482211,Washed Potato,.*,searchTerm,term_mismatch,/);
+});
+
+test("pincodes without a recorded location produce no rows", async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-replay-"));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const events = [];
+  const result = await runBlinkitBatchCsv({
+    pincodes: ["110001"],
+    searchTerms: ["onion 1kg"],
+    replayFixtures: REPLAY_DIR,
+    outputDir,
+    onProgress: (event) => events.push(event.type),
+  });
+
+  assert.equal(result.rowCount, 0);
+  assert.ok(events.includes("location-failed"));
+});
+
+test("every pincode gets a location status in the result and the summary file", async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-replay-"));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const result = await runBlinkitBatchCsv({
+    pincodes: ["560024", "403001", "110001"],
+    searchTerms: ["onion 1kg", "garlic"],
+    replayFixtures: REPLAY_DIR,
+    outputDir,
+    format: "json",
+  });
+
+  assert.deepEqual(
+    result.locationStatuses.map((entry) => [
+      entry.pincode,
+      entry.status,
+      entry.locationTitle,
+      entry.searches,
+      entry.found,
+      entry.kept,
+    ]),
+    [
+      ["560024", "serviceable", "Hebbal, Bengaluru", 2, 5, 1],
+      ["403001", "not_serviceable", null, 0, 0, 0],
+      ["110001", "error", null, 0, 0, 0],
+    ]
+  );
+  assert.equal(result.locationStatuses[1].detail, "Blinkit does not deliver to 403001");
+
+  const summary = JSON.parse(
+    fs.readFileSync(path.join(outputDir, result.summaryFilename), "utf8")
+  );
+  assert.equal(summary.length, 3);
+  assert.match(result.summaryFilename, /-summary\.json$/);
+});
+
+test("pairs whose location could not be reached are listed as failures", async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-replay-"));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const result = await runBlinkitBatchCsv({
+    pincodes: ["560024", "403001", "110001"],
+    searchTerms: ["onion 1kg", "garlic"],
+    replayFixtures: REPLAY_DIR,
+    outputDir,
+  });
+
+  // Not serviceable is an answer, not a failure; the unrecorded 110001 is
+  assert.deepEqual(
+    result.failures.map(({ pincode, term, stage, attempts }) => [pincode, term, stage, attempts]),
+    [
+      ["110001", "onion 1kg", "location", 1],
+      ["110001", "garlic", "location", 1],
+    ]
+  );
+  assert.equal(result.failureCount, 2);
+  assert.equal(result.locationStatuses[2].failed, 2);
+  assert.equal(result.circuitBreakerTrips, 0);
+});
+
+test("deep mode adds product detail columns from the recorded product pages", async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-replay-"));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const result = await runBlinkitBatchCsv({
+    pincodes: ["560024"],
+    searchTerms: ["onion 1kg", "tomato"],
+    replayFixtures: REPLAY_DIR,
+    outputDir,
+    deepMode: true,
+  });
+
+  const [onion, tomato] = result.items;
+  assert.deepEqual(
+    {
+      brand: onion.brand,
+      categoryPath: onion.categoryPath,
+      shelfLife: onion.shelfLife,
+      countryOfOrigin: onion.countryOfOrigin,
+      seller: onion.seller,
+      variants: onion.variants.map((variant) => [variant.id, variant.available]),
+    },
+    {
+      brand: "Fresho",
+      categoryPath: "Vegetables & Fruits > Fresh Vegetables > Onion, Potato & Tomato",
+      shelfLife: "10 days",
+      countryOfOrigin: "India",
+      seller: "Kemexel Ecommerce Pvt Ltd",
+      variants: [
+        ["391306", true],
+        ["391305", false],
+      ],
+    }
+  );
+  // No product page was recorded for the tomato
+  assert.equal(tomato.brand, null);
+  assert.equal(tomato.variants, null);
+
+  const lines = fs.readFileSync(result.file, "utf8").trim().split("\n");
+  assert.ok(
+    lines[0].endsWith(",brand,categoryPath,description,shelfLife,countryOfOrigin,seller,variants")
+  );
+  assert.ok(lines[1].endsWith(",1 kg ₹38; 500 g ₹20 (out of stock)"), lines[1]);
+});
+
+test("replayed batch writes the requested format and columns", async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-replay-"));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const result = await runBlinkitBatchCsv({
+    pincodes: ["560024"],
+    searchTerms: ["onion 1kg"],
+    replayFixtures: REPLAY_DIR,
+    outputDir,
+    format: "ndjson",
+    columns: ["id", "priceValue", "organicRank"],
+  });
+
+  assert.match(result.filename, /\.ndjson$/);
+  assert.match(result.rejectedFilename, /-rejected\.ndjson$/);
+  const lines = fs.readFileSync(result.file, "utf8").trim().split("\n");
+  assert.deepEqual(JSON.parse(lines[0]), { id: "391306", priceValue: 38, organicRank: 1 });
+});
+
+test("named locations run under their name and record the resolved locality", async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "batch-replay-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const fixtureDir = path.join(root, "fixtures");
+  fs.mkdirSync(fixtureDir);
+  const recorded = JSON.parse(
+    fs.readFileSync(path.join(REPLAY_DIR, "blinkit-560024.json"), "utf8")
+  );
+  fs.writeFileSync(
+    path.join(fixtureDir, "blinkit-Koramangala_5th_Block.json"),
+    JSON.stringify({ ...recorded, pincode: "Koramangala 5th Block", locationTitle: "Koramangala" })
+  );
+
+  const result = await runBlinkitBatchCsv({
+    locations: [{ name: "Koramangala 5th Block", lat: 12.9352, lng: 77.6245 }],
+    searchTerms: ["onion 1kg"],
+    replayFixtures: fixtureDir,
+    outputDir: path.join(root, "output"),
+  });
+
+  assert.deepEqual(
+    result.items.map((row) => [row.pincode, row.locationTitle, row.id]),
+    [["Koramangala 5th Block", "Koramangala", "391306"]]
+  );
+  assert.deepEqual(result.locationKeys, ["Koramangala 5th Block"]);
+  assert.equal(result.locations[0].lat, 12.9352);
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { extractProductInformation, isSearchResponse } = require("../instamart/searchHelpers");
+
+const SEARCH_RESPONSE = require(
+  path.join(__dirname, "fixtures", "search", "instamart-search.json")
+);
+
+test("Instamart search responses are parsed into products from the first variation", () => {
+  const products = extractProductInformation(SEARCH_RESPONSE, { includeSponsored: true });
+  assert.deepEqual(products[0], {
+    id: "IM-ONION-1KG",
+    name: "Onion (Kanda)",
+    price: "₹38",
+    originalPrice: "₹45",
+    savings: "₹7",
+    quantity: "1 kg",
+    deliveryTime: "N/A",
+    discount: "15% OFF",
+    imageUrl:
+      "https://instamart-media-assets.swiggy.com/swiggy/image/upload/" +
+      "fl_lossy,f_auto,q_auto,h_272,w_252/onion-1kg",
+    available: true,
+    sponsored: false,
+    position: 1,
+    organicRank: 1,
+  });
+
+  // Entries without variations are not products; ids fall back to the product id
+  assert.deepEqual(
+    products.map((p) => [p.id, p.name, p.quantity]),
+    [
+      ["IM-ONION-1KG", "Onion (Kanda)", "1 kg"],
+      ["IM-SHALLOT-500G", "Sambar Onion", "500 g"],
+      ["IM-RED-ONION", "Red Onion", "2 kg"],
+      ["IM-SPRING-ONION-1PC", "Spring Onion", "1 bunch"],
+    ]
+  );
+});
+
+test("Instamart prices fall back to the store price and drop an MRP equal to the price", () => {
+  const products = extractProductInformation(SEARCH_RESPONSE, { includeSponsored: true });
+  assert.deepEqual(
+    products.map((p) => [p.id, p.price, p.originalPrice, p.savings]),
+    [
+      ["IM-ONION-1KG", "₹38", "₹45", "₹7"],
+      ["IM-SHALLOT-500G", "₹52", "₹60", "₹8"],
+      ["IM-RED-ONION", "₹74.50", null, null],
+      ["IM-SPRING-ONION-1PC", "₹19", null, null],
+    ]
+  );
+});
+
+test("Instamart products are unavailable only when the inventory says out of stock", () => {
+  const products = extractProductInformation(SEARCH_RESPONSE, { includeSponsored: true });
+  assert.deepEqual(
+    products.map((p) => [p.id, p.available]),
+    [
+      ["IM-ONION-1KG", true],
+      ["IM-SHALLOT-500G", true],
+      ["IM-RED-ONION", false],
+      ["IM-SPRING-ONION-1PC", true],
+    ]
+  );
+});
+
+test("Instamart positions count ads while organic ranks skip them", () => {
+  const withAds = extractProductInformation(SEARCH_RESPONSE, { includeSponsored: true });
+  assert.deepEqual(
+    withAds.map((p) => [p.id, p.sponsored, p.position, p.organicRank]),
+    [
+      ["IM-ONION-1KG", false, 1, 1],
+      ["IM-SHALLOT-500G", true, 2, null],
+      ["IM-RED-ONION", false, 3, 2],
+      ["IM-SPRING-ONION-1PC", false, 4, 3],
+    ]
+  );
+
+  const organic = extractProductInformation(SEARCH_RESPONSE, { includeSponsored: false });
+  assert.deepEqual(
+    organic.map((p) => [p.id, p.position, p.organicRank]),
+    [
+      ["IM-ONION-1KG", 1, 1],
+      ["IM-RED-ONION", 3, 2],
+      ["IM-SPRING-ONION-1PC", 4, 3],
+    ]
+  );
+});
+
+test("isSearchResponse only accepts Instamart search payloads with products", () => {
+  const url = "https://www.swiggy.com/api/instamart/search?query=onion";
+  assert.equal(isSearchResponse(url, SEARCH_RESPONSE), true);
+  const homeUrl = "https://www.swiggy.com/api/instamart/home";
+  assert.equal(isSearchResponse(homeUrl, SEARCH_RESPONSE), false);
+  assert.equal(isSearchResponse(url, { data: { widgets: [] } }), false);
+});
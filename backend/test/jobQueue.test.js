@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  registerJobRunner,
+  initJobQueue,
+  enqueueJob,
+  getJob,
+  hasFullResult,
+  jobEvents,
+} = require("../lib/jobQueue");
+
+function waitForStatus(id, status) {
+  return new Promise((resolve) => {
+    const onStatus = (job) => {
+      if (job.id === id && job.status === status) {
+        jobEvents.off("status", onStatus);
+        resolve(job);
+      }
+    };
+    jobEvents.on("status", onStatus);
+  });
+}
+
+test("job records on disk keep the result summary, not its rows", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const row = { pincode: "560024", service: "blinkit", id: "391306", name: "Onion" };
+  registerJobRunner("test-batch", async () => ({
+    filename: "batch.csv",
+    rowCount: 2,
+    items: [row, row],
+    rejected: [row],
+    rejectedCount: 1,
+    rejectedFilename: "batch-rejected.csv",
+    ads: [],
+    unavailable: [row],
+    locationStatuses: [{ pincode: "560024", service: "blinkit", status: "serviceable" }],
+    failures: [{ pincode: "560024", service: "blinkit", term: "garlic", error: "timeout" }],
+    failureCount: 1,
+    emptySearches: [],
+  }));
+  initJobQueue({ dir });
+
+  const job = enqueueJob("test-batch", { pincodes: ["560024"] });
+  await waitForStatus(job.id, "completed");
+  assert.equal(hasFullResult(getJob(job.id)), true);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, `${job.id}.json`), "utf8"));
+  assert.deepEqual(saved.result, {
+    filename: "batch.csv",
+    rowCount: 2,
+    rejectedFilename: "batch-rejected.csv",
+    rejectedCount: 1,
+    adsFilename: null,
+    adsCount: 0,
+    summaryFilename: null,
+    locationStatusCounts: { serviceable: 1 },
+    failureCount: 1,
+    emptySearchCount: 0,
+    rerunPairs: [{ pincode: "560024", service: "blinkit", term: "garlic" }],
+  });
+
+  // After a restart only the summary is back
+  initJobQueue({ dir });
+  assert.equal(hasFullResult(getJob(job.id)), false);
+  assert.deepEqual(getJob(job.id).result, saved.result);
+});
+
+test("job records saved with their rows are slimmed down when loaded", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "old-job.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      id: "old-job",
+      type: "test-batch",
+      status: "completed",
+      createdAt: "2026-01-01T00:00:00.000Z",
+      result: { filename: "old.csv", rowCount: 1, items: [{ id: "391306" }], emptySearches: [{}] },
+    })
+  );
+
+  initJobQueue({ dir });
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.equal(saved.result.items, undefined);
+  assert.equal(saved.result.emptySearchCount, 1);
+  assert.equal(getJob("old-job").result.filename, "old.csv");
+});
+
+test("only the latest completed jobs keep their full result in memory", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  registerJobRunner("test-rows", async () => ({ filename: "rows.csv", rowCount: 1, items: [{}] }));
+  initJobQueue({ dir });
+
+  const ids = [];
+  for (let i = 0; i < 6; i += 1) {
+    const job = enqueueJob("test-rows", {});
+    await waitForStatus(job.id, "completed");
+    ids.push(job.id);
+  }
+  assert.deepEqual(
+    ids.map((id) => hasFullResult(getJob(id))),
+    [false, true, true, true, true, true]
+  );
+  assert.equal(getJob(ids[0]).result.filename, "rows.csv");
+});
+
+test("progress is written to the job file at most every few seconds", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  let finish;
+  const finished = new Promise((resolve) => {
+    finish = resolve;
+  });
+  registerJobRunner("test-progress", async (params, { onProgress }) => {
+    for (let completed = 1; completed <= 3; completed += 1) {
+      onProgress({ type: "term-searched", completed, total: 3 });
+    }
+    await finished;
+    return { filename: "progress.csv", rowCount: 0, items: [] };
+  });
+  initJobQueue({ dir });
+
+  const job = enqueueJob("test-progress", {});
+  const file = path.join(dir, `${job.id}.json`);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(getJob(job.id).progress, { completed: 3, total: 3 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")).progress, { completed: 1, total: 3 });
+
+  finish();
+  await waitForStatus(job.id, "completed");
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")).progress, { completed: 3, total: 3 });
+});
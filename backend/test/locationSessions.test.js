@@ -0,0 +1,251 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  initLocationSessions,
+  getLocationSession,
+  saveLocationSession,
+  listLocationSessions,
+} = require("../lib/locationSessions");
+const { setLocationWithSession, setLocationWithRetry } = require("../adapters/location");
+const {
+  locationError,
+  normalizeLocation,
+  locationFingerprint,
+} = require("../lib/locations");
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "location-sessions-"));
+  const file = path.join(dir, "location-sessions.json");
+  const ttl = process.env.LOCATION_SESSION_TTL_HOURS;
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (ttl === undefined) {
+      delete process.env.LOCATION_SESSION_TTL_HOURS;
+    } else {
+      process.env.LOCATION_SESSION_TTL_HOURS = ttl;
+    }
+  });
+  initLocationSessions({ file });
+  return file;
+}
+
+const SESSION = {
+  locationTitle: "Hebbal, Bengaluru 560024",
+  fingerprint: locationFingerprint(normalizeLocation("560024")),
+  origin: "https://blinkit.com",
+  cookies: [{ name: "gr_1_lat", value: "13.03", domain: ".blinkit.com" }],
+  localStorage: { location: '{"pincode":"560024"}' },
+};
+
+test("sessions are persisted and expire after the TTL", (t) => {
+  const file = setup(t);
+  process.env.LOCATION_SESSION_TTL_HOURS = "2";
+  const now = Date.parse("2026-10-01T06:00:00.000Z");
+  saveLocationSession("blinkit", "560024", SESSION, { now });
+
+  initLocationSessions({ file });
+  const session = getLocationSession("blinkit", "560024", { now });
+  assert.equal(session?.locationTitle, SESSION.locationTitle);
+  assert.equal(getLocationSession("zepto", "560024", { now }), null);
+  assert.deepEqual(listLocationSessions({ now }), [
+    {
+      service: "blinkit",
+      location: "560024",
+      locationTitle: SESSION.locationTitle,
+      savedAt: "2026-10-01T06:00:00.000Z",
+      expiresAt: "2026-10-01T08:00:00.000Z",
+    },
+  ]);
+
+  assert.equal(getLocationSession("blinkit", "560024", { now: now + 2 * 3600000 }), null);
+  initLocationSessions({ file });
+  assert.equal(getLocationSession("blinkit", "560024", { now }), null);
+});
+
+test("a TTL of 0 turns session saving off", (t) => {
+  setup(t);
+  process.env.LOCATION_SESSION_TTL_HOURS = "0";
+  assert.equal(saveLocationSession("blinkit", "560024", SESSION), null);
+  assert.equal(getLocationSession("blinkit", "560024"), null);
+});
+
+// Puppeteer-like page that keeps its cookies and records what was done to it
+function fakePage() {
+  const calls = [];
+  return {
+    calls,
+    cookieJar: [],
+    async setCookie(...cookies) {
+      calls.push("setCookie");
+      this.cookieJar.push(...cookies);
+    },
+    async deleteCookie() {
+      calls.push("deleteCookie");
+      this.cookieJar = [];
+    },
+    async cookies() {
+      return this.cookieJar;
+    },
+    async evaluate() {
+      return { location: "saved" };
+    },
+    async evaluateOnNewDocument() {
+      return { identifier: "1" };
+    },
+    async removeScriptToEvaluateOnNewDocument() {},
+    async goto(url) {
+      calls.push(`goto ${url}`);
+    },
+  };
+}
+
+function fakeAdapter(shownTitle) {
+  const adapter = {
+    name: "blinkit",
+    label: "Blinkit",
+    homeUrl: "https://blinkit.com/",
+    setLocationCalls: 0,
+    async setLocation(page) {
+      adapter.setLocationCalls += 1;
+      page.cookieJar = [{ name: "gr_1_locality", value: "1", domain: ".blinkit.com" }];
+      return "Hebbal, Bengaluru 560024";
+    },
+    async isLocationSet() {
+      return shownTitle;
+    },
+  };
+  return adapter;
+}
+
+test("a saved session is restored instead of running the location picker", async (t) => {
+  setup(t);
+  const adapter = fakeAdapter("Hebbal, Bengaluru 560024");
+
+  const first = await setLocationWithSession(adapter, fakePage(), "560024");
+  assert.deepEqual(first, {
+    locationTitle: "Hebbal, Bengaluru 560024",
+    via: "page",
+    status: "serviceable",
+    detail: null,
+  });
+  assert.deepEqual(getLocationSession("blinkit", "560024").localStorage, { location: "saved" });
+
+  const page = fakePage();
+  const second = await setLocationWithSession(adapter, page, "560024");
+  assert.equal(second.via, "session");
+  assert.equal(second.locationTitle, "Hebbal, Bengaluru 560024");
+  assert.equal(adapter.setLocationCalls, 1);
+  assert.deepEqual(page.calls, ["setCookie", "goto https://blinkit.com/"]);
+});
+
+test("a session showing another location is dropped and the picker runs", async (t) => {
+  setup(t);
+  saveLocationSession("blinkit", "560024", SESSION);
+  const adapter = fakeAdapter("Koramangala, Bengaluru 560095");
+
+  const page = fakePage();
+  const result = await setLocationWithSession(adapter, page, "560024");
+  assert.equal(result.via, "page");
+  assert.equal(result.locationTitle, "Hebbal, Bengaluru 560024");
+  assert.equal(adapter.setLocationCalls, 1);
+  assert.ok(page.calls.includes("deleteCookie"));
+  // The fresh location set replaced the stale session
+  assert.deepEqual(getLocationSession("blinkit", "560024").cookies, [
+    { name: "gr_1_locality", value: "1", domain: ".blinkit.com" },
+  ]);
+});
+
+test("reuse can be switched off per call", async (t) => {
+  setup(t);
+  saveLocationSession("blinkit", "560024", SESSION);
+  const adapter = fakeAdapter("Hebbal, Bengaluru 560024");
+
+  const result = await setLocationWithSession(adapter, fakePage(), "560024", {
+    reuseSession: false,
+  });
+  assert.equal(result.via, "page");
+  assert.equal(adapter.setLocationCalls, 1);
+  assert.deepEqual(getLocationSession("blinkit", "560024").cookies, SESSION.cookies);
+});
+
+test("a failed location set reports its status and detail", async (t) => {
+  setup(t);
+  const adapter = fakeAdapter(null);
+  adapter.setLocation = async () => {
+    const err = new Error("Blinkit does not deliver to 403001");
+    err.status = "not_serviceable";
+    throw err;
+  };
+
+  const result = await setLocationWithSession(adapter, fakePage(), "403001");
+  assert.deepEqual(result, {
+    locationTitle: null,
+    via: "page",
+    status: "not_serviceable",
+    detail: "Blinkit does not deliver to 403001",
+  });
+  assert.equal(getLocationSession("blinkit", "403001"), null);
+});
+
+test("a mismatched location is tried again from the home page", async (t) => {
+  setup(t);
+  const adapter = fakeAdapter(null);
+  const setLocation = adapter.setLocation;
+  adapter.setLocation = async (page) => {
+    if (adapter.setLocationCalls === 0) {
+      adapter.setLocationCalls += 1;
+      throw locationError("location_mismatch", 'Blinkit resolved 560024 to "Koramangala"');
+    }
+    return setLocation(page);
+  };
+
+  const page = fakePage();
+  const retries = [];
+  const result = await setLocationWithRetry(adapter, page, "560024", {
+    reuseSession: false,
+    attempts: 3,
+    baseDelayMs: 0,
+    onRetry: ({ error }) => retries.push(error),
+  });
+  assert.equal(result.locationTitle, "Hebbal, Bengaluru 560024");
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(retries, ['Blinkit resolved 560024 to "Koramangala"']);
+  assert.deepEqual(page.calls, ["goto https://blinkit.com/"]);
+});
+
+test("a location that is not served is not retried", async (t) => {
+  setup(t);
+  const adapter = fakeAdapter(null);
+  adapter.setLocation = async () => {
+    adapter.setLocationCalls += 1;
+    throw locationError("not_serviceable", "Blinkit does not deliver to 403001");
+  };
+
+  const result = await setLocationWithRetry(adapter, fakePage(), "403001", { baseDelayMs: 0 });
+  assert.equal(result.status, "not_serviceable");
+  assert.equal(result.attempts, 1);
+  assert.equal(adapter.setLocationCalls, 1);
+});
+
+test("a session is dropped when its named location now points somewhere else", async (t) => {
+  setup(t);
+  const adapter = fakeAdapter("Koramangala, Bengaluru");
+  const office = { name: "Office", lat: 12.9352, lng: 77.6245 };
+  await setLocationWithSession(adapter, fakePage(), office);
+  const reused = await setLocationWithSession(adapter, fakePage(), office);
+  assert.equal(reused.via, "session");
+
+  const page = fakePage();
+  const moved = await setLocationWithSession(adapter, page, { ...office, lat: 12.97, lng: 77.59 });
+  assert.equal(moved.via, "page");
+  assert.equal(adapter.setLocationCalls, 2);
+  assert.ok(!page.calls.includes("setCookie"));
+  assert.equal(
+    getLocationSession("blinkit", "Office").fingerprint,
+    locationFingerprint(normalizeLocation({ ...office, lat: 12.97, lng: 77.59 }))
+  );
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  locationError,
+  describeLocationFailure,
+  validateLocation,
+  normalizeLocation,
+  locationSearchText,
+  matchesLocationTitle,
+} = require("../lib/locations");
+
+test("strings become pincodes or addresses", () => {
+  assert.deepEqual(normalizeLocation(" 560024 "), {
+    key: "560024",
+    name: null,
+    pincode: "560024",
+    address: null,
+    lat: null,
+    lng: null,
+  });
+  const address = normalizeLocation("80 Feet Road, Koramangala");
+  assert.equal(address.key, "80 Feet Road, Koramangala");
+  assert.equal(address.pincode, null);
+  assert.equal(locationSearchText(address), "80 Feet Road, Koramangala");
+});
+
+test("named locations are keyed by name and keep their coordinates", () => {
+  const location = normalizeLocation({ name: "Koramangala 5th Block", lat: 12.9352, lng: 77.6245 });
+  assert.equal(location.key, "Koramangala 5th Block");
+  assert.deepEqual([location.lat, location.lng], [12.9352, 77.6245]);
+  assert.equal(locationSearchText(location), "Koramangala 5th Block");
+  // Normalizing again gives the same location
+  assert.deepEqual(normalizeLocation(location), location);
+
+  assert.equal(normalizeLocation({ lat: 12.9, lng: 77.6 }).key, "12.9,77.6");
+  assert.equal(locationSearchText(normalizeLocation({ lat: 12.9, lng: 77.6 })), null);
+});
+
+test("invalid locations are reported", () => {
+  assert.equal(validateLocation(""), "location must not be empty");
+  assert.equal(validateLocation({}), "location needs a name, a pincode, an address or lat/lng");
+  assert.equal(
+    validateLocation({ name: "Hebbal", lat: 12.9 }),
+    "location lng must be a number between -180 and 180"
+  );
+  assert.equal(
+    validateLocation({ lat: "12.9", lng: 77.6 }),
+    "location lat must be a number between -90 and 90"
+  );
+  assert.equal(
+    validateLocation({ name: "Hebbal", pincode: "5600" }),
+    "location pincode must be 6 digits"
+  );
+  assert.throws(() => normalizeLocation(42), /location must be a pincode/);
+});
+
+test("only pincodes are checked against the resolved title", () => {
+  assert.equal(matchesLocationTitle(normalizeLocation("560024"), "Hebbal, Bengaluru 560024"), true);
+  assert.equal(matchesLocationTitle(normalizeLocation("560024"), "Hebbal, Bengaluru"), false);
+  const named = normalizeLocation({ name: "Hebbal" });
+  assert.equal(matchesLocationTitle(named, "Hebbal, Bengaluru"), true);
+  assert.equal(matchesLocationTitle(named, null), false);
+});
+
+test("location failures are classified", () => {
+  const mismatch = locationError("location_mismatch", "resolved elsewhere");
+  assert.deepEqual(describeLocationFailure(mismatch), {
+    status: "location_mismatch",
+    detail: "resolved elsewhere",
+  });
+  const timeout = new Error("Waiting for selector failed");
+  timeout.name = "TimeoutError";
+  assert.equal(describeLocationFailure(timeout).status, "timeout");
+  assert.equal(describeLocationFailure(new Error("boom")).status, "error");
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const parquet = require("parquetjs-lite");
+
+const { contentTypeFor, validateColumns, writeOutput } = require("../lib/outputFormats");
+
+const rows = [
+  { pincode: "560024", name: "Onion", priceValue: 38, available: true, variants: [{ id: "1" }] },
+  { pincode: "560024", name: "Tomato, Hybrid", priceValue: null, available: false },
+  { pincode: "110001", name: "Onion", priceValue: 41.5, available: true },
+];
+const columns = ["name", "pincode", "priceValue", "available"];
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "output-formats-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("csv, json and ndjson keep the selected columns in order", async (t) => {
+  const dir = tempDir(t);
+  await writeOutput(path.join(dir, "out.csv"), rows, { format: "csv", columns });
+  await writeOutput(path.join(dir, "out.json"), rows, { format: "json", columns });
+  await writeOutput(path.join(dir, "out.ndjson"), rows, {
+    format: "ndjson",
+    columns: ["name", "variants"],
+  });
+
+  assert.deepEqual(fs.readFileSync(path.join(dir, "out.csv"), "utf8").split("\n"), [
+    "name,pincode,priceValue,available",
+    "Onion,560024,38,true",
+    '"Tomato, Hybrid",560024,,false',
+    "Onion,110001,41.5,true",
+  ]);
+  const json = JSON.parse(fs.readFileSync(path.join(dir, "out.json"), "utf8"));
+  assert.deepEqual(Object.keys(json[0]), columns);
+  const ndjson = fs.readFileSync(path.join(dir, "out.ndjson"), "utf8").trim().split("\n");
+  assert.deepEqual(JSON.parse(ndjson[0]), { name: "Onion", variants: [{ id: "1" }] });
+  assert.equal(ndjson.length, 3);
+});
+
+test("flat formats pass rows through flatten", async (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, "out.csv");
+  await writeOutput(file, rows.slice(0, 1), {
+    format: "csv",
+    columns: ["name", "variants"],
+    flatten: (row) => ({ ...row, variants: row.variants.map((v) => v.id).join(";") }),
+  });
+  assert.equal(fs.readFileSync(file, "utf8").split("\n")[1], "Onion,1");
+});
+
+test("xlsx writes one sheet per pincode", async (t) => {
+  const file = path.join(tempDir(t), "out.xlsx");
+  await writeOutput(file, rows, { format: "xlsx", columns });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(file);
+  assert.deepEqual(
+    workbook.worksheets.map((sheet) => [sheet.name, sheet.rowCount]),
+    [
+      ["560024", 3],
+      ["110001", 2],
+    ]
+  );
+  assert.equal(workbook.getWorksheet("110001").getCell("C2").value, 41.5);
+});
+
+test("parquet keeps nulls and infers the types of columns it does not know", async (t) => {
+  const file = path.join(tempDir(t), "out.parquet");
+  await writeOutput(file, rows, { format: "parquet", columns });
+
+  const reader = await parquet.ParquetReader.openFile(file);
+  t.after(() => reader.close());
+  const cursor = reader.getCursor();
+  const read = [];
+  for (let record = await cursor.next(); record; record = await cursor.next()) {
+    read.push(record);
+  }
+  assert.equal(reader.getSchema().fields.priceValue.primitiveType, "DOUBLE");
+  assert.equal(reader.getSchema().fields.available.primitiveType, "BOOLEAN");
+  assert.deepEqual(read[1], { name: "Tomato, Hybrid", pincode: "560024", available: false });
+  assert.equal(read[2].priceValue, 41.5);
+});
+
+test("parquet types of known columns do not depend on the values", async (t) => {
+  const dir = tempDir(t);
+  const schemaOf = async (file, records) => {
+    await writeOutput(file, records, {
+      format: "parquet",
+      columns: ["id", "priceValue", "position", "available", "score"],
+    });
+    const reader = await parquet.ParquetReader.openFile(file);
+    const { fields } = reader.getSchema();
+    await reader.close();
+    return Object.keys(fields).map((column) => fields[column].primitiveType);
+  };
+
+  const noValues = { id: null, priceValue: null, position: null, available: null, score: null };
+  assert.deepEqual(await schemaOf(path.join(dir, "empty.parquet"), [noValues]), [
+    "BYTE_ARRAY",
+    "DOUBLE",
+    "INT32",
+    "BOOLEAN",
+    "BYTE_ARRAY",
+  ]);
+  const values = { id: 391306, priceValue: 38, position: 2, available: true, score: 0.5 };
+  assert.deepEqual(await schemaOf(path.join(dir, "full.parquet"), [values]), [
+    "BYTE_ARRAY",
+    "DOUBLE",
+    "INT32",
+    "BOOLEAN",
+    "DOUBLE",
+  ]);
+});
+
+test("columns and content types are checked", () => {
+  assert.match(validateColumns(["name", "nope"], columns), /Unknown columns: nope/);
+  assert.match(validateColumns(["name", "name"], columns), /must not repeat/);
+  assert.equal(validateColumns(["available", "name"], columns), null);
+  assert.equal(contentTypeFor("x.ndjson"), "application/x-ndjson; charset=utf-8");
+  assert.equal(contentTypeFor("x.bin"), "application/octet-stream");
+});
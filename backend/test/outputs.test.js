@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  initOutputs,
+  recordOutputRun,
+  listOutputs,
+  deleteOutput,
+  setRetention,
+  validateRetention,
+  pruneOutputs,
+} = require("../lib/outputs");
+
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "outputs-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const dir = path.join(root, "output");
+  fs.mkdirSync(dir);
+  initOutputs({ dir, file: path.join(root, "outputs.json"), autoPrune: false });
+  return dir;
+}
+
+function writeRun(dir, id, { bytes = 10, rejected = false } = {}) {
+  fs.writeFileSync(path.join(dir, `${id}.csv`), "x".repeat(bytes));
+  if (rejected) {
+    fs.writeFileSync(path.join(dir, `${id}-rejected.csv`), "x".repeat(bytes));
+  }
+  return recordOutputRun(
+    {
+      filename: `${id}.csv`,
+      rowCount: 3,
+      rejectedFilename: rejected ? `${id}-rejected.csv` : null,
+      rejectedCount: rejected ? 2 : 0,
+      format: "csv",
+    },
+    { jobId: `job-${id}`, params: { pincodes: ["560024"], searchTerms: ["onion"], signal: {} } }
+  );
+}
+
+test("recorded runs are listed with their files, params and row counts", (t) => {
+  const dir = setup(t);
+  writeRun(dir, "blinkit-search-1", { rejected: true });
+  fs.writeFileSync(path.join(dir, "blinkit-search-0.csv"), "legacy");
+
+  const outputs = listOutputs();
+  const recorded = outputs.find((run) => run.id === "blinkit-search-1");
+  assert.deepEqual(recorded.params, { pincodes: ["560024"], searchTerms: ["onion"] });
+  assert.deepEqual(
+    recorded.files.map((file) => [file.filename, file.role, file.rowCount, file.bytes]),
+    [
+      ["blinkit-search-1-rejected.csv", "rejected", 2, 10],
+      ["blinkit-search-1.csv", "results", 3, 10],
+    ]
+  );
+  assert.equal(recorded.bytes, 20);
+
+  // Files from before the index existed still show up, without params
+  const legacy = outputs.find((run) => run.id === "blinkit-search-0");
+  assert.equal(legacy.params, null);
+  assert.equal(legacy.files[0].role, "results");
+});
+
+test("deleting a run removes all its files", (t) => {
+  const dir = setup(t);
+  writeRun(dir, "blinkit-search-1", { rejected: true });
+
+  assert.equal(deleteOutput("blinkit-search-1").files.length, 2);
+  assert.deepEqual(fs.readdirSync(dir), []);
+  assert.equal(deleteOutput("blinkit-search-1"), null);
+});
+
+test("retention prunes runs past the age limit, then the oldest over the size limit", (t) => {
+  const dir = setup(t);
+  for (const id of ["a", "b", "c"]) {
+    writeRun(dir, id, { bytes: 400 * 1024 });
+  }
+  const index = path.join(path.dirname(dir), "outputs.json");
+  const saved = JSON.parse(fs.readFileSync(index, "utf8"));
+  saved.runs.forEach((run, i) => {
+    run.createdAt = new Date(Date.UTC(2026, 0, 1 + i)).toISOString();
+  });
+  fs.writeFileSync(index, JSON.stringify(saved));
+  initOutputs({ dir, file: index, autoPrune: false });
+
+  setRetention({ maxAgeDays: 30 });
+  assert.deepEqual(pruneOutputs({ now: Date.UTC(2026, 0, 1) + 30.5 * 86400000 }), ["a"]);
+
+  setRetention({ maxAgeDays: null, maxTotalMb: 0.5 });
+  assert.deepEqual(pruneOutputs(), ["b"]);
+  assert.deepEqual(
+    listOutputs().map((run) => run.id),
+    ["c"]
+  );
+});
+
+test("retention policies must be positive numbers or null", () => {
+  assert.equal(validateRetention({ maxAgeDays: 7, maxTotalMb: null }), null);
+  assert.match(validateRetention({ maxAgeDays: 0 }), /maxAgeDays/);
+  assert.match(validateRetention({ maxTotalMb: "1" }), /maxTotalMb/);
+});
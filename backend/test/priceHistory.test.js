@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  initPriceHistory,
+  historyRows,
+  recordPriceRows,
+  queryProductHistory,
+  queryTermHistory,
+} = require("../lib/priceHistory");
+
+function row(pincode, id, priceValue, available = true) {
+  return {
+    pincode,
+    service: "blinkit",
+    searchTerm: "onion 1kg",
+    id,
+    name: `Onion ${id}`,
+    quantity: "1 kg",
+    priceValue,
+    mrpValue: 45,
+    available,
+  };
+}
+
+async function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "price-history-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "price-history.sqlite");
+  await initPriceHistory({ file });
+  return file;
+}
+
+test("out of stock rows are recorded next to the kept ones, once each", () => {
+  const kept = row("560024", "391306", 38);
+  const keptOutOfStock = row("560024", "391307", 52, false);
+  const dropped = row("400001", "391306", 41, false);
+  assert.deepEqual(
+    historyRows({ items: [kept, keptOutOfStock], unavailable: [keptOutOfStock, dropped] }),
+    [kept, keptOutOfStock, dropped]
+  );
+  assert.deepEqual(historyRows({}), []);
+});
+
+test("recorded prices are queried back by product and term after a reload", async (t) => {
+  const file = await setup(t);
+  const result = {
+    items: [row("560024", "391306", 38), row("560024", "391307", 52)],
+    unavailable: [row("400001", "391306", 41, false)],
+  };
+  const count = await recordPriceRows(historyRows(result), {
+    runId: "job-1",
+    scrapedAt: "2026-10-01T06:00:00.000Z",
+  });
+  assert.equal(count, 3);
+  await recordPriceRows([row("560024", "391306", 36)], {
+    runId: "job-2",
+    scrapedAt: "2026-10-02T06:00:00.000Z",
+  });
+
+  await initPriceHistory({ file });
+  const points = await queryProductHistory("391306");
+  assert.deepEqual(
+    points.map((p) => [p.scrapedAt, p.runId, p.pincode, p.price, p.available]),
+    [
+      ["2026-10-01T06:00:00.000Z", "job-1", "400001", 41, false],
+      ["2026-10-01T06:00:00.000Z", "job-1", "560024", 38, true],
+      ["2026-10-02T06:00:00.000Z", "job-2", "560024", 36, true],
+    ]
+  );
+  assert.equal((await queryProductHistory("391306", { pincode: "560024" })).length, 2);
+  assert.equal((await queryProductHistory("391306", { to: "2026-10-01T23:59:59Z" })).length, 2);
+
+  const { byRun } = await queryTermHistory("onion 1kg");
+  assert.deepEqual(
+    byRun.map((run) => [run.scrapedAt, run.pincode, run.productCount, run.minPrice, run.avgPrice]),
+    [
+      ["2026-10-01T06:00:00.000Z", "400001", 0, null, null],
+      ["2026-10-01T06:00:00.000Z", "560024", 2, 38, 45],
+      ["2026-10-02T06:00:00.000Z", "560024", 1, 36, 36],
+    ]
+  );
+});
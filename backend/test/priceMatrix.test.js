@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildPriceMatrix, buildPriceMatrixCsv } = require("../lib/priceMatrix");
+
+function row(pincode, id, priceValue, { searchTerm = "onion 1kg", name = `Product ${id}` } = {}) {
+  return { pincode, service: "blinkit", searchTerm, id, name, quantity: "1 kg", priceValue };
+}
+
+const rows = [
+  row("560024", "391306", 38, { name: "Onion" }),
+  row("400001", "391306", 45, { name: "Onion" }),
+  row("560024", "391307", 52, { name: "Onion Value Pack" }),
+  row("560024", "50012", 30, { searchTerm: "tomato", name: "Tomato" }),
+  row("400001", "50012", null, { searchTerm: "tomato", name: "Tomato" }),
+];
+
+test("grouping by id lines up each product's price per pincode", () => {
+  const matrix = buildPriceMatrix(rows, { pincodes: ["560024", "400001", "110001"] });
+  assert.deepEqual(matrix.pincodes, ["560024", "400001", "110001"]);
+  assert.deepEqual(
+    matrix.rows.map((r) => [r.id, r.prices, r.spread, r.missingPincodes]),
+    [
+      ["391306", { 560024: 38, 400001: 45, 110001: null }, 7, ["110001"]],
+      ["391307", { 560024: 52, 400001: null, 110001: null }, 0, ["400001", "110001"]],
+      ["50012", { 560024: 30, 400001: null, 110001: null }, 0, ["400001", "110001"]],
+    ]
+  );
+  assert.equal(matrix.rows[0].spreadPercent, 18.42);
+});
+
+test("grouping by search term takes the lowest price at each pincode", () => {
+  const matrix = buildPriceMatrix(rows, { by: "searchTerm" });
+  assert.deepEqual(
+    matrix.rows.map((r) => [r.searchTerm, r.id, r.name, r.prices]),
+    [
+      ["onion 1kg", null, null, { 560024: 38, 400001: 45 }],
+      ["tomato", null, null, { 560024: 30, 400001: null }],
+    ]
+  );
+  assert.throws(() => buildPriceMatrix(rows, { by: "name" }), /by must be one of/);
+});
+
+test("the csv keeps location columns apart from the label columns", () => {
+  const named = [
+    row("name", "391306", 38, { name: "Onion, red" }),
+    row("min", "391306", 41, { name: "Onion, red" }),
+  ];
+  const csv = buildPriceMatrixCsv(buildPriceMatrix(named));
+  assert.deepEqual(csv.split("\n"), [
+    "service,id,name,quantity,name,min,min,max,spread,spreadPercent,missingPincodes",
+    'blinkit,391306,"Onion, red",1 kg,38,41,38,41,3,7.89,',
+  ]);
+  assert.equal(
+    buildPriceMatrixCsv(buildPriceMatrix(rows, { by: "searchTerm" })).split("\n")[2],
+    "blinkit,tomato,30,,30,30,0,0,400001"
+  );
+});
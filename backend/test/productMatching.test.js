@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizeToken,
+  extractCoreTokens,
+  matchesSearchTerm,
+  extractQuantityFromTerm,
+  normalizeQuantityValue,
+  matchesQuantity,
+} = require("../lib/productMatching");
+
+test("normalizeToken singularizes plurals", () => {
+  const cases = [
+    ["Tomatoes", "tomato"],
+    ["Potatoes", "potato"],
+    ["berries", "berry"],
+    ["onions", "onion"],
+    ["glass", "glass"],
+    ["onion", "onion"],
+    ["", ""],
+  ];
+  for (const [input, expected] of cases) {
+    assert.equal(normalizeToken(input), expected, input);
+  }
+});
+
+test("extractCoreTokens drops quantities and filler words", () => {
+  const cases = [
+    ["onion 1kg", ["onion"]],
+    ["Fresh Onion 1 kg pack", ["onion"]],
+    ["tomatoes 500g", ["tomato"]],
+    ["amul-butter, 500g", ["amul", "butter"]],
+    ["milk 1l", ["milk"]],
+    ["1kg", []],
+  ];
+  for (const [input, expected] of cases) {
+    assert.deepEqual(extractCoreTokens(input), expected, input);
+  }
+});
+
+test("matchesSearchTerm requires every core token in the product name", () => {
+  const cases = [
+    ["Onion (Pyaz)", "onion 1kg", true],
+    ["Fresho Onion - Big", "onion", true],
+    ["Tomato - Hybrid", "tomatoes", true],
+    ["Potato", "onion", false],
+    ["Onion Powder", "red onion", false],
+    ["Amul Butter", "amul butter 500g", true],
+    ["Anything", "1kg", true],
+  ];
+  for (const [name, term, expected] of cases) {
+    assert.equal(matchesSearchTerm(name, term), expected, `${name} / ${term}`);
+  }
+});
+
+test("normalizeQuantityValue converts pack sizes to base units", () => {
+  const cases = [
+    ["1 kg", { value: 1000, unit: "g", category: "weight" }],
+    ["500 g", { value: 500, unit: "g", category: "weight" }],
+    ["250 gm", { value: 250, unit: "g", category: "weight" }],
+    ["2 x 500 g", { value: 1000, unit: "g", category: "weight" }],
+    ["1.5 L", { value: 1500, unit: "ml", category: "volume" }],
+    ["200 ml", { value: 200, unit: "ml", category: "volume" }],
+    ["6 pcs", { value: 6, unit: "pc", category: "count" }],
+    ["N/A", null],
+    ["", null],
+  ];
+  for (const [input, expected] of cases) {
+    assert.deepEqual(normalizeQuantityValue(input), expected, input);
+  }
+});
+
+test("matchesQuantity allows 10% either side of the requested size", () => {
+  const oneKg = extractQuantityFromTerm("onion 1kg");
+  const cases = [
+    ["1 kg", oneKg, true],
+    ["950 g", oneKg, true],
+    ["900 g", oneKg, true],
+    ["1.1 kg", oneKg, true],
+    ["899 g", oneKg, false],
+    ["1.11 kg", oneKg, false],
+    ["2 x 500 g", oneKg, true],
+    ["1 L", oneKg, false],
+    ["N/A", oneKg, true],
+    ["500 g", null, true],
+  ];
+  for (const [productQty, requested, expected] of cases) {
+    assert.equal(matchesQuantity(productQty, requested), expected, productQty);
+  }
+});
+
+test("matchesQuantity honours a custom tolerance", () => {
+  const oneKg = extractQuantityFromTerm("onion 1kg");
+  assert.equal(matchesQuantity("800 g", oneKg, 0.25), true);
+  assert.equal(matchesQuantity("700 g", oneKg, 0.25), false);
+  assert.equal(matchesQuantity("990 g", oneKg, 0), false);
+  assert.equal(matchesQuantity("1 kg", oneKg, 0), true);
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  resolveRetryOptions,
+  validateRetryOptions,
+  validateBreakerOptions,
+  createCircuitBreaker,
+  withRetry,
+} = require("../lib/retryPolicy");
+
+const FAST = { attempts: 3, baseDelayMs: 1, maxDelayMs: 5 };
+
+test("a failing task is retried with growing delays until it succeeds", async () => {
+  const delays = [];
+  let calls = 0;
+  const outcome = await withRetry(
+    async () => {
+      calls += 1;
+      if (calls < 3) {
+        throw new Error(`attempt ${calls} failed`);
+      }
+      return "ok";
+    },
+    { ...FAST, onRetry: ({ delayMs }) => delays.push(delayMs) }
+  );
+  assert.deepEqual(outcome, { value: "ok", error: null, attempts: 3 });
+  assert.deepEqual(delays, [1, 2]);
+});
+
+test("results flagged by isFailure count as failed attempts", async () => {
+  const outcome = await withRetry(async () => ({ error: "no search page" }), {
+    ...FAST,
+    isFailure: (result) => result.error,
+  });
+  assert.equal(outcome.error, "no search page");
+  assert.equal(outcome.attempts, 3);
+});
+
+test("a cancelled run is not retried", async () => {
+  const controller = new AbortController();
+  let calls = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        calls += 1;
+        controller.abort();
+        throw new Error("Batch run cancelled");
+      },
+      { ...FAST, signal: controller.signal }
+    ),
+    /cancelled/
+  );
+  assert.equal(calls, 1);
+});
+
+test("the breaker opens after consecutive failures and pauses callers", async () => {
+  const opened = [];
+  const breaker = createCircuitBreaker({
+    threshold: 2,
+    cooldownMs: 30,
+    onOpen: (info) => opened.push(info),
+  });
+  breaker.recordFailure();
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  assert.equal(breaker.trips, 0);
+  breaker.recordFailure();
+  assert.equal(breaker.trips, 1);
+  assert.equal(opened[0].failures, 2);
+
+  await breaker.waitUntilClosed();
+  assert.ok(Date.now() >= Date.parse(opened[0].resumeAt));
+});
+
+test("a threshold of 0 keeps the breaker closed", () => {
+  const breaker = createCircuitBreaker({ threshold: 0, cooldownMs: 1000 });
+  for (let i = 0; i < 10; i += 1) {
+    breaker.recordFailure();
+  }
+  assert.equal(breaker.trips, 0);
+});
+
+test("retry options are validated and fall back to the environment", (t) => {
+  const attempts = process.env.BATCH_RETRY_ATTEMPTS;
+  t.after(() => {
+    if (attempts === undefined) {
+      delete process.env.BATCH_RETRY_ATTEMPTS;
+    } else {
+      process.env.BATCH_RETRY_ATTEMPTS = attempts;
+    }
+  });
+  process.env.BATCH_RETRY_ATTEMPTS = "5";
+  assert.equal(resolveRetryOptions().attempts, 5);
+  assert.equal(resolveRetryOptions({ attempts: 2 }).attempts, 2);
+
+  assert.equal(validateRetryOptions(undefined), null);
+  assert.equal(validateRetryOptions({ attempts: 0 }), "retry.attempts must be a positive integer");
+  assert.equal(
+    validateBreakerOptions({ cooldownMs: -1 }),
+    "circuitBreaker.cooldownMs must be a non-negative integer"
+  );
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { registerJobRunner, initJobQueue, getJob, jobEvents } = require("../lib/jobQueue");
+const {
+  validateCron,
+  computeNextRun,
+  initScheduler,
+  createSchedule,
+  getSchedule,
+  runDueSchedules,
+} = require("../lib/scheduler");
+
+const JOB_TYPE = "test-scheduled-batch";
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scheduler-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  initJobQueue({ dir: path.join(dir, "jobs") });
+  initScheduler({ file: path.join(dir, "schedules.json"), type: JOB_TYPE });
+  return dir;
+}
+
+function waitForStatus(id, status) {
+  return new Promise((resolve) => {
+    const onStatus = (job) => {
+      if (job.id === id && job.status === status) {
+        jobEvents.off("status", onStatus);
+        resolve(job);
+      }
+    };
+    jobEvents.on("status", onStatus);
+  });
+}
+
+test("cron expressions and timezones are validated", () => {
+  assert.equal(validateCron("0 6 * * *"), null);
+  assert.equal(validateCron("0 6 * * *", "Asia/Kolkata"), null);
+  assert.match(validateCron(""), /cron is required/);
+  assert.match(validateCron(undefined), /cron is required/);
+  assert.match(validateCron("61 * * * *"), /Invalid cron expression/);
+  assert.match(validateCron("every morning"), /Invalid cron expression/);
+  assert.match(validateCron("0 6 * * *", "Mars/Olympus_Mons"), /Invalid timezone/);
+});
+
+test("the next run is computed in the schedule's timezone", () => {
+  const from = new Date("2026-10-01T00:00:00.000Z");
+  // 06:00 in India is 00:30 UTC
+  assert.equal(computeNextRun("0 6 * * *", "Asia/Kolkata", from), "2026-10-01T00:30:00.000Z");
+  assert.equal(
+    computeNextRun("0 6 * * *", "Asia/Kolkata", new Date("2026-10-01T01:00:00.000Z")),
+    "2026-10-02T00:30:00.000Z"
+  );
+  assert.equal(
+    computeNextRun("*/15 * * * *", null, new Date("2026-10-01T06:07:00.000Z")),
+    "2026-10-01T06:15:00.000Z"
+  );
+});
+
+test("a due run is skipped while the previous run is still going", async (t) => {
+  setup(t);
+  let finish;
+  const finished = new Promise((resolve) => {
+    finish = resolve;
+  });
+  registerJobRunner(JOB_TYPE, async () => {
+    await finished;
+    return { filename: "scheduled.csv", rowCount: 4, items: [] };
+  });
+  const schedule = createSchedule({ name: "Morning", cron: "* * * * *", params: { pincodes: [] } });
+  const dueAt = (offsetMinutes) =>
+    new Date(Date.parse(getSchedule(schedule.id).nextRunAt) + offsetMinutes * 60000);
+
+  runDueSchedules({ now: dueAt(0) });
+  const [first] = getSchedule(schedule.id).history;
+  assert.equal(first.trigger, "schedule");
+  assert.equal(getJob(first.jobId).params.scheduleId, schedule.id);
+
+  runDueSchedules({ now: dueAt(0) });
+  assert.deepEqual(
+    getSchedule(schedule.id).history.map((entry) => [entry.status, entry.jobId]),
+    [
+      ["skipped", null],
+      ["running", first.jobId],
+    ]
+  );
+
+  finish();
+  await waitForStatus(first.jobId, "completed");
+  const synced = getSchedule(schedule.id).history[1];
+  assert.equal(synced.status, "completed");
+  assert.equal(synced.filename, "scheduled.csv");
+  assert.equal(synced.rowCount, 4);
+
+  runDueSchedules({ now: dueAt(0) });
+  const history = getSchedule(schedule.id).history;
+  assert.equal(history.length, 3);
+  assert.notEqual(history[0].jobId, first.jobId);
+  await waitForStatus(history[0].jobId, "completed");
+});
+
+test("runs that are not due yet are left alone", (t) => {
+  setup(t);
+  const schedule = createSchedule({ cron: "0 6 * * *", timezone: "Asia/Kolkata", params: {} });
+  runDueSchedules({ now: new Date(Date.parse(schedule.nextRunAt) - 1000) });
+  assert.deepEqual(getSchedule(schedule.id).history, []);
+  assert.equal(getSchedule(schedule.id).name, "0 6 * * *");
+});
@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+
+const { runSearchWithMeta } = require("../adapters/search");
+const {
+  extractProductInformation,
+  isSearchResponse,
+  mergeSearchPages,
+} = require("../blinkit/searchHelpers");
+
+function snippet(id, name = `Biscuit ${id}`) {
+  return {
+    widget_type: "product_card_snippet_type_2",
+    data: {
+      identity: { id },
+      name: { text: name },
+      normal_price: { text: "₹10" },
+      variant: { text: "100 g" },
+    },
+  };
+}
+
+function searchPage(ids) {
+  return { response: { snippets: ids.map((id) => snippet(id)) } };
+}
+
+// Puppeteer-like page that serves the first page on navigation and one more per scroll
+function fakePage(pages) {
+  const page = new EventEmitter();
+  let served = 0;
+  const serveNext = () => {
+    if (served >= pages.length) {
+      return;
+    }
+    const json = pages[served];
+    served += 1;
+    setImmediate(() =>
+      page.emit("response", {
+        url: () => `https://blinkit.com/v1/layout/search?q=biscuits&page=${served}`,
+        request: () => ({
+          resourceType: () => "fetch",
+          headers: () => ({}),
+          method: () => "GET",
+          postData: () => null,
+        }),
+        headers: () => ({}),
+        json: async () => json,
+      })
+    );
+  };
+  page.serveNext = serveNext;
+  page.evaluate = async () => serveNext();
+  return page;
+}
+
+const adapter = {
+  name: "blinkit",
+  navigateToSearch: async (page) => {
+    page.serveNext();
+    return true;
+  },
+  ensureContentLoaded: async () => true,
+  isSearchResponse,
+  extractProducts: extractProductInformation,
+  mergeSearchPages,
+};
+
+test("mergeSearchPages keeps page order and drops repeated identity ids", () => {
+  const merged = mergeSearchPages([searchPage(["1", "2"]), searchPage(["2", "3"])]);
+  assert.deepEqual(
+    merged.response.snippets.map((snip) => snip.data.identity.id),
+    ["1", "2", "3"]
+  );
+});
+
+test("paginated searches scroll until no new page arrives", async () => {
+  const page = fakePage([searchPage(["1", "2"]), searchPage(["2", "3"]), searchPage(["4"])]);
+  const result = await runSearchWithMeta(adapter, page, "biscuits", {}, {
+    paginate: true,
+    nextPageTimeoutMs: 50,
+  });
+  assert.equal(result.pageCount, 3);
+  assert.deepEqual(
+    result.products.map((product) => product.id),
+    ["1", "2", "3", "4"]
+  );
+  assert.equal(page.listenerCount("response"), 0);
+});
+
+test("paginated searches stop once maxResults products are loaded", async () => {
+  const page = fakePage([searchPage(["1", "2"]), searchPage(["3", "4"]), searchPage(["5"])]);
+  const result = await runSearchWithMeta(adapter, page, "biscuits", {}, {
+    paginate: true,
+    maxResults: 3,
+    nextPageTimeoutMs: 50,
+  });
+  assert.equal(result.pageCount, 2);
+});
+
+test("without paginate only the first page is read", async () => {
+  const page = fakePage([searchPage(["1", "2"]), searchPage(["3"])]);
+  const result = await runSearchWithMeta(adapter, page, "biscuits");
+  assert.equal(result.pageCount, 1);
+  assert.equal(result.products.length, 2);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { editDistance, scoreSearchMatch } = require("../lib/searchRelevance");
+
+test("editDistance counts adjacent swaps as one edit", () => {
+  assert.equal(editDistance("onion", "onion"), 0);
+  assert.equal(editDistance("onoin", "onion"), 1);
+  assert.equal(editDistance("tamato", "tomato"), 1);
+  assert.equal(editDistance("milk", "paneer", 2), 3);
+});
+
+test("synonyms and Hindi names match just below an exact word", () => {
+  assert.equal(scoreSearchMatch("Amul Masti Dahi", "curd"), 0.95);
+  assert.equal(scoreSearchMatch("Fresh Bell Pepper - Green", "capsicum"), 0.95);
+  assert.equal(scoreSearchMatch("Capsicum Green", "shimla mirch"), 0.95);
+  assert.equal(scoreSearchMatch("Onion", "pyaz 1kg"), 0.95);
+  assert.equal(scoreSearchMatch("Onion", "onion"), 1);
+});
+
+test("small typos score lower but stay above the default threshold", () => {
+  assert.equal(scoreSearchMatch("Onion", "onoin"), 0.8);
+  assert.equal(scoreSearchMatch("Hybrid Tomato", "tamato"), 0.83);
+  assert.equal(scoreSearchMatch("Amul Butter", "amul buter"), 0.9);
+});
+
+test("short words need an exact match", () => {
+  assert.equal(scoreSearchMatch("Vanilla Ice Cream", "rice"), 0);
+  assert.equal(scoreSearchMatch("Green Peas", "pear"), 0);
+});
+
+test("multi-word terms need every word and average how well they match", () => {
+  assert.equal(scoreSearchMatch("Amul Cheese Slices", "amul butter"), 0);
+  assert.equal(scoreSearchMatch("Red Onion", "organic red onion"), 0);
+  // Four of five words would have averaged 0.8, the default threshold
+  assert.equal(scoreSearchMatch("Amul Masti Dahi Pouch", "amul masti dahi pouch toned"), 0);
+  assert.equal(scoreSearchMatch("Amul Taaza Toned Milk", "amul taaza tonned milk"), 0.96);
+  assert.equal(scoreSearchMatch("Anything", "1 kg"), 1);
+});
+
+test("fuzzy matching can be turned off", () => {
+  assert.equal(scoreSearchMatch("Onion", "onoin", { fuzzy: false }), 0);
+  assert.equal(scoreSearchMatch("Dahi", "curd", { fuzzy: false }), 0.95);
+});
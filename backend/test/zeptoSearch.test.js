@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { extractProductInformation, isSearchResponse } = require("../zepto/searchHelpers");
+
+const SEARCH_RESPONSE = require(path.join(__dirname, "fixtures", "search", "zepto-search.json"));
+
+test("Zepto search responses are parsed into products with paise converted to rupees", () => {
+  const products = extractProductInformation(SEARCH_RESPONSE, { includeSponsored: true });
+  assert.deepEqual(products[0], {
+    id: "v-onion-1kg",
+    name: "Onion",
+    price: "₹38",
+    originalPrice: "₹45",
+    savings: "₹7",
+    quantity: "1 kg",
+    deliveryTime: "N/A",
+    discount: "15% OFF",
+    imageUrl: "https://cdn.zeptonow.com/production/cms/product_variant/onion.jpeg",
+    available: true,
+    sponsored: false,
+    position: 1,
+    organicRank: 1,
+  });
+
+  // Banner items without a product are skipped
+  assert.deepEqual(
+    products.map((p) => p.id),
+    ["v-onion-1kg", "v-shallot", "v-onion-2kg", "p-red-onion"]
+  );
+});
+
+test("Zepto prices fall back to the selling price and drop an MRP equal to the price", () => {
+  const products = extractProductInformation(SEARCH_RESPONSE, { includeSponsored: true });
+  assert.deepEqual(
+    products.map((p) => [p.id, p.price, p.originalPrice, p.savings]),
+    [
+      ["v-onion-1kg", "₹38", "₹45", "₹7"],
+      ["v-shallot", "₹52", "₹60", "₹8"],
+      ["v-onion-2kg", "₹74.50", null, null],
+      ["p-red-onion", "₹29.50", null, null],
+    ]
+  );
+});
+
+test("Zepto products out of stock or with no quantity left are unavailable", () => {
+  const products = extractProductInformation(SEARCH_RESPONSE, { includeSponsored: true });
+  assert.deepEqual(
+    products.map((p) => [p.id, p.available]),
+    [
+      ["v-onion-1kg", true],
+      ["v-shallot", true],
+      ["v-onion-2kg", false],
+      ["p-red-onion", false],
+    ]
+  );
+});
+
+test("Zepto positions count ads while organic ranks skip them", () => {
+  const withAds = extractProductInformation(SEARCH_RESPONSE, { includeSponsored: true });
+  assert.deepEqual(
+    withAds.map((p) => [p.id, p.sponsored, p.position, p.organicRank]),
+    [
+      ["v-onion-1kg", false, 1, 1],
+      ["v-shallot", true, 2, null],
+      ["v-onion-2kg", false, 3, 2],
+      ["p-red-onion", false, 4, 3],
+    ]
+  );
+
+  const organic = extractProductInformation(SEARCH_RESPONSE, { includeSponsored: false });
+  assert.deepEqual(
+    organic.map((p) => [p.id, p.position, p.organicRank]),
+    [
+      ["v-onion-1kg", 1, 1],
+      ["v-onion-2kg", 3, 2],
+      ["p-red-onion", 4, 3],
+    ]
+  );
+});
+
+test("isSearchResponse only accepts Zepto search payloads with products", () => {
+  const url = "https://api.zeptonow.com/api/v3/search/";
+  assert.equal(isSearchResponse(url, SEARCH_RESPONSE), true);
+  assert.equal(isSearchResponse("https://api.zeptonow.com/api/v1/cart/", SEARCH_RESPONSE), false);
+  assert.equal(isSearchResponse(url, { layout: [] }), false);
+});
@@ -0,0 +1,24 @@
+const { defineAdapter } = require("../adapters/contract");
+const {
+  navigateToSearch,
+  ensureContentLoaded,
+  extractProductInformation,
+  isSearchResponse,
+  isSponsored,
+} = require("./searchHelpers");
+const { ZEPTO_HOME, setZeptoLocation, isZeptoLocationSet } = require("./set-location");
+
+module.exports = defineAdapter({
+  name: "zepto",
+  label: "Zepto",
+  // Zepto shows one store-wide ETA instead of a delivery time per product
+  productEta: false,
+  homeUrl: ZEPTO_HOME,
+  setLocation: setZeptoLocation,
+  isLocationSet: isZeptoLocationSet,
+  navigateToSearch,
+  ensureContentLoaded,
+  isSearchResponse,
+  extractProducts: extractProductInformation,
+  isSponsored,
+});
@@ -0,0 +1,120 @@
+const { normalizeProduct, formatRupees, computeSavings } = require("../adapters/contract");
+
+const ZEPTO_IMAGE_BASE = "https://cdn.zeptonow.com/production/";
+
+async function navigateToSearch(page, searchTerm) {
+  const url = `https://www.zeptonow.com/search?query=${encodeURIComponent(searchTerm)}`;
+  console.log(`Going to: ${url}`);
+  try {
+    await page.goto(url, { waitUntil: "networkidle2", timeout: 50000 });
+    await new Promise((r) => setTimeout(r, 2000));
+    return true;
+  } catch (err) {
+    console.log(`Error navigating to Zepto search URL: ${err.message}`);
+    return false;
+  }
+}
+
+async function ensureContentLoaded(page) {
+  try {
+    await page.waitForSelector('[data-testid="product-card"], a[href*="/pn/"]', { timeout: 10000 });
+    return true;
+  } catch (err) {
+    console.log(`Zepto product cards not found: ${err.message}`);
+    return false;
+  }
+}
+
+// Search results are spread across layout widgets; each item wraps a productResponse
+function collectItems(json) {
+  const layout = Array.isArray(json?.layout) ? json.layout : [];
+  const items = [];
+  for (const widget of layout) {
+    const widgetItems = widget?.data?.resolver?.data?.items;
+    if (Array.isArray(widgetItems)) {
+      items.push(...widgetItems);
+    }
+  }
+  return items;
+}
+
+function isSearchResponse(url, json) {
+  return /search/i.test(String(url || "")) && collectItems(json).some((i) => i?.productResponse);
+}
+
+function isSponsored(item) {
+  const resp = item?.productResponse || item || {};
+  return Boolean(
+    item?.isAd ||
+      item?.adInfo ||
+      resp.isSponsored ||
+      resp.adInfo ||
+      resp.meta?.isAd ||
+      /sponsor|\bad\b/i.test(String(resp.tag || resp.label || ""))
+  );
+}
+
+// Zepto prices are in paise
+function paiseToRupees(value) {
+  const num = Number(value);
+  return Number.isFinite(num) ? formatRupees(num / 100) : null;
+}
+
+// position counts every product item, ads included; organicRank skips ads
+function extractProductInformation(json, { includeSponsored = false } = {}) {
+  const prods = [];
+  let position = 0;
+  let organicRank = 0;
+  collectItems(json).forEach((item, idx) => {
+    const resp = item?.productResponse;
+    if (!resp || !resp.product) {
+      return;
+    }
+    const sponsored = isSponsored(item);
+    position += 1;
+    if (!sponsored) {
+      organicRank += 1;
+    }
+    if (sponsored && !includeSponsored) {
+      console.log(`Skipping sponsored Zepto item at index ${idx}.`);
+      return;
+    }
+
+    const variant = resp.productVariant || {};
+    const price = paiseToRupees(resp.discountedSellingPrice ?? resp.sellingPrice);
+    const originalPrice = paiseToRupees(resp.mrp);
+    const image = Array.isArray(variant.images) && variant.images[0]?.path;
+
+    prods.push(
+      normalizeProduct(
+        {
+          id: variant.id || resp.product.id,
+          name: resp.product.name,
+          price,
+          originalPrice: originalPrice !== price ? originalPrice : null,
+          savings: computeSavings(price, originalPrice),
+          quantity: variant.formattedPacksize || variant.packsize,
+          deliveryTime: null,
+          discount: resp.discountPercent ? `${resp.discountPercent}% OFF` : null,
+          imageUrl: image ? `${ZEPTO_IMAGE_BASE}${image}` : "",
+          available: !resp.outOfStock && resp.availableQuantity !== 0,
+          sponsored,
+          position,
+          organicRank: sponsored ? null : organicRank,
+        },
+        idx
+      )
+    );
+  });
+
+  console.log(`Successfully processed ${prods.length} products from Zepto response.`);
+  return prods;
+}
+
+module.exports = {
+  ensureContentLoaded,
+  extractProductInformation,
+  isSearchResponse,
+  isSponsored,
+  navigateToSearch,
+};
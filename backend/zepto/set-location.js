@@ -0,0 +1,136 @@
+const {
+  findFirstSelector,
+  getFirstTextFromSelectors,
+  clickFirstSelector,
+  clearAndType,
+  pageTextMatches,
+  emulateGeolocation,
+  delay,
+} = require("../adapters/pageUtils");
+const {
+  locationError,
+  hasCoordinates,
+  normalizeLocation,
+  locationSearchText,
+  matchesLocationTitle,
+} = require("../lib/locations");
+
+// Shown instead of the store when Zepto does not deliver to the chosen location
+const NOT_SERVICEABLE_PATTERN =
+  /not (?:serviceable|in your area)|(?:don['’]t|do not) deliver|be there soon/i;
+const ZEPTO_HOME = "https://www.zeptonow.com/";
+
+async function setZeptoLocation(page, loc) {
+  const location = normalizeLocation(loc);
+  const searchText = locationSearchText(location);
+  console.log(`Setting Zepto location to: ${location.key}`);
+  if (!page.url().includes("zepto")) {
+    await page.goto(ZEPTO_HOME, { waitUntil: "domcontentloaded", timeout: 60000 });
+  }
+  await delay(1000);
+
+  await clickFirstSelector(page, [
+    'button[aria-label="Select Location"]',
+    '[data-testid="user-address"]',
+    '[data-testid*="location"]',
+    'button[class*="location"]',
+  ]);
+
+  // Coordinates go through "use my current location"; typing the address is the fallback
+  const detected = hasCoordinates(location) && (await detectCurrentLocation(page, location));
+  if (!detected) {
+    if (!searchText) {
+      throw new Error("Zepto location picker has no current location button");
+    }
+    const locationInput = await findFirstSelector(
+      page,
+      [
+        'input[placeholder*="Search a new address"]',
+        'input[placeholder*="address"]',
+        'input[placeholder*="area"]',
+        'input[type="text"]',
+      ],
+      15000
+    );
+    if (!locationInput) {
+      throw new Error("Location input not found on Zepto");
+    }
+
+    await clearAndType(page, locationInput, searchText);
+    await delay(3000);
+
+    const suggestion = await findFirstSelector(
+      page,
+      [
+        '[data-testid="address-search-item"]',
+        '[data-testid*="address-search"]',
+        '[class*="prediction"]',
+        '[role="option"]',
+      ],
+      10000
+    );
+    if (suggestion) {
+      await page.click(suggestion);
+    } else {
+      await page.keyboard.press("Enter").catch(() => {});
+    }
+  }
+  await delay(2000);
+
+  // Zepto asks to confirm the pinned address on a map before applying it
+  await clickFirstSelector(page, [
+    '[data-testid="location-confirm-btn"]',
+    'button[aria-label*="Confirm"]',
+    'button[class*="confirm"]',
+  ]);
+  await delay(2000);
+
+  if (await pageTextMatches(page, NOT_SERVICEABLE_PATTERN)) {
+    throw locationError("not_serviceable", `Zepto does not deliver to ${location.key}`);
+  }
+
+  const locTitle = await isZeptoLocationSet(page);
+  if (!locTitle) {
+    console.log(`Failed to verify Zepto location after setting to: ${location.key}`);
+    throw locationError("timeout", `Zepto showed no location after setting ${location.key}`);
+  }
+  if (!matchesLocationTitle(location, locTitle)) {
+    console.log(`Zepto location title mismatch for ${location.key}: "${locTitle}"`);
+    throw locationError("location_mismatch", `Zepto resolved ${location.key} to "${locTitle}"`);
+  }
+  console.log(`Zepto location successfully set to: ${locTitle}`);
+  return locTitle;
+}
+
+async function detectCurrentLocation(page, location) {
+  await emulateGeolocation(page, ZEPTO_HOME, location);
+  const button = await clickFirstSelector(page, [
+    '[data-testid="use-current-location"]',
+    "button::-p-text(Use my Current Location)",
+    "button::-p-text(Use current location)",
+  ]);
+  if (!button) {
+    return false;
+  }
+  await delay(3000);
+  return true;
+}
+
+async function isZeptoLocationSet(page) {
+  const txt = await getFirstTextFromSelectors(
+    page,
+    [
+      '[data-testid="user-address"]',
+      'button[aria-label="Select Location"] span',
+      '[class*="location"] [class*="address"]',
+    ],
+    8000
+  );
+  return txt || null;
+}
+
+module.exports = {
+  ZEPTO_HOME,
+  setZeptoLocation,
+  isZeptoLocationSet,
+};
@@ -1,25 +1,24 @@
 "use client"
 
-import { useState } from "react"
+import { useEffect, useRef, useState } from "react"
 import { ProductList } from "@/components/ProductList"
 import { Input } from "@/components/ui/input"
 import { Button } from "@/components/ui/button"
 import { Package2 } from "lucide-react"
 import { Toaster, toast } from "react-hot-toast"
+import { BatchProgress } from "@/components/BatchProgress"
+import { PriceMatrix } from "@/components/PriceMatrix"
+import { PastRuns } from "@/components/PastRuns"
+import { getApiBaseUrl, readErrorMessage } from "@/lib/api"
+import { useJobProgress } from "@/lib/useJobProgress"
 
-const getApiBaseUrl = () => {
-  if (import.meta.env.VITE_API_URL) {
-    return import.meta.env.VITE_API_URL;
-  }
-  if (typeof window !== "undefined") {
-    if (window.location.port === "5173") {
-      return "http://localhost:6001";
-    }
-    return window.location.origin;
-  }
-  return "http://localhost:6001";
-}
-type Service = "blinkit"
+type Service = "blinkit" | "zepto" | "instamart"
+
+const SERVICE_OPTIONS: { name: Service; label: string }[] = [
+  { name: "blinkit", label: "Blinkit" },
+  { name: "zepto", label: "Zepto" },
+  { name: "instamart", label: "Instamart" },
+]
 
 interface Product {
   id: string
@@ -27,43 +26,256 @@ interface Product {
   price: string
   originalPrice: string | null
   savings: string | null
+  priceValue?: number | null
+  mrpValue?: number | null
+  discountPercent?: number | null
+  pricePerUnit?: number | null
+  perUnit?: string | null
   quantity: string
   deliveryTime: string
   discount: string | null
   imageUrl: string
   available: boolean
+  sponsored?: boolean
+  position?: number | null
+  organicRank?: number | null
+  service?: Service
   source?: Service 
 }
 
+type JobStatus = "queued" | "running" | "completed" | "failed" | "cancelled"
+
+interface BatchJob {
+  id: string
+  status: JobStatus
+  error: string | null
+}
+
+const JOB_POLL_INTERVAL_MS = 3000
+
+// Outcome of setting one pincode's location on one service
+interface LocationStatus {
+  pincode: string
+  service: Service
+  status: "serviceable" | "not_serviceable" | "location_mismatch" | "timeout" | "error"
+  locationTitle: string | null
+  detail: string | null
+}
+
+// A (pincode, service, term) search that still failed after its retries
+interface FailedSearch {
+  pincode: string
+  service: Service
+  term: string
+  stage: "location" | "search"
+  error: string | null
+  attempts: number
+}
+
+interface NamedLocation {
+  name: string
+  lat?: number
+  lng?: number
+}
+
+// One location per line: "Koramangala 5th Block @ 12.9352, 77.6245", or just a name or
+// address to search for. Returns null when a line has unreadable coordinates.
+const parseNamedLocations = (text: string): NamedLocation[] | null => {
+  const locations: NamedLocation[] = []
+  for (const line of text.split("\n").map((entry) => entry.trim()).filter(Boolean)) {
+    const [name, coordinates] = line.split("@").map((part) => part.trim())
+    if (coordinates === undefined) {
+      locations.push({ name })
+      continue
+    }
+    const [lat, lng] = coordinates.split(",").map((part) => parseFloat(part))
+    if (!name || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return null
+    }
+    locations.push({ name, lat, lng })
+  }
+  return locations
+}
 
 export default function Home() {
   const [csvProducts, setCsvProducts] = useState<Product[]>([])
   const [batchPincodes, setBatchPincodes] = useState("")
+  const [batchLocations, setBatchLocations] = useState("")
   const [batchSearchTerms, setBatchSearchTerms] = useState("")
   const [batchQuantities, setBatchQuantities] = useState("")
+  const [batchConcurrency, setBatchConcurrency] = useState("1")
+  const [batchFastMode, setBatchFastMode] = useState(false)
+  const [batchDeepMode, setBatchDeepMode] = useState(false)
+  const [batchReuseLocation, setBatchReuseLocation] = useState(true)
+  const [batchPaginate, setBatchPaginate] = useState(false)
+  const [batchMaxResults, setBatchMaxResults] = useState("200")
+  const [batchFormat, setBatchFormat] = useState("csv")
+  const [batchColumns, setBatchColumns] = useState("")
+  const [batchKeepOutOfStock, setBatchKeepOutOfStock] = useState(false)
+  const [batchKeepSponsored, setBatchKeepSponsored] = useState(false)
+  const [batchQuantityTolerance, setBatchQuantityTolerance] = useState("10")
+  const [batchMinRelevance, setBatchMinRelevance] = useState("0.8")
+  const [batchServices, setBatchServices] = useState<Service[]>(["blinkit"])
+  const [resultServices, setResultServices] = useState<Service[]>(["blinkit"])
   const [batchLoading, setBatchLoading] = useState(false)
   const [batchError, setBatchError] = useState("")
   const [batchFilename, setBatchFilename] = useState<string | null>(null)
+  const [rejectedFilename, setRejectedFilename] = useState<string | null>(null)
+  const [rejectedCount, setRejectedCount] = useState(0)
+  const [adsFilename, setAdsFilename] = useState<string | null>(null)
+  const [adsCount, setAdsCount] = useState(0)
+  const [summaryFilename, setSummaryFilename] = useState<string | null>(null)
+  const [locationStatuses, setLocationStatuses] = useState<LocationStatus[]>([])
+  const [failures, setFailures] = useState<FailedSearch[]>([])
+  const [emptySearchCount, setEmptySearchCount] = useState(0)
+  const [batchJob, setBatchJob] = useState<BatchJob | null>(null)
+  const [resultJobId, setResultJobId] = useState<string | null>(null)
+  const pollTimer = useRef<ReturnType<typeof setTimeout> | null>(null)
+  const jobProgress = useJobProgress(batchLoading ? batchJob?.id ?? null : null)
 
+  useEffect(() => {
+    return () => {
+      if (pollTimer.current) {
+        clearTimeout(pollTimer.current)
+      }
+    }
+  }, [])
 
-  const handleBatchCsv = async () => {
-    if (!batchPincodes.trim() || !batchSearchTerms.trim()) {
-      toast.error("Please provide pincodes and search terms.")
-              return
-            }
+  const finishBatch = (message: string | null) => {
+    if (message) {
+      setBatchError(message)
+      toast.error(message)
+    }
+    setBatchLoading(false)
+  }
 
+  // Clears the previous run's results before a new or re-run job starts
+  const startBatch = () => {
     setBatchLoading(true)
     setBatchError("")
     setBatchFilename(null)
+    setRejectedFilename(null)
+    setRejectedCount(0)
+    setAdsFilename(null)
+    setAdsCount(0)
+    setSummaryFilename(null)
+    setLocationStatuses([])
+    setFailures([])
+    setEmptySearchCount(0)
+    setBatchJob(null)
+    setResultJobId(null)
+  }
 
+  const pollBatchJob = async (jobId: string) => {
     try {
-      const payload: Record<string, string> = {
+      const res = await fetch(`${getApiBaseUrl()}/api/blinkit/jobs/${jobId}`)
+      if (!res.ok) {
+        throw new Error(await readErrorMessage(res, "Failed to fetch job status"))
+      }
+      const job: BatchJob = await res.json()
+      setBatchJob(job)
+
+      if (job.status === "queued" || job.status === "running") {
+        pollTimer.current = setTimeout(() => pollBatchJob(jobId), JOB_POLL_INTERVAL_MS)
+        return
+      }
+      if (job.status === "cancelled") {
+        toast("CSV generation cancelled.")
+        return finishBatch(null)
+      }
+      if (job.status === "failed") {
+        return finishBatch(job.error || "Failed to generate CSV")
+      }
+
+      const resultRes = await fetch(`${getApiBaseUrl()}/api/blinkit/jobs/${jobId}/result`)
+      if (!resultRes.ok) {
+        throw new Error(await readErrorMessage(resultRes, "Failed to fetch job result"))
+      }
+      const data = await resultRes.json()
+      if (!data.filename) {
+        throw new Error("CSV generation completed but filename missing.")
+      }
+      setBatchFilename(data.filename)
+      setRejectedFilename(data.rejectedFilename || null)
+      setRejectedCount(data.rejectedCount || 0)
+      setAdsFilename(data.adsFilename || null)
+      setAdsCount(data.adsCount || 0)
+      setSummaryFilename(data.summaryFilename || null)
+      setLocationStatuses(Array.isArray(data.locationStatuses) ? data.locationStatuses : [])
+      setFailures(Array.isArray(data.failures) ? data.failures : [])
+      setEmptySearchCount(Array.isArray(data.emptySearches) ? data.emptySearches.length : 0)
+      setResultJobId(jobId)
+      const items: Product[] = Array.isArray(data.items) ? data.items : []
+      setCsvProducts(items.map((item) => ({ ...item, source: item.service })))
+      setResultServices(Array.isArray(data.services) ? data.services : ["blinkit"])
+      toast.success("CSV generated successfully.")
+      finishBatch(null)
+    } catch (err) {
+      finishBatch(err instanceof Error ? err.message : "Failed to generate CSV")
+    }
+  }
+
+  const handleBatchCsv = async () => {
+    const locations = parseNamedLocations(batchLocations)
+    if (!locations) {
+      toast.error('Named locations must look like "Name @ latitude, longitude".')
+      return
+    }
+    if ((!batchPincodes.trim() && locations.length === 0) || !batchSearchTerms.trim()) {
+      toast.error("Please provide pincodes or locations and search terms.")
+      return
+    }
+    if (batchServices.length === 0) {
+      toast.error("Please select at least one service.")
+      return
+    }
+
+    startBatch()
+
+    try {
+      const payload: Record<string, unknown> = {
         pincodes: batchPincodes.trim(),
         searchTerms: batchSearchTerms.trim(),
+        services: batchServices.join(","),
+      }
+      if (locations.length > 0) {
+        payload.locations = locations
       }
       if (batchQuantities.trim()) {
         payload.quantities = batchQuantities.trim()
       }
+      const concurrency = parseInt(batchConcurrency, 10)
+      if (concurrency > 1) {
+        payload.concurrency = concurrency
+      }
+      if (batchFastMode) {
+        payload.fastMode = true
+      }
+      if (batchDeepMode) {
+        payload.deepMode = true
+      }
+      if (!batchReuseLocation) {
+        payload.reuseLocation = false
+      }
+      if (batchPaginate) {
+        payload.paginate = true
+      }
+      payload.format = batchFormat
+      if (batchColumns.trim()) {
+        payload.columns = batchColumns.trim()
+      }
+      const maxResults = parseInt(batchMaxResults, 10)
+      if (maxResults > 0) {
+        payload.maxResults = maxResults
+      }
+      const tolerance = parseFloat(batchQuantityTolerance)
+      const threshold = parseFloat(batchMinRelevance)
+      payload.filters = {
+        outOfStock: !batchKeepOutOfStock,
+        sponsored: !batchKeepSponsored,
+        quantity: { tolerance: Number.isFinite(tolerance) ? tolerance / 100 : 0.1 },
+        searchTerm: { threshold: Number.isFinite(threshold) ? threshold : 0.8 },
+      }
 
       const res = await fetch(`${getApiBaseUrl()}/api/blinkit/batch-csv`, {
         method: "POST",
@@ -72,32 +284,83 @@ export default function Home() {
       })
 
       if (!res.ok) {
-        const text = await res.text().catch(() => "")
-        let message = "Failed to generate CSV"
-        try {
-          const err = text ? JSON.parse(text) : {}
-          message = err.error || message
-        } catch {
-          if (text) {
-            message = text
-          }
-        }
-        throw new Error(`HTTP ${res.status}: ${message}`)
-      }
-
-      const data = await res.json()
-      if (data.filename) {
-        setBatchFilename(data.filename)
-        setCsvProducts(Array.isArray(data.items) ? data.items : [])
-        toast.success("CSV generated successfully.")
-      } else {
-        throw new Error("CSV generation completed but filename missing.")
+        throw new Error(await readErrorMessage(res, "Failed to generate CSV"))
       }
-    } catch (err: any) {
-      setBatchError(err.message || "Failed to generate CSV")
-      toast.error(err.message || "Failed to generate CSV")
-    } finally {
-      setBatchLoading(false)
+
+      const job = await res.json()
+      if (!job.jobId) {
+        throw new Error("Batch job was not created.")
+      }
+      setBatchJob({ id: job.jobId, status: job.status, error: null })
+      pollBatchJob(job.jobId)
+    } catch (err) {
+      finishBatch(err instanceof Error ? err.message : "Failed to generate CSV")
+    }
+  }
+
+  const toggleService = (service: Service) => {
+    setBatchServices((prev) =>
+      prev.includes(service) ? prev.filter((s) => s !== service) : [...prev, service]
+    )
+  }
+
+  const handleCancelBatch = async () => {
+    if (!batchJob) {
+      return
+    }
+    try {
+      const res = await fetch(`${getApiBaseUrl()}/api/blinkit/jobs/${batchJob.id}/cancel`, {
+        method: "POST",
+      })
+      if (!res.ok) {
+        throw new Error(await readErrorMessage(res, "Failed to cancel job"))
+      }
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to cancel job")
+    }
+  }
+
+  // Continue a failed or cancelled job from its checkpoint
+  const handleResumeBatch = async () => {
+    if (!batchJob) {
+      return
+    }
+    try {
+      const res = await fetch(`${getApiBaseUrl()}/api/blinkit/jobs/${batchJob.id}/resume`, {
+        method: "POST",
+      })
+      if (!res.ok) {
+        throw new Error(await readErrorMessage(res, "Failed to resume job"))
+      }
+      const job = await res.json()
+      setBatchLoading(true)
+      setBatchError("")
+      setBatchJob({ id: job.id, status: job.status, error: null })
+      pollBatchJob(job.id)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to resume job")
+    }
+  }
+
+  // Repeat only the searches of the last run that failed or found nothing, as a new job
+  const handleRerunFailures = async () => {
+    if (!resultJobId) {
+      return
+    }
+    try {
+      const res = await fetch(`${getApiBaseUrl()}/api/blinkit/jobs/${resultJobId}/rerun-failures`, {
+        method: "POST",
+      })
+      if (!res.ok) {
+        throw new Error(await readErrorMessage(res, "Failed to re-run searches"))
+      }
+      const job = await res.json()
+      startBatch()
+      toast.success(`Re-running ${job.pairCount} searches.`)
+      setBatchJob({ id: job.jobId, status: job.status, error: null })
+      pollBatchJob(job.jobId)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : "Failed to re-run searches")
     }
   }
 
@@ -116,8 +379,8 @@ export default function Home() {
 
       <main className="container mx-auto p-4 sm:p-6 lg:p-8 flex-grow">
         <div className="mb-6 p-4 border border-slate-200 rounded-md bg-white shadow-sm">
-          <h2 className="text-lg font-semibold mb-3">Export Blinkit CSV</h2>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <h2 className="text-lg font-semibold mb-3">Export CSV</h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
             <div>
               <label className="block text-sm font-medium text-slate-600 mb-1">Pincodes (comma separated)</label>
               <Input
@@ -142,11 +405,177 @@ export default function Home() {
                 placeholder="e.g., 1kg,500g"
               />
             </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-600 mb-1">Parallel pincodes</label>
+              <Input
+                type="number"
+                min={1}
+                value={batchConcurrency}
+                onChange={(e) => setBatchConcurrency(e.target.value)}
+                placeholder="1"
+              />
+            </div>
+          </div>
+          <div className="mt-3">
+            <label className="block text-sm font-medium text-slate-600 mb-1">
+              Named locations (optional, one per line)
+            </label>
+            <textarea
+              className="w-full min-h-16 rounded-md border border-slate-200 bg-white px-3 py-2 text-sm"
+              value={batchLocations}
+              onChange={(e) => setBatchLocations(e.target.value)}
+              placeholder={"e.g., Koramangala 5th Block @ 12.9352, 77.6245\nIndiranagar 100 Feet Road, Bengaluru"}
+            />
+          </div>
+          <div className="mt-3 flex flex-wrap items-center gap-4 text-sm text-slate-600">
+            <span className="font-medium">Services:</span>
+            {SERVICE_OPTIONS.map((option) => (
+              <label key={option.name} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={batchServices.includes(option.name)}
+                  onChange={() => toggleService(option.name)}
+                />
+                <img src={`/src/assets/${option.name}.png`} alt={`${option.name} logo`} className="h-4 w-auto" />
+                {option.label}
+              </label>
+            ))}
+          </div>
+          <label className="mt-3 flex items-center gap-2 text-sm text-slate-600">
+            <input
+              type="checkbox"
+              checked={batchFastMode}
+              onChange={(e) => setBatchFastMode(e.target.checked)}
+            />
+            Fast mode (replay the search API directly after the first term)
+          </label>
+          <label className="mt-2 flex items-center gap-2 text-sm text-slate-600">
+            <input
+              type="checkbox"
+              checked={batchDeepMode}
+              onChange={(e) => setBatchDeepMode(e.target.checked)}
+            />
+            Deep mode (open each kept product for brand, category, shelf life, seller and variants)
+          </label>
+          <label className="mt-2 flex items-center gap-2 text-sm text-slate-600">
+            <input
+              type="checkbox"
+              checked={batchReuseLocation}
+              onChange={(e) => setBatchReuseLocation(e.target.checked)}
+            />
+            Reuse saved location sessions (skip the location picker when a recent one is valid)
+          </label>
+          <div className="mt-2 flex flex-wrap items-center gap-4 text-sm text-slate-600">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={batchPaginate}
+                onChange={(e) => setBatchPaginate(e.target.checked)}
+              />
+              Scroll through all result pages
+            </label>
+            <label className="flex items-center gap-2">
+              Max results per search
+              <Input
+                type="number"
+                min={1}
+                className="w-24 h-8"
+                value={batchMaxResults}
+                onChange={(e) => setBatchMaxResults(e.target.value)}
+              />
+            </label>
+          </div>
+          <div className="mt-3 flex flex-wrap items-center gap-4 text-sm text-slate-600">
+            <label className="flex items-center gap-2">
+              Output format
+              <select
+                className="h-8 rounded-md border border-slate-200 bg-white px-2"
+                value={batchFormat}
+                onChange={(e) => setBatchFormat(e.target.value)}
+              >
+                <option value="csv">CSV</option>
+                <option value="json">JSON</option>
+                <option value="ndjson">NDJSON</option>
+                <option value="xlsx">Excel (sheet per pincode)</option>
+                <option value="parquet">Parquet</option>
+              </select>
+            </label>
+            <label className="flex flex-1 items-center gap-2">
+              Columns
+              <Input
+                className="h-8 min-w-48 flex-1"
+                placeholder="All columns (or e.g. pincode,name,priceValue)"
+                value={batchColumns}
+                onChange={(e) => setBatchColumns(e.target.value)}
+              />
+            </label>
+          </div>
+          <div className="mt-3 flex flex-wrap items-center gap-4 text-sm text-slate-600">
+            <span className="font-medium">Filters:</span>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={batchKeepOutOfStock}
+                onChange={(e) => setBatchKeepOutOfStock(e.target.checked)}
+              />
+              Keep out-of-stock
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={batchKeepSponsored}
+                onChange={(e) => setBatchKeepSponsored(e.target.checked)}
+              />
+              Keep sponsored
+            </label>
+            <label className="flex items-center gap-2">
+              Quantity tolerance (%)
+              <Input
+                type="number"
+                min={0}
+                max={100}
+                className="w-20 h-8"
+                value={batchQuantityTolerance}
+                onChange={(e) => setBatchQuantityTolerance(e.target.value)}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Min relevance (0-1)
+              <Input
+                type="number"
+                min={0}
+                max={1}
+                step={0.05}
+                className="w-20 h-8"
+                value={batchMinRelevance}
+                onChange={(e) => setBatchMinRelevance(e.target.value)}
+              />
+            </label>
           </div>
           <div className="mt-4 flex flex-wrap items-center gap-3">
             <Button onClick={handleBatchCsv} disabled={batchLoading}>
-              {batchLoading ? "Generating..." : "Generate CSV"}
+              {batchLoading
+                ? batchJob?.status === "queued"
+                  ? "Queued..."
+                  : "Generating..."
+                : "Generate CSV"}
             </Button>
+            {batchLoading && batchJob && (
+              <Button variant="outline" onClick={handleCancelBatch}>
+                Cancel
+              </Button>
+            )}
+            {!batchLoading &&
+              (batchJob?.status === "failed" || batchJob?.status === "cancelled") && (
+                <Button variant="outline" onClick={handleResumeBatch}>
+                  Resume
+                </Button>
+              )}
+            {!batchLoading && resultJobId && failures.length + emptySearchCount > 0 && (
+              <Button variant="outline" onClick={handleRerunFailures}>
+                Re-run failed and empty searches ({failures.length + emptySearchCount})
+              </Button>
+            )}
             {batchFilename && (
               <Button
                 variant="outline"
@@ -155,30 +584,106 @@ export default function Home() {
                   window.open(url, "_blank")
                 }}
               >
-                Download CSV
+                Download results
+              </Button>
+            )}
+            {rejectedFilename && (
+              <Button
+                variant="outline"
+                onClick={() => {
+                  const url = `${getApiBaseUrl()}/api/blinkit/batch-csv/${rejectedFilename}`
+                  window.open(url, "_blank")
+                }}
+              >
+                Download rejected ({rejectedCount})
+              </Button>
+            )}
+            {adsFilename && (
+              <Button
+                variant="outline"
+                onClick={() => {
+                  const url = `${getApiBaseUrl()}/api/blinkit/batch-csv/${adsFilename}`
+                  window.open(url, "_blank")
+                }}
+              >
+                Download ads ({adsCount})
+              </Button>
+            )}
+            {summaryFilename && (
+              <Button
+                variant="outline"
+                onClick={() => {
+                  const url = `${getApiBaseUrl()}/api/blinkit/batch-csv/${summaryFilename}`
+                  window.open(url, "_blank")
+                }}
+              >
+                Download pincode summary
               </Button>
             )}
             {batchError && <span className="text-sm text-red-600">{batchError}</span>}
           </div>
+          {locationStatuses.some((entry) => entry.status !== "serviceable") && (
+            <ul className="mt-3 text-sm text-red-700 space-y-0.5">
+              {locationStatuses
+                .filter((entry) => entry.status !== "serviceable")
+                .map((entry) => (
+                  <li key={`${entry.pincode}-${entry.service}`}>
+                    {entry.pincode} on {entry.service}: {entry.status.replace(/_/g, " ")}
+                    {entry.detail ? ` (${entry.detail})` : ""}
+                  </li>
+                ))}
+            </ul>
+          )}
+          {failures.length > 0 && (
+            <div className="mt-3 text-sm text-amber-700">
+              <p>{failures.length} searches failed after retries:</p>
+              <ul className="space-y-0.5">
+                {failures.map((failure) => (
+                  <li key={`${failure.pincode}-${failure.service}-${failure.term}`}>
+                    {failure.pincode} on {failure.service}, "{failure.term}" ({failure.stage},{" "}
+                    {failure.attempts} attempts){failure.error ? `: ${failure.error}` : ""}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {batchLoading && batchJob && (
+            <BatchProgress
+              progress={jobProgress.progress}
+              events={jobProgress.events}
+              connected={jobProgress.connected}
+            />
+          )}
         </div>
 
-        <div className="mb-6">
-                <div className="flex items-center justify-between mb-3">
-                  <h2 className="text-lg font-bold capitalize flex items-center">
-              <img src="/src/assets/blinkit.png" alt="blinkit logo" className="h-6 w-auto mr-2" />
-              Blinkit
-                  </h2>
-            <span className={`text-sm px-2 py-1 rounded ${csvProducts.length > 0 ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'}`}>
-              {csvProducts.length} items
-                  </span>
-                </div>
-                <ProductList 
-            products={csvProducts} 
-                  isCompact={true}
-            serviceName="blinkit"
-            isLoading={batchLoading}
-            />
-          </div>
+        {resultJobId && !batchLoading && <PriceMatrix jobId={resultJobId} />}
+
+        <PastRuns refreshKey={resultJobId} />
+
+        {SERVICE_OPTIONS.filter((option) => resultServices.includes(option.name)).map((option) => {
+          const serviceProducts = csvProducts.filter(
+            (product) => (product.service || "blinkit") === option.name
+          )
+          return (
+            <div className="mb-6" key={option.name}>
+              <div className="flex items-center justify-between mb-3">
+                <h2 className="text-lg font-bold capitalize flex items-center">
+                  <img src={`/src/assets/${option.name}.png`} alt={`${option.name} logo`} className="h-6 w-auto mr-2" />
+                  {option.label}
+                </h2>
+                <span className={`text-sm px-2 py-1 rounded ${serviceProducts.length > 0 ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'}`}>
+                  {serviceProducts.length} items
+                </span>
+              </div>
+              <ProductList
+                products={serviceProducts}
+                isCompact={true}
+                serviceName={option.name}
+                isLoading={batchLoading}
+              />
+            </div>
+          )
+        })}
       </main>
     </div>
   )
@@ -0,0 +1,81 @@
+import { ScrollArea } from "@/components/ui/scroll-area"
+import type { JobProgress, JobProgressEvent } from "@/lib/useJobProgress"
+
+interface BatchProgressProps {
+  progress: JobProgress | null
+  events: JobProgressEvent[]
+  connected: boolean
+}
+
+const describeEvent = (event: JobProgressEvent) => {
+  switch (event.type) {
+    case "run-started":
+      return `Run started (${event.total} searches)`
+    case "pincode-started":
+      return `Pincode ${event.pincode}: starting`
+    case "location-set":
+      return `Pincode ${event.pincode}: location set to ${event.locationTitle}${
+        event.via === "session" ? " (saved session)" : ""
+      }`
+    case "location-failed":
+      return `Pincode ${event.pincode}: ${
+        event.status ? event.status.replace(/_/g, " ") : "failed to set location"
+      }, skipped`
+    case "retry":
+      return `Pincode ${event.pincode}: ${
+        event.term ? `"${event.term}"` : "location"
+      } attempt ${event.attempt} failed, retrying in ${Math.round((event.delayMs ?? 0) / 1000)}s`
+    case "term-failed":
+      return `Pincode ${event.pincode}: "${event.term}" failed after ${event.attempts} attempts`
+    case "circuit-open":
+      return `Too many failures, paused until ${
+        event.resumeAt ? new Date(event.resumeAt).toLocaleTimeString() : "cooldown ends"
+      }`
+    case "term-searched":
+      return `Pincode ${event.pincode}: "${event.term}" found ${event.found}, kept ${event.kept}`
+    case "product-kept":
+      return `Kept ${event.name}`
+    case "product-filtered":
+      return `Filtered ${event.name} (${event.reason})`
+    case "file-written":
+      return `Wrote ${event.filename} (${event.rowCount} rows)`
+    default:
+      return event.type
+  }
+}
+
+export function BatchProgress({ progress, events, connected }: BatchProgressProps) {
+  const percent =
+    progress && progress.total > 0 ? Math.round((progress.completed / progress.total) * 100) : 0
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between text-sm text-slate-600 mb-1">
+        <span>
+          {progress ? `${progress.completed} / ${progress.total} searches` : "Waiting to start..."}
+        </span>
+        <span>{connected ? `${percent}%` : "Live updates unavailable"}</span>
+      </div>
+      <div className="h-2 w-full bg-slate-200 rounded">
+        <div
+          className="h-2 bg-orange-500 rounded transition-all duration-300"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      {events.length > 0 && (
+        <ScrollArea className="mt-3 h-40 rounded border border-slate-200 bg-slate-50 p-2">
+          <ul className="text-xs font-mono text-slate-700 space-y-0.5">
+            {events.map((event, idx) => (
+              <li key={`${event.at}-${idx}`}>
+                <span className="text-slate-400 mr-2">
+                  {new Date(event.at).toLocaleTimeString()}
+                </span>
+                {describeEvent(event)}
+              </li>
+            ))}
+          </ul>
+        </ScrollArea>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,222 @@
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "react-hot-toast"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { getApiBaseUrl, readErrorMessage } from "@/lib/api"
+
+interface OutputFile {
+  filename: string
+  role: string
+  rowCount: number | null
+  bytes: number
+}
+
+interface OutputRun {
+  id: string
+  jobId: string | null
+  createdAt: string
+  format: string
+  rowCount: number | null
+  params: {
+    pincodes?: string[]
+    locations?: (string | { name?: string; address?: string; lat?: number; lng?: number })[]
+    searchTerms?: string[]
+    services?: string[]
+  } | null
+  files: OutputFile[]
+  bytes: number
+}
+
+interface Retention {
+  maxAgeDays: number | null
+  maxTotalMb: number | null
+}
+
+interface PastRunsProps {
+  // Changes whenever a new run finishes so the list reloads
+  refreshKey?: string | null
+}
+
+const formatBytes = (bytes: number) => {
+  if (bytes < 1024) {
+    return `${bytes} B`
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+// Pincodes followed by named locations, as entered for the run
+const describeLocations = (params: NonNullable<OutputRun["params"]>) => [
+  ...(params.pincodes || []),
+  ...(params.locations || []).map((location) =>
+    typeof location === "string"
+      ? location
+      : location.name || location.address || `${location.lat},${location.lng}`
+  ),
+]
+
+const toLimit = (value: string) => {
+  const parsed = parseFloat(value)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null
+}
+
+export function PastRuns({ refreshKey }: PastRunsProps) {
+  const [runs, setRuns] = useState<OutputRun[]>([])
+  const [maxAgeDays, setMaxAgeDays] = useState("")
+  const [maxTotalMb, setMaxTotalMb] = useState("")
+  const [error, setError] = useState("")
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetch(`${getApiBaseUrl()}/api/outputs`)
+      if (!res.ok) {
+        throw new Error(await readErrorMessage(res, "Failed to load past runs"))
+      }
+      const data: { outputs: OutputRun[]; retention: Retention } = await res.json()
+      setRuns(data.outputs)
+      setMaxAgeDays(data.retention.maxAgeDays?.toString() ?? "")
+      setMaxTotalMb(data.retention.maxTotalMb?.toString() ?? "")
+      setError("")
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load past runs")
+    }
+  }, [])
+
+  useEffect(() => {
+    load()
+  }, [load, refreshKey])
+
+  const handleDelete = async (id: string) => {
+    const res = await fetch(`${getApiBaseUrl()}/api/outputs/${encodeURIComponent(id)}`, {
+      method: "DELETE",
+    })
+    if (!res.ok) {
+      toast.error(await readErrorMessage(res, "Failed to delete run"))
+      return
+    }
+    setRuns((current) => current.filter((run) => run.id !== id))
+  }
+
+  const handleSaveRetention = async () => {
+    const res = await fetch(`${getApiBaseUrl()}/api/outputs/retention`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ maxAgeDays: toLimit(maxAgeDays), maxTotalMb: toLimit(maxTotalMb) }),
+    })
+    if (!res.ok) {
+      toast.error(await readErrorMessage(res, "Failed to save retention"))
+      return
+    }
+    const data: { pruned: string[] } = await res.json()
+    toast.success(
+      data.pruned.length ? `Retention saved, pruned ${data.pruned.length} run(s)` : "Retention saved"
+    )
+    load()
+  }
+
+  return (
+    <div className="mb-6 p-4 border border-slate-200 rounded-md bg-white shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h2 className="text-lg font-semibold">Past runs</h2>
+        <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600">
+          <label className="flex items-center gap-2">
+            Keep days
+            <Input
+              type="number"
+              min={0}
+              className="w-20 h-8"
+              placeholder="∞"
+              value={maxAgeDays}
+              onChange={(e) => setMaxAgeDays(e.target.value)}
+            />
+          </label>
+          <label className="flex items-center gap-2">
+            Max MB
+            <Input
+              type="number"
+              min={0}
+              className="w-20 h-8"
+              placeholder="∞"
+              value={maxTotalMb}
+              onChange={(e) => setMaxTotalMb(e.target.value)}
+            />
+          </label>
+          <Button size="sm" variant="outline" onClick={handleSaveRetention}>
+            Save retention
+          </Button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {!error && runs.length === 0 && <p className="text-sm text-slate-500">No outputs yet.</p>}
+      {runs.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-left text-slate-600">
+                <th className="py-2 pr-4">Run</th>
+                <th className="py-2 pr-4">Search</th>
+                <th className="py-2 pr-4 text-right">Rows</th>
+                <th className="py-2 pr-4 text-right">Size</th>
+                <th className="py-2 pr-4">Files</th>
+                <th className="py-2 pr-4" />
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <tr key={run.id} className="border-b border-slate-100 align-top">
+                  <td className="py-2 pr-4">
+                    <div className="font-medium">{new Date(run.createdAt).toLocaleString()}</div>
+                    <div className="text-xs text-slate-500">
+                      {(run.params?.services || []).join(", ") || run.id}
+                    </div>
+                  </td>
+                  <td className="py-2 pr-4">
+                    {run.params ? (
+                      <>
+                        <div>{(run.params.searchTerms || []).join(", ")}</div>
+                        <div className="text-xs text-slate-500">
+                          {describeLocations(run.params).join(", ")}
+                        </div>
+                      </>
+                    ) : (
+                      <span className="text-slate-400">—</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 text-right">{run.rowCount ?? "—"}</td>
+                  <td className="py-2 pr-4 text-right">{formatBytes(run.bytes)}</td>
+                  <td className="py-2 pr-4">
+                    <div className="flex flex-wrap gap-2">
+                      {run.files.map((file) => (
+                        <Button
+                          key={file.filename}
+                          size="sm"
+                          variant="outline"
+                          onClick={() =>
+                            window.open(
+                              `${getApiBaseUrl()}/api/blinkit/batch-csv/${file.filename}`,
+                              "_blank"
+                            )
+                          }
+                        >
+                          {file.role} ({run.format})
+                        </Button>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="py-2 pr-4 text-right">
+                    <Button size="sm" variant="outline" onClick={() => handleDelete(run.id)}>
+                      Delete
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
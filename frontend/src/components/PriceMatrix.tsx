@@ -0,0 +1,155 @@
+import { useEffect, useState } from "react"
+import { Button } from "@/components/ui/button"
+import { getApiBaseUrl, readErrorMessage } from "@/lib/api"
+
+type MatrixGrouping = "id" | "searchTerm"
+
+interface PriceMatrixRow {
+  key: string
+  service: string
+  id: string | null
+  name: string | null
+  searchTerm: string
+  quantity: string | null
+  prices: Record<string, number | null>
+  min: number | null
+  max: number | null
+  spread: number | null
+  spreadPercent: number | null
+  missingPincodes: string[]
+}
+
+interface PriceMatrixData {
+  by: MatrixGrouping
+  pincodes: string[]
+  rows: PriceMatrixRow[]
+}
+
+interface PriceMatrixProps {
+  jobId: string
+}
+
+const formatPrice = (value: number | null) => (value === null ? "—" : `₹${value}`)
+
+export function PriceMatrix({ jobId }: PriceMatrixProps) {
+  const [by, setBy] = useState<MatrixGrouping>("id")
+  const [matrix, setMatrix] = useState<PriceMatrixData | null>(null)
+  const [error, setError] = useState("")
+
+  const matrixUrl = `${getApiBaseUrl()}/api/blinkit/jobs/${jobId}/matrix?by=${by}`
+
+  useEffect(() => {
+    let cancelled = false
+    setError("")
+    fetch(matrixUrl)
+      .then(async (res) => {
+        if (!res.ok) {
+          throw new Error(await readErrorMessage(res, "Failed to load price matrix"))
+        }
+        return res.json()
+      })
+      .then((data: PriceMatrixData) => {
+        if (!cancelled) {
+          setMatrix(data)
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : "Failed to load price matrix")
+        }
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [matrixUrl])
+
+  return (
+    <div className="mb-6 p-4 border border-slate-200 rounded-md bg-white shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h2 className="text-lg font-semibold">Price comparison across pincodes</h2>
+        <div className="flex items-center gap-2">
+          <Button
+            size="sm"
+            variant={by === "id" ? "default" : "outline"}
+            onClick={() => setBy("id")}
+          >
+            By product
+          </Button>
+          <Button
+            size="sm"
+            variant={by === "searchTerm" ? "default" : "outline"}
+            onClick={() => setBy("searchTerm")}
+          >
+            By search term
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => window.open(`${matrixUrl}&format=csv`, "_blank")}>
+            Download CSV
+          </Button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {matrix && matrix.rows.length === 0 && (
+        <p className="text-sm text-slate-500">No priced rows in this run.</p>
+      )}
+      {matrix && matrix.rows.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-left text-slate-600">
+                <th className="py-2 pr-4">{matrix.by === "id" ? "Product" : "Search term"}</th>
+                <th className="py-2 pr-4">Service</th>
+                {matrix.pincodes.map((pincode) => (
+                  <th key={pincode} className="py-2 pr-4 text-right">{pincode}</th>
+                ))}
+                <th className="py-2 pr-4 text-right">Min</th>
+                <th className="py-2 pr-4 text-right">Max</th>
+                <th className="py-2 pr-4 text-right">Spread</th>
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.rows.map((row) => (
+                <tr key={row.key} className="border-b border-slate-100">
+                  <td className="py-2 pr-4">
+                    {matrix.by === "id" ? (
+                      <>
+                        <div className="font-medium">{row.name}</div>
+                        <div className="text-xs text-slate-500">{row.quantity}</div>
+                      </>
+                    ) : (
+                      <span className="font-medium">{row.searchTerm}</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 capitalize">{row.service}</td>
+                  {matrix.pincodes.map((pincode) => (
+                    <td
+                      key={pincode}
+                      className={`py-2 pr-4 text-right ${
+                        row.prices[pincode] === null
+                          ? "bg-red-50 text-red-600"
+                          : row.prices[pincode] === row.min && row.spread
+                            ? "text-green-700 font-semibold"
+                            : ""
+                      }`}
+                      title={row.prices[pincode] === null ? "Not found at this pincode" : undefined}
+                    >
+                      {row.prices[pincode] === null ? "missing" : formatPrice(row.prices[pincode])}
+                    </td>
+                  ))}
+                  <td className="py-2 pr-4 text-right">{formatPrice(row.min)}</td>
+                  <td className="py-2 pr-4 text-right">{formatPrice(row.max)}</td>
+                  <td className="py-2 pr-4 text-right">
+                    {formatPrice(row.spread)}
+                    {row.spreadPercent ? (
+                      <span className="text-xs text-slate-500 ml-1">({row.spreadPercent}%)</span>
+                    ) : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
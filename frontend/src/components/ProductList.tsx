@@ -12,11 +12,19 @@ interface Product {
   price: string;
   originalPrice: string | null;
   savings: string | null;
+  priceValue?: number | null;
+  mrpValue?: number | null;
+  discountPercent?: number | null;
+  pricePerUnit?: number | null;
+  perUnit?: string | null;
   quantity: string;
   deliveryTime: string;
   discount: string | null;
   imageUrl: string;
   available: boolean;
+  sponsored?: boolean;
+  position?: number | null;
+  organicRank?: number | null;
   source?: Service;
 }
 
@@ -90,7 +98,7 @@ export function ProductList({
 
         return (
           <Card
-            key={product.id}
+            key={`${product.id}${product.sponsored ? "-ad" : ""}`}
             className={`overflow-hidden flex flex-col h-full group relative border-slate-200 shadow-lg hover:shadow-xl transition-shadow duration-300 rounded-lg ${
               isCompact ? "compact" : ""
             }`}
@@ -110,6 +118,11 @@ export function ProductList({
                 Out of Stock
               </Badge>
             )}
+            {product.available && product.sponsored && (
+              <Badge className="absolute top-2 right-2 z-10 bg-amber-500 text-white px-2 py-1 text-xs font-semibold">
+                Sponsored
+              </Badge>
+            )}
             <CardHeader className="p-3 pb-0">
               <div className="relative">
                 {product.imageUrl ? (
@@ -158,6 +171,13 @@ export function ProductList({
               <p className="text-xs sm:text-sm text-gray-600 mb-1">
                 {product.quantity}
               </p>
+              {product.position != null && (
+                <p className="text-xs text-gray-500 mb-1">
+                  {product.sponsored
+                    ? `Ad slot #${product.position}`
+                    : `Rank #${product.organicRank ?? product.position} (slot #${product.position})`}
+                </p>
+              )}
                 {product.deliveryTime && (
                 <div className="flex items-center text-xs text-green-700 mb-1.5">
                   <Clock className="h-3 w-3 mr-1" />
@@ -185,6 +205,11 @@ export function ProductList({
                     Save {product.savings}
                   </p>
                 )}
+                {product.pricePerUnit != null && product.perUnit && (
+                  <p className="text-xs text-gray-500">
+                    ₹{product.pricePerUnit}/{product.perUnit}
+                  </p>
+                )}
               </div>
             </CardHeader>
           </Card>
@@ -0,0 +1,33 @@
+export const getApiBaseUrl = () => {
+  if (import.meta.env.VITE_API_URL) {
+    return import.meta.env.VITE_API_URL;
+  }
+  if (typeof window !== "undefined") {
+    if (window.location.port === "5173") {
+      return "http://localhost:6001";
+    }
+    return window.location.origin;
+  }
+  return "http://localhost:6001";
+}
+
+export const getWsUrl = () => {
+  if (import.meta.env.VITE_WS_URL) {
+    return import.meta.env.VITE_WS_URL
+  }
+  return getApiBaseUrl().replace(/^http/, "ws")
+}
+
+export const readErrorMessage = async (res: Response, fallback: string) => {
+  const text = await res.text().catch(() => "")
+  let message = fallback
+  try {
+    const err = text ? JSON.parse(text) : {}
+    message = err.error || message
+  } catch {
+    if (text) {
+      message = text
+    }
+  }
+  return `HTTP ${res.status}: ${message}`
+}
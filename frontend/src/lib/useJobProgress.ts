@@ -0,0 +1,84 @@
+import { useEffect, useState } from "react"
+import { getWsUrl } from "@/lib/api"
+
+export interface JobProgressEvent {
+  type: string
+  at: string
+  pincode?: string
+  term?: string
+  name?: string
+  reason?: string
+  locationTitle?: string
+  via?: string
+  status?: string
+  detail?: string
+  error?: string
+  attempt?: number
+  attempts?: number
+  delayMs?: number
+  resumeAt?: string
+  found?: number
+  kept?: number
+  filename?: string
+  rowCount?: number
+  completed?: number
+  total?: number
+}
+
+export interface JobProgress {
+  completed: number
+  total: number
+}
+
+const MAX_LOG_EVENTS = 300
+
+// Subscribes to live progress of a batch job over the backend WebSocket
+export function useJobProgress(jobId: string | null) {
+  const [events, setEvents] = useState<JobProgressEvent[]>([])
+  const [progress, setProgress] = useState<JobProgress | null>(null)
+  const [connected, setConnected] = useState(false)
+
+  useEffect(() => {
+    setEvents([])
+    setProgress(null)
+    if (!jobId) {
+      return
+    }
+
+    const socket = new WebSocket(getWsUrl())
+
+    socket.onopen = () => {
+      setConnected(true)
+      socket.send(JSON.stringify({ type: "subscribe-job", jobId }))
+    }
+
+    socket.onmessage = (msg) => {
+      let data
+      try {
+        data = JSON.parse(msg.data)
+      } catch {
+        return
+      }
+
+      if (data.type === "job-subscribed" && data.job?.id === jobId) {
+        setEvents(Array.isArray(data.events) ? data.events.slice(-MAX_LOG_EVENTS) : [])
+        setProgress(data.job.progress || null)
+      } else if (data.type === "job-progress" && data.jobId === jobId) {
+        setEvents((prev) => [...prev, data.event].slice(-MAX_LOG_EVENTS))
+        if (data.progress) {
+          setProgress(data.progress)
+        }
+      }
+    }
+
+    socket.onclose = () => setConnected(false)
+
+    return () => {
+      socket.onclose = null
+      socket.close()
+      setConnected(false)
+    }
+  }, [jobId])
+
+  return { events, progress, connected }
+}